@@ -0,0 +1,134 @@
+/**
+ * Account Data for OMaa
+ * =====================
+ *
+ * Backs the privacy policy's access, portability and deletion rights: gathers
+ * everything stored for a Stripe customer into one export, or erases it.
+ *
+ * - Chat history lives in the parent's browser, not here; the chat page adds
+ *   it to the export and clears it after a deletion.
+ * - Deletion can cancel the subscription first. Billing records (subscription
+ *   and invoice status) are kept, since Stripe remains the record of payments
+ *   and access checks need them; checkout sessions lose their email address
+ *   and redeemed gifts their link to the customer.
+ * - Deletion also ends every sign-in session, so each device has to sign in
+ *   again (by email) to keep using a subscription.
+ * - Each deletion leaves an audit record with counts and a hash of the
+ *   customer ID (so support can confirm a deletion when asked), nothing else.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+const attachments = require('./attachments');
+const gifts = require('./gifts');
+const { getBillingRecords, scrubCheckoutSessions, saveSubscription } = require('./subscription-store');
+
+// Collections whose records carry a `customerId`, by export section
+// Attachments are handled separately because they have files on disk, and
+// redeemed gifts because their records must outlive the link to the customer.
+// A new per-customer collection must be added here to be exported and deleted.
+const CUSTOMER_COLLECTIONS = {
+    children: 'child-profiles',
+    milestoneChecks: 'milestone-checks',
+    trackerEntries: 'tracker-entries',
+    reminders: 'reminders',
+    pushSubscriptions: 'push-subscriptions',
+    usage: 'usage',
+    signInSessions: 'auth-sessions',
+    signInLinks: 'magic-links'
+};
+
+// Push subscription keys, session token hashes and link nonces are
+// credentials, not the parent's data
+const OMITTED_FIELDS = {
+    pushSubscriptions: ['keys'],
+    signInSessions: ['id'],
+    signInLinks: ['id']
+};
+
+const deletions = getCollection('account-deletions');
+
+// Subscriptions in these states no longer bill
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+const hashCustomerId = (customerId) => crypto.createHash('sha256').update(customerId).digest('hex');
+
+/**
+ * Everything stored for a customer
+ * @returns {Object} export document (format "omaa-account-export", version 1)
+ */
+function exportAccountData(customerId) {
+    const data = {
+        format: 'omaa-account-export',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        customerId,
+        billing: getBillingRecords(customerId)
+    };
+
+    Object.entries(CUSTOMER_COLLECTIONS).forEach(([section, name]) => {
+        const omitted = OMITTED_FIELDS[section] || [];
+        data[section] = getCollection(name)
+            .filter(record => record.customerId === customerId)
+            .map(({ customerId: owner, ...record }) => {
+                omitted.forEach(field => delete record[field]);
+                return record;
+            });
+    });
+
+    data.giftsRedeemed = gifts.getRedeemedGifts(customerId);
+    data.attachments = attachments.listAttachments(customerId).map(attachment => ({
+        ...attachment,
+        download: `/api/attachments/${attachment.id}/file`
+    }));
+
+    return data;
+}
+
+/**
+ * Cancel a customer's subscriptions in Stripe, effective immediately
+ * @returns {Promise<number>} how many were canceled
+ */
+async function cancelSubscriptions(stripe, customerId) {
+    const open = getBillingRecords(customerId).subscriptions
+        .filter(subscription => !ENDED_STATUSES.includes(subscription.status));
+
+    for (const subscription of open) {
+        saveSubscription(await stripe.subscriptions.cancel(subscription.id));
+    }
+    return open.length;
+}
+
+/**
+ * Erase a customer's data, optionally canceling their subscription first
+ * Nothing is deleted if the cancellation fails, so the parent can retry.
+ * @param {Object} stripe - Stripe client
+ * @param {string} customerId
+ * @param {Object} [options]
+ * @param {boolean} [options.cancelSubscription=false]
+ * @returns {Promise<Object>} the audit record
+ */
+async function deleteAccountData(stripe, customerId, { cancelSubscription = false } = {}) {
+    const canceledSubscriptions = cancelSubscription ? await cancelSubscriptions(stripe, customerId) : 0;
+
+    const deleted = { attachments: attachments.deleteCustomerAttachments(customerId) };
+    Object.entries(CUSTOMER_COLLECTIONS).forEach(([section, name]) => {
+        deleted[section] = getCollection(name).deleteWhere(record => record.customerId === customerId);
+    });
+    deleted.checkoutSessionsScrubbed = scrubCheckoutSessions(customerId);
+    deleted.giftsUnlinked = gifts.scrubRedeemedGifts(customerId);
+
+    const id = `del_${crypto.randomUUID()}`;
+    return deletions.set(id, {
+        id,
+        customerHash: hashCustomerId(customerId),
+        subscriptionCanceled: canceledSubscriptions > 0,
+        deleted,
+        deletedAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    exportAccountData,
+    deleteAccountData
+};
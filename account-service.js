@@ -0,0 +1,83 @@
+/**
+ * Account Service for OMaa
+ * ========================
+ *
+ * Lets a subscriber download everything OMaa keeps about them, or delete it.
+ * The server holds profiles, tracker logs, reminders and attachments; chat
+ * history lives in this browser, so it is added to the download here and
+ * cleared here after a deletion.
+ */
+
+class AccountService {
+    /**
+     * Call the account API with the subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `API error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Download the account's data as a JSON file
+     * @param {Array} conversations - This browser's threads with their messages
+     */
+    async downloadData(conversations) {
+        const data = await this.request('GET', '/api/account/export');
+        data.conversations = conversations;
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `omaa-account-data-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * Delete the account's data on the server, then in this browser
+     * @param {Object} [options]
+     * @param {boolean} [options.cancelSubscription=false] - Also end the subscription now
+     * @returns {Promise<{ deleted: boolean, subscriptionCanceled: boolean }>}
+     */
+    async deleteAccount({ cancelSubscription = false } = {}) {
+        const result = await this.request('POST', '/api/account/delete', { confirm: 'DELETE', cancelSubscription });
+
+        // The server ended every sign-in session along with the data
+        this.clearLocalData();
+        subscriptionService.clearSession();
+        return result;
+    }
+
+    /**
+     * Remove everything OMaa keeps in this browser's storage
+     */
+    clearLocalData() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith('omaa_')) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+        messageOutbox.clear().catch(error => console.error('Failed to clear the message outbox:', error));
+    }
+}
+
+// Create global instance
+const accountService = new AccountService();
@@ -0,0 +1,399 @@
+/**
+ * AI Provider Adapters for OMaa
+ * =============================
+ *
+ * Each provider is an adapter that knows how to shape a request, parse a
+ * response (whole or streamed), map errors and pick a model. The chat
+ * endpoint only talks to the registry, so adding a provider never touches
+ * the request handler.
+ *
+ * Any OpenAI-compatible endpoint (e.g. a local model server) can be added
+ * through configuration alone:
+ *
+ *   OPENAI_COMPATIBLE_PROVIDERS='[{"id":"local","name":"Local Llama",
+ *     "baseUrl":"http://localhost:11434/v1","defaultModel":"llama3.1"}]'
+ *
+ * Optional fields: apiKeyEnv (env var holding the key, omit for keyless
+ * servers), modelEnv (env var overriding the model), models (allowed ids),
+ * streamUsage (set false for servers that reject `stream_options`) and
+ * vision (set true if the models accept images and PDFs).
+ *
+ * Message content is either a string or a list of provider-neutral parts
+ * (see attachments.js); each adapter translates parts into its own blocks.
+ * Providers without vision get a short note in place of each file.
+ *
+ * Every completion reports token usage as { promptTokens, completionTokens }.
+ */
+
+const { AI_CONFIG } = require('./config');
+
+/**
+ * Error raised by a provider call, carrying the upstream HTTP status
+ */
+class ProviderError extends Error {
+    constructor(message, { provider, status } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+    }
+}
+
+/**
+ * Read a provider's Server-Sent Events stream
+ * Calls onEvent with each parsed `data:` payload
+ */
+async function readEventStream(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') continue;
+
+            onEvent(JSON.parse(data));
+        }
+    }
+}
+
+/**
+ * Flatten content parts to text for providers that can't read files
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+
+    return content.map(part => {
+        if (part.type === 'text') return part.text;
+        const what = part.type === 'image' ? 'a photo' : 'a document';
+        return `(The parent attached ${what}, "${part.name}", which this assistant can't view. Ask them to describe it.)`;
+    }).join('\n\n');
+}
+
+/**
+ * Pick the model for a call: an allowed requested model, the env override, or the default
+ */
+function chooseModel(settings, requestedModel) {
+    const allowed = (settings.models || []).map(m => m.id || m);
+
+    if (requestedModel && allowed.includes(requestedModel)) {
+        return requestedModel;
+    }
+    return (settings.modelEnv && process.env[settings.modelEnv]) || settings.defaultModel;
+}
+
+/**
+ * Adapter for the OpenAI chat completions API and anything that speaks it
+ */
+function createOpenAICompatibleAdapter(settings) {
+    const { id, name, baseUrl, apiKeyEnv } = settings;
+
+    return {
+        id,
+        name,
+
+        isConfigured() {
+            return !apiKeyEnv || !!process.env[apiKeyEnv];
+        },
+
+        getApiKey() {
+            return apiKeyEnv ? process.env[apiKeyEnv] : null;
+        },
+
+        chooseModel(requestedModel) {
+            return chooseModel(settings, requestedModel);
+        },
+
+        buildRequest(messages, { model, stream }) {
+            const apiKey = this.getApiKey();
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            return {
+                url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+                headers,
+                body: {
+                    model,
+                    messages: messages.map(m => ({ ...m, content: this.formatContent(m.content) })),
+                    max_tokens: AI_CONFIG.chatSettings.maxTokens,
+                    temperature: AI_CONFIG.chatSettings.temperature,
+                    stream,
+                    // Ask for a final chunk carrying token usage
+                    ...(stream && settings.streamUsage !== false && { stream_options: { include_usage: true } })
+                }
+            };
+        },
+
+        formatContent(content) {
+            if (typeof content === 'string') return content;
+            if (!settings.vision) return contentToText(content);
+
+            return content.map(part => {
+                if (part.type === 'image') {
+                    return { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } };
+                }
+                if (part.type === 'document') {
+                    return { type: 'file', file: { filename: part.name, file_data: `data:${part.mimeType};base64,${part.data}` } };
+                }
+                return { type: 'text', text: part.text };
+            });
+        },
+
+        parseResponse(data) {
+            return {
+                content: data.choices[0].message.content,
+                usage: this.parseUsage(data.usage)
+            };
+        },
+
+        parseStreamEvent(event) {
+            return event.choices?.[0]?.delta?.content || null;
+        },
+
+        parseStreamUsage(event) {
+            return event.usage ? this.parseUsage(event.usage) : null;
+        },
+
+        parseUsage(usage) {
+            return {
+                promptTokens: usage?.prompt_tokens || 0,
+                completionTokens: usage?.completion_tokens || 0
+            };
+        },
+
+        mapError(status, body) {
+            return new ProviderError(body?.error?.message || `${name} API error`, { provider: id, status });
+        }
+    };
+}
+
+/**
+ * Adapter for the Anthropic messages API
+ */
+function createAnthropicAdapter(settings) {
+    const { id, name, baseUrl, apiKeyEnv } = settings;
+
+    return {
+        id,
+        name,
+
+        isConfigured() {
+            return !!process.env[apiKeyEnv];
+        },
+
+        getApiKey() {
+            return process.env[apiKeyEnv];
+        },
+
+        chooseModel(requestedModel) {
+            return chooseModel(settings, requestedModel);
+        },
+
+        buildRequest(messages, { model, stream }) {
+            // Anthropic takes the system prompt separately from the chat turns
+            const systemMessage = messages.find(m => m.role === 'system')?.content || '';
+            const chatMessages = messages
+                .filter(m => m.role !== 'system')
+                .map(m => ({ ...m, content: this.formatContent(m.content) }));
+
+            return {
+                url: `${baseUrl}/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.getApiKey(),
+                    'anthropic-version': '2023-06-01'
+                },
+                body: {
+                    model,
+                    max_tokens: AI_CONFIG.chatSettings.maxTokens,
+                    system: systemMessage,
+                    messages: chatMessages,
+                    stream
+                }
+            };
+        },
+
+        formatContent(content) {
+            if (typeof content === 'string') return content;
+
+            return content.map(part => {
+                if (part.type === 'image' || part.type === 'document') {
+                    return {
+                        type: part.type,
+                        source: { type: 'base64', media_type: part.mimeType, data: part.data }
+                    };
+                }
+                return { type: 'text', text: part.text };
+            });
+        },
+
+        parseResponse(data) {
+            return {
+                content: data.content[0].text,
+                usage: {
+                    promptTokens: data.usage?.input_tokens || 0,
+                    completionTokens: data.usage?.output_tokens || 0
+                }
+            };
+        },
+
+        parseStreamEvent(event) {
+            if (event.type === 'error') {
+                throw this.mapError(null, event);
+            }
+            if (event.type === 'content_block_delta') {
+                return event.delta?.text || null;
+            }
+            return null;
+        },
+
+        parseStreamUsage(event) {
+            // Input tokens arrive with message_start, output tokens with message_delta
+            if (event.type === 'message_start' && event.message?.usage) {
+                return { promptTokens: event.message.usage.input_tokens || 0 };
+            }
+            if (event.type === 'message_delta' && event.usage) {
+                return { completionTokens: event.usage.output_tokens || 0 };
+            }
+            return null;
+        },
+
+        mapError(status, body) {
+            return new ProviderError(body?.error?.message || `${name} API error`, { provider: id, status });
+        }
+    };
+}
+
+// Provider registry
+const providers = new Map();
+
+/**
+ * Register a provider adapter, replacing any adapter with the same id
+ */
+function registerProvider(adapter) {
+    providers.set(adapter.id, adapter);
+}
+
+/**
+ * Get a provider adapter by id
+ */
+function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+/**
+ * List all registered provider adapters
+ */
+function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Run a chat completion through a provider adapter
+ * With options.onDelta the completion is streamed and each text fragment is passed to it
+ */
+async function chatCompletion(adapter, messages, { onDelta, signal, model } = {}) {
+    if (!adapter.isConfigured()) {
+        throw new ProviderError(`${adapter.name} API key not configured`, { provider: adapter.id });
+    }
+
+    const chosenModel = adapter.chooseModel(model);
+    const request = adapter.buildRequest(messages, { model: chosenModel, stream: !!onDelta });
+
+    const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw adapter.mapError(response.status, body);
+    }
+
+    if (onDelta) {
+        let content = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+
+        await readEventStream(response, (event) => {
+            Object.assign(usage, adapter.parseStreamUsage(event));
+
+            const text = adapter.parseStreamEvent(event);
+            if (text) {
+                content += text;
+                onDelta(text);
+            }
+        });
+
+        return { content, usage, provider: adapter.id, model: chosenModel };
+    }
+
+    const data = await response.json();
+    return {
+        ...adapter.parseResponse(data),
+        provider: adapter.id,
+        model: chosenModel
+    };
+}
+
+/**
+ * Read extra OpenAI-compatible providers from OPENAI_COMPATIBLE_PROVIDERS
+ */
+function loadConfiguredProviders() {
+    const raw = process.env.OPENAI_COMPATIBLE_PROVIDERS;
+    if (!raw) return [];
+
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.error('Invalid OPENAI_COMPATIBLE_PROVIDERS:', e.message);
+        return [];
+    }
+}
+
+// Built-in providers
+registerProvider(createOpenAICompatibleAdapter({
+    id: 'openai',
+    ...AI_CONFIG.providers.openai,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    modelEnv: 'OPENAI_MODEL'
+}));
+
+registerProvider(createAnthropicAdapter({
+    id: 'anthropic',
+    ...AI_CONFIG.providers.anthropic,
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    modelEnv: 'ANTHROPIC_MODEL'
+}));
+
+registerProvider(createOpenAICompatibleAdapter({
+    id: 'deepseek',
+    ...AI_CONFIG.providers.deepseek,
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    modelEnv: 'DEEPSEEK_MODEL'
+}));
+
+loadConfiguredProviders().forEach(settings => {
+    if (!settings.id || !settings.baseUrl || !settings.defaultModel) {
+        console.error('Skipping OpenAI-compatible provider without id, baseUrl and defaultModel:', settings.id);
+        return;
+    }
+    registerProvider(createOpenAICompatibleAdapter({ name: settings.id, ...settings }));
+});
+
+module.exports = {
+    ProviderError,
+    registerProvider,
+    getProvider,
+    listProviders,
+    chatCompletion,
+    createOpenAICompatibleAdapter,
+    createAnthropicAdapter
+};
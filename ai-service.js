@@ -10,18 +10,66 @@ class AIService {
     constructor() {
         this.currentProvider = 'openai'; // Default provider
         this.conversationHistory = [];
-        this.loadChatHistory();
+        this.lastResponse = null;
+        // attachment ID -> Promise of an object URL for its thumbnail
+        this.thumbnailUrls = new Map();
+        this.compacting = false;
+        this.threads = [];
+        this.activeThreadId = null;
+        // Called whenever the thread list or a thread title changes
+        this.onThreadsChanged = null;
+        this.loadThreads();
+    }
+
+    /**
+     * Load thread list and the active thread's history from storage
+     * Moves a pre-threads single history into its own thread on first run
+     */
+    loadThreads() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEYS.CHAT_THREADS);
+            this.threads = stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Failed to load chat threads:', e);
+            this.threads = [];
+        }
+
+        const legacyHistory = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
+        if (legacyHistory) {
+            const thread = this.createThread('Earlier conversation', { activate: false });
+            localStorage.setItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + thread.id, legacyHistory);
+            localStorage.removeItem(STORAGE_KEYS.CHAT_HISTORY);
+        }
+
+        const storedActiveId = localStorage.getItem(STORAGE_KEYS.ACTIVE_THREAD);
+        const active = this.getThread(storedActiveId) || this.getThreads()[0];
+
+        if (active) {
+            this.switchThread(active.id);
+        } else {
+            this.createThread();
+        }
+    }
+
+    /**
+     * Save the thread list to storage
+     */
+    saveThreads() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.CHAT_THREADS, JSON.stringify(this.threads));
+        } catch (e) {
+            console.error('Failed to save chat threads:', e);
+        }
+        if (this.onThreadsChanged) this.onThreadsChanged(this.threads);
     }
 
     /**
-     * Load chat history from storage
+     * Load the active thread's chat history from storage
      */
     loadChatHistory() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
-            if (stored) {
-                this.conversationHistory = JSON.parse(stored);
-            }
+            const stored = localStorage.getItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + this.activeThreadId);
+            this.conversationHistory = stored ? JSON.parse(stored) : [];
         } catch (e) {
             console.error('Failed to load chat history:', e);
             this.conversationHistory = [];
@@ -29,85 +77,721 @@ class AIService {
     }
 
     /**
-     * Save chat history to storage
+     * Save the active thread's chat history to storage
      */
     saveChatHistory() {
         try {
-            // Keep only last N messages
-            const maxMessages = AI_CONFIG.chatSettings.maxHistoryMessages;
-            if (this.conversationHistory.length > maxMessages) {
-                this.conversationHistory = this.conversationHistory.slice(-maxMessages);
+            // Keep at most N messages, but never drop one the summary doesn't cover yet
+            const thread = this.getActiveThread();
+            const excess = this.conversationHistory.length - AI_CONFIG.chatSettings.maxStoredMessages;
+            const droppable = Math.min(excess, thread?.summarizedCount || 0);
+            if (droppable > 0) {
+                this.conversationHistory = this.conversationHistory.slice(droppable);
+                thread.summarizedCount -= droppable;
+                this.saveThreads();
             }
-            localStorage.setItem(STORAGE_KEYS.CHAT_HISTORY, JSON.stringify(this.conversationHistory));
+            localStorage.setItem(
+                STORAGE_KEYS.THREAD_HISTORY_PREFIX + this.activeThreadId,
+                JSON.stringify(this.conversationHistory)
+            );
         } catch (e) {
             console.error('Failed to save chat history:', e);
         }
     }
 
     /**
-     * Clear chat history
+     * Clear the active thread's chat history
      */
     clearHistory() {
         this.conversationHistory = [];
-        localStorage.removeItem(STORAGE_KEYS.CHAT_HISTORY);
+        localStorage.removeItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + this.activeThreadId);
+
+        const thread = this.getActiveThread();
+        if (thread) {
+            thread.summary = null;
+            thread.summarizedCount = 0;
+            // Lets an in-flight compaction notice the history it summarized is gone
+            thread.contextEpoch = (thread.contextEpoch || 0) + 1;
+            this.saveThreads();
+        }
+    }
+
+    /**
+     * Estimate the tokens in a piece of text (roughly four characters per token)
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * Build the context for a request: the running summary plus every turn it doesn't cover
+     * If summarizing has been failing and the turns blew well past the budget,
+     * the oldest ones are left out rather than sending an oversized request.
+     * @param {Array} [history] - The turns up to the message being answered
+     * @param {Object} [thread] - The thread they belong to
+     */
+    buildContext(history = this.conversationHistory, thread = this.getActiveThread()) {
+        const hardLimit = AI_CONFIG.chatSettings.maxContextTokens * 1.5;
+        let messages = history.slice(thread?.summarizedCount || 0);
+        let tokens = messages.reduce((total, msg) => total + this.estimateTokens(msg.content), 0);
+
+        while (tokens > hardLimit && messages.length > 2) {
+            tokens -= this.estimateTokens(messages[0].content);
+            messages = messages.slice(1);
+        }
+
+        return {
+            summary: thread?.summary || null,
+            messages: messages.map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                ...(msg.attachments && { attachments: msg.attachments.map(a => a.id) })
+            }))
+        };
+    }
+
+    /**
+     * Fold older turns into the thread's running summary once the verbatim
+     * context outgrows maxContextTokens, keeping recentContextTokens of the newest turns
+     */
+    async compactContext() {
+        const thread = this.getActiveThread();
+        // Waits until queued messages are answered, so none is summarized unanswered
+        if (!thread || this.compacting || this.conversationHistory.some(msg => msg.pending)) return;
+
+        const { maxContextTokens, recentContextTokens } = AI_CONFIG.chatSettings;
+        const history = this.conversationHistory;
+        const start = thread.summarizedCount || 0;
+        const pendingTokens = history.slice(start)
+            .reduce((total, msg) => total + this.estimateTokens(msg.content), 0);
+
+        if (pendingTokens <= maxContextTokens) return;
+
+        // Walk back from the newest turn; always keep at least the last exchange verbatim
+        let cut = history.length;
+        let keptTokens = 0;
+        while (cut > start) {
+            const tokens = this.estimateTokens(history[cut - 1].content);
+            if (history.length - cut >= 2 && keptTokens + tokens > recentContextTokens) break;
+            keptTokens += tokens;
+            cut--;
+        }
+
+        const toSummarize = history.slice(start, cut);
+        if (toSummarize.length === 0) return;
+
+        const epoch = thread.contextEpoch || 0;
+        this.compacting = true;
+
+        try {
+            const response = await fetch('/api/chat/summarize', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...subscriptionService.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    previousSummary: thread.summary || null,
+                    messages: toSummarize.map(msg => ({ role: msg.role, content: msg.content })),
+                    provider: this.currentProvider
+                })
+            });
+            if (!response.ok) return;
+
+            const { summary } = await response.json();
+
+            // Skip if the thread was cleared, deleted or compacted meanwhile
+            const current = this.getThread(thread.id);
+            if (summary && current && (current.contextEpoch || 0) === epoch && (current.summarizedCount || 0) === start) {
+                current.summary = summary;
+                current.summarizedCount = cut;
+                this.saveThreads();
+            }
+        } catch (e) {
+            console.error('Failed to summarize older messages:', e);
+        } finally {
+            this.compacting = false;
+        }
+    }
+
+    /**
+     * Get a thread by ID
+     */
+    getThread(id) {
+        return this.threads.find(thread => thread.id === id) || null;
+    }
+
+    /**
+     * Get the active thread
+     */
+    getActiveThread() {
+        return this.getThread(this.activeThreadId);
+    }
+
+    /**
+     * List threads, most recently updated first
+     * @param {Object} [options]
+     * @param {boolean} [options.archived=false] - List archived threads instead of open ones
+     */
+    getThreads({ archived = false } = {}) {
+        return this.threads
+            .filter(thread => !!thread.archived === archived)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Start a new thread
+     * @param {string} [title] - Leave empty to title it from the first exchange
+     * @param {Object} [options]
+     * @param {boolean} [options.activate=true] - Switch to the new thread
+     */
+    createThread(title, { activate = true } = {}) {
+        const now = new Date().toISOString();
+        const thread = {
+            id: `thread_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            title: title || 'New conversation',
+            autoTitle: !title,
+            archived: false,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.threads.push(thread);
+        if (activate) {
+            this.switchThread(thread.id);
+        }
+        this.saveThreads();
+        return thread;
+    }
+
+    /**
+     * Make a thread the active one and load its history
+     */
+    switchThread(id) {
+        if (!this.getThread(id)) return false;
+
+        this.activeThreadId = id;
+        localStorage.setItem(STORAGE_KEYS.ACTIVE_THREAD, id);
+        this.loadChatHistory();
+        return true;
+    }
+
+    /**
+     * Rename a thread (stops automatic titling)
+     */
+    renameThread(id, title) {
+        const thread = this.getThread(id);
+        if (!thread || !title.trim()) return false;
+
+        thread.title = title.trim();
+        thread.autoTitle = false;
+        this.saveThreads();
+        return true;
+    }
+
+    /**
+     * Archive or unarchive a thread
+     * Archiving the active thread switches to another open thread
+     */
+    archiveThread(id, archived = true) {
+        const thread = this.getThread(id);
+        if (!thread) return false;
+
+        thread.archived = archived;
+        if (archived && id === this.activeThreadId) {
+            this.activateFallbackThread();
+        }
+        this.saveThreads();
+        return true;
+    }
+
+    /**
+     * Delete a thread and its history
+     * Deleting the active thread switches to another open thread
+     */
+    deleteThread(id) {
+        if (!this.getThread(id)) return false;
+
+        this.threads = this.threads.filter(thread => thread.id !== id);
+        localStorage.removeItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + id);
+
+        if (id === this.activeThreadId) {
+            this.activateFallbackThread();
+        }
+        this.saveThreads();
+        return true;
+    }
+
+    /**
+     * Switch to the most recent open thread, starting a new one if none is left
+     */
+    activateFallbackThread() {
+        const next = this.getThreads()[0];
+        if (next) {
+            this.switchThread(next.id);
+        } else {
+            this.createThread();
+        }
+    }
+
+    /**
+     * Mark a thread as updated and title it after its first exchange
+     */
+    touchThread(id) {
+        const thread = this.getThread(id);
+        if (!thread) return;
+
+        thread.updatedAt = new Date().toISOString();
+
+        const history = this.getThreadHistory(id);
+        const isFirstExchange = history.filter(msg => msg.role === 'assistant').length === 1;
+        if (thread.autoTitle && isFirstExchange) {
+            // Use the question right away, then ask for a better title in the background
+            thread.title = this.truncateTitle(history[0].content);
+            this.generateThreadTitle(thread.id, history.slice(0, 2));
+        }
+        this.saveThreads();
+    }
+
+    /**
+     * Ask the server for a short title summarizing a thread's first exchange
+     */
+    async generateThreadTitle(threadId, messages) {
+        try {
+            const response = await fetch('/api/chat/title', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...subscriptionService.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    messages: messages.map(msg => ({ role: msg.role, content: msg.content })),
+                    language: i18n.language,
+                    provider: this.currentProvider
+                })
+            });
+            if (!response.ok) return;
+
+            const { title } = await response.json();
+            const thread = this.getThread(threadId);
+
+            // The parent may have renamed it while we waited
+            if (title && thread && thread.autoTitle) {
+                thread.title = this.truncateTitle(title);
+                thread.autoTitle = false;
+                this.saveThreads();
+            }
+        } catch (e) {
+            console.error('Failed to generate thread title:', e);
+        }
+    }
+
+    /**
+     * Shorten text to a one-line thread title
+     */
+    truncateTitle(text) {
+        const line = text.replace(/\s+/g, ' ').trim();
+        return line.length > 48 ? `${line.slice(0, 45).trim()}...` : line;
     }
 
     /**
      * Add a message to history
+     * @param {Object} [details] - Extra fields to keep with the message (e.g. promptVersion)
      */
-    addToHistory(role, content) {
-        this.conversationHistory.push({ role, content });
+    addToHistory(role, content, details = {}) {
+        const message = { role, content, createdAt: new Date().toISOString(), ...details };
+        this.conversationHistory.push(message);
         this.saveChatHistory();
+        return message;
+    }
+
+    /**
+     * Read any thread's stored history (the active thread's is conversationHistory)
+     */
+    getThreadHistory(id) {
+        if (id === this.activeThreadId) return this.conversationHistory;
+        try {
+            const stored = localStorage.getItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + id);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Failed to load chat history:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save any thread's history
+     */
+    saveThreadHistory(id, history) {
+        if (id === this.activeThreadId) {
+            this.conversationHistory = history;
+            this.saveChatHistory();
+            return;
+        }
+        try {
+            localStorage.setItem(STORAGE_KEYS.THREAD_HISTORY_PREFIX + id, JSON.stringify(history));
+        } catch (e) {
+            console.error('Failed to save chat history:', e);
+        }
+    }
+
+    /**
+     * The parent's region for safety resources: a saved override, else the browser locale
+     */
+    getRegion() {
+        const override = localStorage.getItem(STORAGE_KEYS.REGION);
+        if (override) return override;
+
+        const locale = (navigator.languages && navigator.languages[0]) || navigator.language || '';
+        const match = locale.match(/[-_]([A-Za-z]{2})\b/);
+        return match ? match[1].toUpperCase() : null;
     }
 
     /**
      * Send a message to the AI and get a response
+     * Without a connection the message is queued instead: it stays in history
+     * marked pending, and the error thrown has code 'offline'.
+     * @param {string} userMessage
+     * @param {Object} [options]
+     * @param {Function} [options.onDelta] - Called with the partial reply text as it streams in
+     * @param {Function} [options.onSafety] - Called with the safety card payload when the
+     *   server flags an emergency or crisis, before any reply text arrives
+     * @param {Array} [options.attachments] - Uploaded attachments (from uploadAttachment) to send along
      */
-    async sendMessage(userMessage) {
+    async sendMessage(userMessage, { onDelta, onSafety, attachments = [] } = {}) {
+        const threadId = this.activeThreadId;
+        // Messages already waiting in this thread go first
+        const mustQueue = !navigator.onLine || this.conversationHistory.some(msg => msg.pending);
+
         // Add user message to history
-        this.addToHistory('user', userMessage);
+        const message = this.addToHistory('user', userMessage, {
+            id: `msg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...(attachments.length && { attachments })
+        });
+
+        try {
+            if (mustQueue) throw this.offlineError();
+            return await this.requestReply(threadId, message.id, { onDelta, onSafety });
+        } catch (error) {
+            if (error.code !== 'offline') {
+                // Remove the user message from history if request failed
+                this.removeFromHistory(threadId, message.id);
+                throw error;
+            }
+            try {
+                await this.queueMessage(threadId, message);
+            } catch (queueError) {
+                console.error('Failed to queue message:', queueError);
+                this.removeFromHistory(threadId, message.id);
+                throw queueError;
+            }
+            // Lets the chat page match its bubble to the queued message
+            throw Object.assign(error, { messageId: message.id });
+        }
+    }
+
+    /**
+     * Ask for the reply to a message in a thread's history, and add it right after that message
+     * @param {string} threadId
+     * @param {string} messageId
+     * @param {Object} [options] - onDelta and onSafety, as for sendMessage
+     * @returns {Promise<string|null>} the reply, or null if the message is no longer in the thread
+     */
+    async requestReply(threadId, messageId, { onDelta, onSafety } = {}) {
+        const history = this.getThreadHistory(threadId);
+        const index = history.findIndex(msg => msg.id === messageId);
+        if (index === -1) return null;
+
+        // Recent turns plus a summary of older ones (the server adds the system prompt)
+        const { messages, summary } = this.buildContext(history.slice(0, index + 1), this.getThread(threadId));
 
+        const stream = AI_CONFIG.chatSettings.streamResponses;
+
+        // Call our backend API
+        let response;
         try {
-            // Build messages array with system prompt and history
-            const messages = [
-                { role: 'system', content: AI_CONFIG.systemPrompt },
-                ...this.conversationHistory.map(msg => ({
-                    role: msg.role,
-                    content: msg.content
-                }))
-            ];
-
-            // Call our backend API
-            const response = await fetch('/api/chat', {
+            response = await fetch('/api/chat', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...subscriptionService.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     messages: messages,
-                    provider: this.currentProvider
+                    summary,
+                    childId: childProfileService.getSelectedChildId(),
+                    region: this.getRegion(),
+                    tzOffset: new Date().getTimezoneOffset(),
+                    // The reply language: the parent's choice in settings, else the browser's
+                    language: i18n.language,
+                    provider: this.currentProvider,
+                    stream
                 })
             });
+        } catch (error) {
+            // fetch only rejects when the request never got an answer
+            throw this.offlineError();
+        }
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            // `code` tells the chat page which modal to show (e.g. 'subscription_ended')
+            throw Object.assign(new Error(error.error || `API error: ${response.status}`), {
+                status: response.status,
+                code: error.code
+            });
+        }
 
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.error || `API error: ${response.status}`);
-            }
+        const data = stream
+            ? await this.readStream(response, { onDelta, onSafety })
+            : await response.json();
+        if (!stream && data.safety && onSafety) onSafety(data.safety);
+        const assistantMessage = data.content;
+        // Kept for callers interested in reply details (provider, usage, soft limit)
+        this.lastResponse = data;
 
-            const data = await response.json();
-            const assistantMessage = data.content;
+        // Add assistant response to history only once it is complete, noting which
+        // system prompt version produced it and any safety card shown. The history
+        // is read again, as threads may have been switched while waiting.
+        const current = this.getThreadHistory(threadId);
+        const sentIndex = current.findIndex(msg => msg.id === messageId);
+        if (sentIndex === -1) return assistantMessage;
 
-            // Add assistant response to history
-            this.addToHistory('assistant', assistantMessage);
-            return assistantMessage;
+        delete current[sentIndex].pending;
+        current.splice(sentIndex + 1, 0, {
+            role: 'assistant',
+            content: assistantMessage,
+            createdAt: new Date().toISOString(),
+            provider: data.provider,
+            promptVersion: data.promptVersion,
+            ...(data.safety && { safety: data.safety })
+        });
+        this.saveThreadHistory(threadId, current);
+        this.touchThread(threadId);
+
+        // Summarize older turns in the background so the next request stays in budget
+        if (threadId === this.activeThreadId) this.compactContext();
+        return assistantMessage;
+    }
+
+    /**
+     * The error for a message that couldn't reach the server
+     */
+    offlineError() {
+        return Object.assign(new Error(i18n.t('chat.offline')), { code: 'offline' });
+    }
+
+    /**
+     * Mark a message pending and queue it in the outbox
+     */
+    async queueMessage(threadId, message) {
+        await messageOutbox.add({ id: message.id, threadId, createdAt: message.createdAt });
+
+        const history = this.getThreadHistory(threadId);
+        const queued = history.find(msg => msg.id === message.id);
+        if (queued) {
+            queued.pending = true;
+            this.saveThreadHistory(threadId, history);
+        }
+    }
+
+    /**
+     * Remove a message from a thread's history
+     */
+    removeFromHistory(threadId, messageId) {
+        const history = this.getThreadHistory(threadId).filter(msg => msg.id !== messageId);
+        this.saveThreadHistory(threadId, history);
+    }
+
+    /**
+     * Messages waiting in the outbox, oldest first
+     */
+    getQueuedMessages() {
+        return messageOutbox.getAll();
+    }
+
+    /**
+     * Send a message from the outbox
+     * It stays queued if the connection is still down; if the server refuses
+     * it, it is dropped like a failed sendMessage.
+     * @param {Object} entry - From getQueuedMessages
+     * @param {Object} [options] - onDelta and onSafety, as for sendMessage
+     * @returns {Promise<string|null>} the reply, or null if the message was deleted meanwhile
+     */
+    async sendQueuedMessage(entry, { onDelta, onSafety } = {}) {
+        try {
+            const reply = await this.requestReply(entry.threadId, entry.id, { onDelta, onSafety });
+            await messageOutbox.remove(entry.id);
+            return reply;
         } catch (error) {
-            // Remove the user message from history if request failed
-            this.conversationHistory.pop();
-            this.saveChatHistory();
+            if (error.code !== 'offline') {
+                await messageOutbox.remove(entry.id);
+                this.removeFromHistory(entry.threadId, entry.id);
+            }
             throw error;
         }
     }
 
+    /**
+     * Upload a photo or document for the next message
+     * @param {File} file
+     * @returns {Promise<Object>} the attachment (id, name, kind, hasThumbnail, ...)
+     */
+    async uploadAttachment(file) {
+        const form = new FormData();
+        form.append('file', file);
+
+        const response = await fetch('/api/attachments', {
+            method: 'POST',
+            headers: subscriptionService.getAuthHeaders(),
+            body: form
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw Object.assign(new Error(data.error || `Upload failed: ${response.status}`), {
+                status: response.status,
+                code: data.code
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Get a displayable URL for an attachment's thumbnail
+     * Attachment requests need the subscriber's credentials, so the image is
+     * fetched here and handed to the page as an object URL
+     */
+    async getThumbnailUrl(attachmentId) {
+        if (!this.thumbnailUrls.has(attachmentId)) {
+            const request = fetch(`/api/attachments/${encodeURIComponent(attachmentId)}/thumbnail`, {
+                headers: subscriptionService.getAuthHeaders()
+            }).then(async response => {
+                if (!response.ok) throw new Error(`Thumbnail unavailable: ${response.status}`);
+                return URL.createObjectURL(await response.blob());
+            });
+            // Forget failures so a later render can retry
+            request.catch(() => this.thumbnailUrls.delete(attachmentId));
+            this.thumbnailUrls.set(attachmentId, request);
+        }
+        return this.thumbnailUrls.get(attachmentId);
+    }
+
+    /**
+     * Open an attachment's full file in a new tab
+     */
+    async openAttachment(attachmentId) {
+        const response = await fetch(`/api/attachments/${encodeURIComponent(attachmentId)}/file`, {
+            headers: subscriptionService.getAuthHeaders()
+        });
+        if (!response.ok) throw new Error(`Attachment unavailable: ${response.status}`);
+
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank', 'noopener');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * Threads with their messages, for exports
+     * @param {string[]} [threadIds] - Defaults to every thread, archived ones included
+     */
+    getConversations(threadIds = this.threads.map(thread => thread.id)) {
+        return threadIds.map(id => this.getThread(id)).filter(Boolean).map(thread => ({
+            title: thread.title,
+            createdAt: thread.createdAt,
+            messages: this.getThreadHistory(thread.id).map(({ role, content, createdAt }) => ({ role, content, createdAt }))
+        }));
+    }
+
+    /**
+     * Export conversations as a file for the pediatrician and download it
+     * @param {Object} options
+     * @param {string} options.format - 'pdf', 'markdown' or 'json'
+     * @param {string[]} options.threadIds - Threads to include
+     * @param {string} [options.childId] - Add this child's profile as a header
+     * @param {string} [options.from] - First day to include (YYYY-MM-DD, local)
+     * @param {string} [options.to] - Last day to include (YYYY-MM-DD, local)
+     * @returns {Promise<string>} the format downloaded (a PDF the server can't render comes as Markdown)
+     */
+    async exportConversations({ format, threadIds, childId = null, from = null, to = null }) {
+        const threads = this.getConversations(threadIds);
+
+        const response = await fetch('/api/export', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: JSON.stringify({ format, threads, childId, from, to, tzOffset: new Date().getTimezoneOffset() })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Export failed: ${response.status}`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `omaa-conversations.${format}`;
+        const url = URL.createObjectURL(await response.blob());
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+        return response.headers.get('X-Export-Format') || format;
+    }
+
+    /**
+     * Read a Server-Sent Events reply from /api/chat
+     * Reports the accumulated text through onDelta, a safety card through onSafety,
+     * and resolves with the final `done` payload
+     */
+    async readStream(response, { onDelta, onSafety } = {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let partial = '';
+        let result = null;
+
+        while (!result) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const event of events) {
+                if (!event.startsWith('data:')) continue;
+                const payload = JSON.parse(event.slice(5).trim());
+
+                if (payload.type === 'delta') {
+                    partial += payload.content;
+                    if (onDelta) onDelta(partial);
+                } else if (payload.type === 'reset') {
+                    // The server withheld the reply so far and is writing a new one
+                    partial = '';
+                    if (onDelta) onDelta(partial);
+                } else if (payload.type === 'safety') {
+                    if (onSafety) onSafety(payload.safety);
+                } else if (payload.type === 'error') {
+                    throw new Error(payload.error);
+                } else if (payload.type === 'done') {
+                    result = payload;
+                }
+            }
+        }
+
+        if (!result) {
+            throw new Error(i18n.t('chat.connectionLost'));
+        }
+        return result;
+    }
+
     /**
      * Check backend health and available providers
      */
@@ -139,7 +823,9 @@ class AIService {
             provider: this.currentProvider,
             providerName: 'OMaa AI',
             isConfigured: true,
-            historyLength: this.conversationHistory.length
+            historyLength: this.conversationHistory.length,
+            activeThreadId: this.activeThreadId,
+            threadCount: this.threads.length
         };
     }
 
@@ -10,6 +10,24 @@ document.addEventListener('DOMContentLoaded', () => {
     const mobileMenu = document.getElementById('mobileMenu');
     const navbar = document.querySelector('.navbar');
 
+    // The legal pages share this script but aren't translated, so i18n may be missing
+    const t = (key, english, vars) => (typeof i18n !== 'undefined' ? i18n.t(key, vars) : english);
+
+    // Remember a partner offer (?campaign=...&promo=...) until checkout
+    // Same storage key as SUBSCRIPTION_CONFIG.STORAGE_KEYS.OFFER, so enrolling from the chat page uses it too
+    const OFFER_KEY = 'omaa_offer';
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('campaign') || params.get('promo')) {
+        localStorage.setItem(OFFER_KEY, JSON.stringify({ campaign: params.get('campaign'), promoCode: params.get('promo') }));
+    }
+
+    // Lets the MoM AI app be installed and opened offline (see sw.js)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
     // Mobile menu toggle
     if (mobileMenuBtn && mobileMenu) {
         mobileMenuBtn.addEventListener('click', () => {
@@ -84,14 +102,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Disable button and show loading state
             const originalText = btn.innerHTML;
-            btn.innerHTML = 'Loading...';
+            btn.textContent = t('common.loading', 'Loading...');
             btn.style.pointerEvents = 'none';
 
             try {
                 const response = await fetch('/api/create-checkout-session', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ plan })
+                    body: JSON.stringify({ plan, ...JSON.parse(localStorage.getItem(OFFER_KEY) || '{}') })
                 });
                 const data = await response.json();
 
@@ -102,13 +120,80 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             } catch (error) {
                 console.error('Checkout error:', error);
-                alert('Unable to start checkout. Please try again.');
+                alert(t('site.checkoutFailed', 'Unable to start checkout. Please try again.'));
                 btn.innerHTML = originalText;
                 btn.style.pointerEvents = 'auto';
             }
         });
     });
 
+    // Gift buttons: buy 3, 6 or 12 months of MoM for someone
+    document.querySelectorAll('.gift-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+
+            try {
+                const response = await fetch('/api/gifts/checkout', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ months: Number(btn.dataset.months) })
+                });
+                const data = await response.json();
+
+                if (data.url) {
+                    window.location.href = data.url;
+                } else {
+                    throw new Error(data.error || 'Failed to create checkout session');
+                }
+            } catch (error) {
+                console.error('Gift checkout error:', error);
+                alert(t('site.checkoutFailed', 'Unable to start checkout. Please try again.'));
+                btn.disabled = false;
+            }
+        });
+    });
+
+    // Back from buying a gift: show the code to pass on
+    const giftModal = document.getElementById('giftModal');
+    const giftSession = params.get('gift_session');
+
+    if (giftModal && giftSession) {
+        showGift(giftSession);
+    }
+
+    async function showGift(sessionId) {
+        const message = document.getElementById('giftMessage');
+        const code = document.getElementById('giftCode');
+        const copyBtn = document.getElementById('copyGiftLinkBtn');
+
+        giftModal.style.display = 'flex';
+        document.getElementById('closeGiftModalBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            giftModal.style.display = 'none';
+        });
+
+        try {
+            await i18n.ready;
+            const response = await fetch(`/api/gifts/purchases/${encodeURIComponent(sessionId)}`);
+            const gift = await response.json();
+            if (!response.ok) throw new Error(gift.error);
+
+            const link = `${window.location.origin}/chat.html?gift=${gift.code}`;
+            message.textContent = t('landing.giftReady', '', { count: gift.months });
+            code.textContent = gift.code;
+            code.hidden = false;
+            copyBtn.hidden = false;
+            copyBtn.addEventListener('click', () => {
+                navigator.clipboard.writeText(link).then(() => {
+                    copyBtn.textContent = t('landing.giftLinkCopied', 'Link copied');
+                }).catch(error => console.error('Copy failed:', error));
+            });
+        } catch (error) {
+            console.error('Gift lookup error:', error);
+            message.textContent = t('landing.giftNotFound', '');
+        }
+    }
+
     // Intersection Observer for animations
     const observerOptions = {
         threshold: 0.1,
@@ -0,0 +1,295 @@
+/**
+ * Chat Attachments for OMaa
+ * =========================
+ *
+ * Parents can send a photo (a rash, a food label) or a document (a daycare
+ * report) with a message. Uploads are checked by content, not just by the
+ * type the browser claims. Images are re-encoded, which drops EXIF data
+ * including GPS location, and PDFs are rewritten without their document
+ * info and XMP metadata (author, software, sometimes location).
+ *
+ * Files are stored per Stripe customer in DATA_DIR/attachments. Chat
+ * messages reference them by ID; before a provider call the IDs are turned
+ * into provider-neutral content parts:
+ *   { type: 'text', text }
+ *   { type: 'image', mimeType, data }            (base64)
+ *   { type: 'document', mimeType, name, data }   (base64 PDF)
+ * which each provider adapter translates into its own content blocks.
+ *
+ * Environment variables (all optional):
+ *   ATTACHMENT_MAX_BYTES  largest accepted upload (default: 10 MB)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { DATA_DIR, getCollection } = require('./data-store');
+
+const ATTACHMENT_DIR = path.join(DATA_DIR, 'attachments');
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+
+// Longest side of a stored image and of its thumbnail
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_DIMENSION = 320;
+
+// Only the newest attachments in the context are sent as files; older ones become a note
+const MAX_CONTEXT_ATTACHMENTS = 4;
+const MAX_TEXT_ATTACHMENT_CHARS = 20000;
+
+const ATTACHMENT_TYPES = {
+    'image/jpeg': { kind: 'image', format: 'jpeg' },
+    'image/png': { kind: 'image', format: 'png' },
+    'image/webp': { kind: 'image', format: 'webp' },
+    'application/pdf': { kind: 'document' },
+    'text/plain': { kind: 'document' }
+};
+
+const attachments = getCollection('attachments');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 }
+}).single('file');
+
+/**
+ * Express middleware parsing a single `file` upload into req.file
+ * Oversized uploads get 413 `attachment_too_large`
+ */
+function receiveUpload() {
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    error: `That file is too big. Please keep attachments under ${Math.round(ATTACHMENT_MAX_BYTES / (1024 * 1024))} MB.`,
+                    code: 'attachment_too_large'
+                });
+            }
+            if (error) {
+                return res.status(400).json({ error: 'Please attach one file at a time', code: 'invalid_upload' });
+            }
+            next();
+        });
+    };
+}
+
+/**
+ * Attachment as returned by the API
+ */
+function toResponse(record) {
+    const { customerId, ...publicRecord } = record;
+    return publicRecord;
+}
+
+const filePath = (id, suffix = '') => path.join(ATTACHMENT_DIR, `${id}${suffix}`);
+
+/**
+ * Re-encode an image: applies the EXIF orientation, then drops all metadata
+ */
+async function processImage(buffer, format) {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== format) return null;
+
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .toFormat(format, format === 'jpeg' ? { quality: 85 } : {})
+        .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(data)
+        .resize({ width: THUMBNAIL_DIMENSION, height: THUMBNAIL_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+    return { data, thumbnail, width: info.width, height: info.height };
+}
+
+/**
+ * Rewrite a PDF without its document info dictionary and XMP metadata
+ * @returns {Promise<Buffer|null>} null when the PDF can't be read (or is encrypted)
+ */
+async function stripPdfMetadata(buffer) {
+    try {
+        const pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+        if (pdf.getPageCount() === 0) return null;
+
+        pdf.context.trailerInfo.Info = undefined;
+        pdf.catalog.delete(PDFName.of('Metadata'));
+        return Buffer.from(await pdf.save());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check that a document's content matches its declared type
+ */
+function isValidDocument(buffer, mimeType) {
+    if (mimeType === 'application/pdf') {
+        return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+    }
+    // Plain text: valid UTF-8 without binary control characters
+    const text = buffer.toString('utf8');
+    return !text.includes('\uFFFD') && !/[\x00-\x08\x0E-\x1F]/.test(text);
+}
+
+/**
+ * Store an uploaded file for a customer
+ * @returns {Promise<{ error: string|null, code?: string, attachment: Object }>}
+ */
+async function saveAttachment(customerId, file) {
+    const type = file && ATTACHMENT_TYPES[file.mimetype];
+    if (!type) {
+        return { error: 'I can read photos (JPEG, PNG, WebP), PDFs and text files.', code: 'unsupported_type' };
+    }
+
+    let data = file.buffer;
+    let thumbnail = null;
+    let dimensions = {};
+
+    if (type.kind === 'image') {
+        const image = await processImage(file.buffer, type.format).catch(() => null);
+        if (!image) {
+            return { error: "I couldn't open that photo. Could you try another one?", code: 'invalid_file' };
+        }
+        ({ data, thumbnail } = image);
+        dimensions = { width: image.width, height: image.height };
+    } else if (!isValidDocument(file.buffer, file.mimetype)) {
+        return { error: "That file doesn't look like a PDF or text file.", code: 'invalid_file' };
+    } else if (file.mimetype === 'application/pdf') {
+        data = await stripPdfMetadata(file.buffer);
+        if (!data) {
+            return { error: "I couldn't open that PDF. If it has a password, could you send a copy without one?", code: 'invalid_file' };
+        }
+    }
+
+    const id = `att_${crypto.randomUUID()}`;
+    fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+    fs.writeFileSync(filePath(id), data);
+    if (thumbnail) fs.writeFileSync(filePath(id, '.thumb.jpg'), thumbnail);
+
+    const attachment = attachments.set(id, {
+        id,
+        customerId,
+        kind: type.kind,
+        mimeType: file.mimetype,
+        name: path.basename(file.originalname || 'attachment').slice(0, 100),
+        size: data.length,
+        ...dimensions,
+        hasThumbnail: !!thumbnail,
+        createdAt: new Date().toISOString()
+    });
+
+    return { error: null, attachment: toResponse(attachment) };
+}
+
+/**
+ * Get one of a customer's attachments (raw record), or null
+ */
+function getAttachment(customerId, id) {
+    const attachment = typeof id === 'string' ? attachments.get(id) : null;
+    return attachment && attachment.customerId === customerId ? attachment : null;
+}
+
+/**
+ * List a customer's attachments, newest first
+ */
+function listAttachments(customerId) {
+    return attachments
+        .filter(a => a.customerId === customerId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toResponse);
+}
+
+/**
+ * Read an attachment's file, or its thumbnail
+ */
+function readAttachmentFile(attachment, { thumbnail = false } = {}) {
+    return fs.readFileSync(filePath(attachment.id, thumbnail ? '.thumb.jpg' : ''));
+}
+
+/**
+ * Delete every attachment a customer has uploaded, files included
+ * @returns {number} how many were deleted
+ */
+function deleteCustomerAttachments(customerId) {
+    const owned = attachments.filter(a => a.customerId === customerId);
+
+    owned.forEach(attachment => {
+        fs.rmSync(filePath(attachment.id), { force: true });
+        fs.rmSync(filePath(attachment.id, '.thumb.jpg'), { force: true });
+        attachments.delete(attachment.id);
+    });
+    return owned.length;
+}
+
+/**
+ * Content parts for one message's attachments
+ */
+function attachmentParts(attachment) {
+    const data = readAttachmentFile(attachment);
+
+    if (attachment.kind === 'image') {
+        return { type: 'image', mimeType: attachment.mimeType, name: attachment.name, data: data.toString('base64') };
+    }
+    if (attachment.mimeType === 'text/plain') {
+        return {
+            type: 'text',
+            text: `Attached file "${attachment.name}":\n${data.toString('utf8').slice(0, MAX_TEXT_ATTACHMENT_CHARS)}`
+        };
+    }
+    return { type: 'document', mimeType: attachment.mimeType, name: attachment.name, data: data.toString('base64') };
+}
+
+/**
+ * Replace attachment IDs on chat messages with content parts
+ * Messages without attachments keep plain string content. Unknown IDs, or
+ * IDs belonging to another customer, are ignored.
+ * @param {string} customerId
+ * @param {Array} messages - Provider messages; user turns may carry `attachments` (IDs)
+ * @returns {Array}
+ */
+function resolveAttachments(customerId, messages) {
+    let remaining = MAX_CONTEXT_ATTACHMENTS;
+
+    // Walk newest first so the latest attachments are the ones sent in full
+    return [...messages].reverse().map(message => {
+        const { attachments: ids, ...rest } = message;
+        const found = (Array.isArray(ids) ? ids : [])
+            .map(id => getAttachment(customerId, id))
+            .filter(Boolean);
+
+        if (found.length === 0) return rest;
+
+        const parts = message.content ? [{ type: 'text', text: message.content }] : [];
+        found.forEach(attachment => {
+            const note = { type: 'text', text: `(The parent shared "${attachment.name}" earlier in the conversation.)` };
+
+            if (remaining > 0) {
+                remaining--;
+                try {
+                    parts.push(attachmentParts(attachment));
+                } catch (error) {
+                    console.error('Attachment file unreadable:', attachment.id, error.message);
+                    parts.push(note);
+                }
+            } else {
+                parts.push(note);
+            }
+        });
+        return { ...rest, content: parts };
+    }).reverse();
+}
+
+module.exports = {
+    ATTACHMENT_MAX_BYTES,
+    receiveUpload,
+    saveAttachment,
+    getAttachment,
+    listAttachments,
+    readAttachmentFile,
+    deleteCustomerAttachments,
+    resolveAttachments
+};
@@ -0,0 +1,312 @@
+/**
+ * Sign-in for OMaa
+ * ================
+ *
+ * Issues the session tokens the app sends as `Authorization: Bearer <token>`.
+ * A token is bound to a Stripe customer, so access follows the subscriber to
+ * a new phone or a cleared browser instead of living in one browser's
+ * checkout session ID. A browser gets a token by:
+ *
+ * - finishing Stripe Checkout: the checkout session ID is exchanged for a
+ *   token (once, with an hour's grace for retries)
+ * - a magic link: the parent enters the email used at checkout and receives
+ *   a signed link that works once and expires after 15 minutes
+ *
+ * Only a hash of each token is stored. Links are signed with AUTH_SECRET, or
+ * with a secret generated on first start and kept in DATA_DIR/auth-secret.json.
+ * Keep that file (or set AUTH_SECRET) so links survive a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, getCollection } = require('./data-store');
+const { sendMail } = require('./mailer');
+const { saveCheckoutSession } = require('./subscription-store');
+
+const AUTH_SECRET_FILE = path.join(DATA_DIR, 'auth-secret.json');
+
+// Sessions last this long after their last use
+const SESSION_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+// Last use is written at most this often, to keep reads cheap
+const SESSION_TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+// One link request per email address per minute, whether or not it has an account
+const MAGIC_LINK_INTERVAL_MS = 60 * 1000;
+// A checkout session can be exchanged again this soon after the first time (a retried request)
+const EXCHANGE_GRACE_MS = 60 * 60 * 1000;
+
+const sessions = getCollection('auth-sessions');
+const magicLinks = getCollection('magic-links');
+// Last link request per address, by hashed email (kept only for the interval)
+const linkRequests = getCollection('magic-link-requests');
+const exchanges = getCollection('checkout-exchanges');
+
+// Magic link emails by interface language
+const MAGIC_LINK_EMAILS = {
+    en: {
+        subject: 'Your MoM sign-in link',
+        text: 'Tap this link to sign in to MoM on this device:\n\n{link}\n\nThe link works once and expires in 15 minutes. If you didn\'t ask to sign in, you can ignore this email.'
+    },
+    es: {
+        subject: 'Tu enlace para iniciar sesión en MoM',
+        text: 'Toca este enlace para iniciar sesión en MoM en este dispositivo:\n\n{link}\n\nEl enlace funciona una sola vez y caduca en 15 minutos. Si no pediste iniciar sesión, puedes ignorar este correo.'
+    },
+    zh: {
+        subject: '您的 MoM 登录链接',
+        text: '点击此链接，在此设备上登录 MoM：\n\n{link}\n\n该链接仅可使用一次，15 分钟后失效。如果您没有请求登录，请忽略此邮件。'
+    },
+    ar: {
+        subject: 'رابط تسجيل الدخول إلى MoM',
+        text: 'اضغط على هذا الرابط لتسجيل الدخول إلى MoM على هذا الجهاز:\n\n{link}\n\nيعمل الرابط مرة واحدة وتنتهي صلاحيته خلال 15 دقيقة. إذا لم تطلب تسجيل الدخول، يمكنك تجاهل هذه الرسالة.'
+    }
+};
+
+/**
+ * Load the link-signing secret, generating and saving one on first use
+ */
+function loadSecret() {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+    try {
+        return JSON.parse(fs.readFileSync(AUTH_SECRET_FILE, 'utf8')).secret;
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(AUTH_SECRET_FILE, JSON.stringify({ secret }, null, 2), { mode: 0o600 });
+    console.log('Generated sign-in secret in', AUTH_SECRET_FILE);
+    return secret;
+}
+
+const secret = loadSecret();
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Start a session for a customer
+ * @returns {string} the token (only its hash is kept)
+ */
+function createSession(customerId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    sessions.set(hash(token), {
+        id: hash(token),
+        customerId,
+        createdAt: new Date(now).toISOString(),
+        lastUsedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+    return token;
+}
+
+/**
+ * The customer a session token belongs to, or null when unknown or expired
+ * Each use extends the session.
+ */
+function getSessionCustomer(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const session = sessions.get(hash(token));
+    if (!session) return null;
+
+    const now = Date.now();
+    if (Date.parse(session.expiresAt) < now) {
+        sessions.delete(session.id);
+        return null;
+    }
+    if (now - Date.parse(session.lastUsedAt) > SESSION_TOUCH_INTERVAL_MS) {
+        sessions.set(session.id, {
+            ...session,
+            lastUsedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        });
+    }
+    return session.customerId;
+}
+
+/**
+ * End one session (sign out)
+ */
+function revokeSession(token) {
+    return typeof token === 'string' && sessions.delete(hash(token));
+}
+
+/**
+ * Exchange a completed subscription checkout for a session token
+ * Also moves browsers that stored a checkout session ID before tokens existed.
+ * @returns {Promise<{ error: string|null, token: string, customerId: string }>}
+ */
+async function exchangeCheckoutSession(stripe, sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) {
+        return { error: 'No session ID provided' };
+    }
+
+    const exchanged = exchanges.get(sessionId);
+    if (exchanged && Date.now() - Date.parse(exchanged.firstExchangedAt) > EXCHANGE_GRACE_MS) {
+        return { error: 'This checkout was already used to sign in. Please sign in with your email.' };
+    }
+
+    let session;
+    try {
+        session = await stripe.checkout.sessions.retrieve(sessionId);
+    } catch (error) {
+        // An unknown session ID is a bad credential, not an outage
+        if (error.type === 'StripeInvalidRequestError') {
+            return { error: 'Invalid session' };
+        }
+        throw error;
+    }
+
+    if (!session.customer || !session.subscription) {
+        return { error: 'No subscription found for this checkout' };
+    }
+
+    saveCheckoutSession(session);
+    if (!exchanged) {
+        // Only when it was first used; the record outlives an account deletion
+        exchanges.set(sessionId, { id: sessionId, firstExchangedAt: new Date().toISOString() });
+    }
+    return { error: null, token: createSession(session.customer), customerId: session.customer };
+}
+
+/**
+ * The customer to sign in for an email address: one with a current
+ * subscription first, then one with any subscription (so a former subscriber
+ * can still reach their data and billing)
+ * @returns {Promise<string|null>} customer ID
+ */
+async function findCustomerByEmail(stripe, email) {
+    const { data: customers } = await stripe.customers.list({ email, limit: 10 });
+    let fallback = null;
+
+    for (const customer of customers) {
+        const { data: subscriptions } = await stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 10 });
+
+        if (subscriptions.some(subscription => ['trialing', 'active'].includes(subscription.status))) {
+            return customer.id;
+        }
+        if (subscriptions.length && !fallback) {
+            fallback = customer.id;
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Forget magic links that have expired and requests outside the interval
+ */
+function pruneMagicLinks() {
+    const now = Date.now();
+    magicLinks.deleteWhere(link => Date.parse(link.expiresAt) < now);
+    linkRequests.deleteWhere(request => now - Date.parse(request.requestedAt) >= MAGIC_LINK_INTERVAL_MS);
+}
+
+/**
+ * Look up the subscriber for an address and email them a sign-in link
+ */
+async function deliverMagicLink(stripe, address, { emailHash, language, baseUrl }) {
+    // Stripe matches email addresses case-sensitively, and Checkout keeps them as typed
+    let customerId = await findCustomerByEmail(stripe, address);
+    if (!customerId && address !== address.toLowerCase()) {
+        customerId = await findCustomerByEmail(stripe, address.toLowerCase());
+    }
+    if (!customerId) {
+        console.log('Sign-in link not sent: no subscriber for that address');
+        return;
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = Date.now() + MAGIC_LINK_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({ n: nonce, c: customerId, e: expiresAt })).toString('base64url');
+    const link = `${baseUrl}/chat.html?signin=${payload}.${sign(payload)}`;
+
+    magicLinks.set(nonce, {
+        id: nonce,
+        emailHash,
+        customerId,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+        usedAt: null
+    });
+
+    const template = MAGIC_LINK_EMAILS[language] || MAGIC_LINK_EMAILS.en;
+    await sendMail({
+        to: address,
+        subject: template.subject,
+        text: template.text.replace('{link}', link)
+    });
+}
+
+/**
+ * Email a sign-in link to a subscriber
+ * Nothing tells the caller whether the address has an account, so the
+ * endpoint can't be used to find out who subscribes: the lookup and the
+ * email happen after this returns, so the reply takes as long either way.
+ * @param {Object} options
+ * @param {string} options.email - Address used at checkout
+ * @param {string} [options.language] - Interface language for the email
+ * @param {string} options.baseUrl - Origin the link points to
+ * @returns {{ error: string|null }} error only for a malformed address
+ */
+function sendMagicLink(stripe, { email, language, baseUrl }) {
+    const address = typeof email === 'string' ? email.trim() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address) || address.length > 254) {
+        return { error: 'Please enter a valid email address' };
+    }
+
+    pruneMagicLinks();
+
+    // Recorded before the lookup, so repeated or concurrent requests for any
+    // address - subscriber or not - cost one Stripe lookup and one email a minute
+    const emailHash = hash(address.toLowerCase());
+    if (linkRequests.has(emailHash)) return { error: null };
+    linkRequests.set(emailHash, { id: emailHash, requestedAt: new Date().toISOString() });
+
+    deliverMagicLink(stripe, address, { emailHash, language, baseUrl }).catch(error => {
+        console.error('Sign-in link not sent:', error.message);
+    });
+    return { error: null };
+}
+
+/**
+ * Sign in with a magic link's token
+ * @returns {{ error: string|null, token: string, customerId: string }}
+ */
+function redeemMagicLink(linkToken) {
+    const invalid = { error: 'This sign-in link is invalid or has expired. Please ask for a new one.' };
+    if (typeof linkToken !== 'string') return invalid;
+
+    const [payload, signature] = linkToken.split('.');
+    if (!payload || !signature) return invalid;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return invalid;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return invalid;
+    }
+
+    const link = magicLinks.get(claims.n);
+    if (!link || link.usedAt || claims.e < Date.now() || link.customerId !== claims.c) return invalid;
+
+    magicLinks.set(link.id, { ...link, usedAt: new Date().toISOString() });
+    return { error: null, token: createSession(claims.c), customerId: claims.c };
+}
+
+module.exports = {
+    getSessionCustomer,
+    revokeSession,
+    exchangeCheckoutSession,
+    sendMagicLink,
+    redeemMagicLink
+};
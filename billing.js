@@ -0,0 +1,192 @@
+/**
+ * Billing for OMaa
+ * ================
+ *
+ * Lets a subscriber see and change their plan without leaving the app: plan
+ * details for the "Manage subscription" screen, a Stripe billing portal
+ * session (card, invoices, cancellation), and a move from monthly to annual
+ * billing with a proration preview.
+ *
+ * - Details are read live from Stripe, since the webhook copy has no amounts.
+ * - A plan change is previewed and applied with the same proration date, so
+ *   the amount the parent confirms is the amount charged.
+ * - During a trial nothing is prorated: the trial carries on and the first
+ *   charge at its end is on the new plan.
+ */
+
+const { saveSubscription } = require('./subscription-store');
+
+// Stripe price IDs per plan
+// Environment variables: STRIPE_PRICE_ID (monthly), STRIPE_ANNUAL_PRICE_ID (annual)
+const PLAN_PRICE_IDS = {
+    monthly: () => process.env.STRIPE_PRICE_ID || process.env.STRIPE_PRICE_ID_M_699,
+    annual: () => process.env.STRIPE_ANNUAL_PRICE_ID || process.env.STRIPE_PRICE_ID_A_72
+};
+
+const INTERVAL_PLANS = {
+    month: 'monthly',
+    year: 'annual'
+};
+
+// Switches made in the app; anything else (annual to monthly) goes through the billing portal
+const PLAN_UPGRADES = {
+    monthly: ['annual']
+};
+
+// A preview older than this is stale; the change is priced again from now
+const MAX_PREVIEW_AGE_SECONDS = 60 * 60;
+
+const toIsoDate = (seconds) => seconds ? new Date(seconds * 1000).toISOString() : null;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Stripe price ID for a plan ('monthly' or 'annual'), or null when not configured
+ */
+function getPriceId(plan) {
+    return PLAN_PRICE_IDS[plan] ? PLAN_PRICE_IDS[plan]() || null : null;
+}
+
+/**
+ * Plan details for the "Manage subscription" screen
+ */
+function toDetails(subscription) {
+    const price = subscription.items?.data?.[0]?.price;
+
+    return {
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        plan: INTERVAL_PLANS[price?.recurring?.interval] || null,
+        amount: price?.unit_amount ?? null,
+        currency: price?.currency || null,
+        trialEnd: toIsoDate(subscription.trial_end),
+        currentPeriodEnd: toIsoDate(subscription.current_period_end),
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+        // The next charge is at the end of the trial or period, unless the subscription is ending
+        nextChargeAt: ['trialing', 'active'].includes(subscription.status) && !subscription.cancel_at_period_end
+            ? toIsoDate(subscription.trial_end || subscription.current_period_end)
+            : null,
+        // Offer the configured upgrades from the current plan
+        availablePlans: (PLAN_UPGRADES[INTERVAL_PLANS[price?.recurring?.interval]] || []).filter(plan => getPriceId(plan))
+    };
+}
+
+/**
+ * Current plan details for a subscription
+ */
+async function getSubscriptionDetails(stripe, subscriptionId) {
+    return toDetails(await stripe.subscriptions.retrieve(subscriptionId));
+}
+
+/**
+ * Create a billing portal session where the customer can update their card,
+ * see invoices or cancel
+ * @returns {Promise<string>} portal URL
+ */
+async function createPortalSession(stripe, customerId, returnUrl) {
+    const session = await stripe.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: returnUrl
+    });
+    return session.url;
+}
+
+/**
+ * Check a plan change and gather what Stripe needs to price or apply it
+ * @returns {Promise<{ error: string|null, subscription: Object, itemId: string, priceId: string }>}
+ */
+async function preparePlanChange(stripe, subscriptionId, plan) {
+    const priceId = getPriceId(plan);
+    if (!priceId) {
+        return { error: 'Plan must be monthly or annual' };
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const item = subscription.items?.data?.[0];
+
+    if (!item || !['trialing', 'active'].includes(subscription.status)) {
+        return { error: 'Only a current subscription can change plans' };
+    }
+    if (item.price?.id === priceId) {
+        return { error: `You're already on the ${plan} plan` };
+    }
+    if (!(PLAN_UPGRADES[INTERVAL_PLANS[item.price?.recurring?.interval]] || []).includes(plan)) {
+        return { error: `Please switch to the ${plan} plan in the billing portal` };
+    }
+    return { error: null, subscription, itemId: item.id, priceId };
+}
+
+/**
+ * Preview switching a subscription to another plan
+ * @returns {Promise<{ error: string|null, preview: Object }>} preview has the
+ *   amount due and when it is charged, the credit for unused time, and the
+ *   prorationDate to pass to changePlan
+ */
+async function previewPlanChange(stripe, subscriptionId, plan) {
+    const { error, subscription, itemId, priceId } = await preparePlanChange(stripe, subscriptionId, plan);
+    if (error) return { error };
+
+    const isTrialing = subscription.status === 'trialing';
+    const prorationDate = nowSeconds();
+
+    // With immediate invoicing the upcoming invoice is the one charged on switching;
+    // during a trial it is the first invoice on the new plan
+    const invoice = await stripe.invoices.retrieveUpcoming({
+        customer: subscription.customer,
+        subscription: subscription.id,
+        subscription_items: [{ id: itemId, price: priceId }],
+        subscription_proration_behavior: isTrialing ? 'none' : 'always_invoice',
+        ...(isTrialing ? {} : { subscription_proration_date: prorationDate })
+    });
+
+    const credit = invoice.lines.data
+        .filter(line => line.proration && line.amount < 0)
+        .reduce((sum, line) => sum - line.amount, 0);
+
+    return {
+        error: null,
+        preview: {
+            plan,
+            amountDue: invoice.amount_due,
+            currency: invoice.currency,
+            credit,
+            chargedAt: isTrialing ? toIsoDate(subscription.trial_end) : toIsoDate(prorationDate),
+            isTrialing,
+            prorationDate
+        }
+    };
+}
+
+/**
+ * Switch a subscription to another plan, charging the prorated difference now
+ * @param {number} [prorationDate] - From the preview the parent confirmed
+ * @returns {Promise<{ error: string|null, subscription: Object }>} updated plan details
+ */
+async function changePlan(stripe, subscriptionId, plan, prorationDate) {
+    const { error, subscription, itemId, priceId } = await preparePlanChange(stripe, subscriptionId, plan);
+    if (error) return { error };
+
+    const isTrialing = subscription.status === 'trialing';
+    const now = nowSeconds();
+    const confirmedDate = Number.isInteger(prorationDate) && prorationDate <= now && now - prorationDate <= MAX_PREVIEW_AGE_SECONDS
+        ? prorationDate
+        : now;
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+        items: [{ id: itemId, price: priceId }],
+        proration_behavior: isTrialing ? 'none' : 'always_invoice',
+        ...(isTrialing ? {} : { proration_date: confirmedDate }),
+        // A declined card leaves the subscription on its current plan
+        payment_behavior: 'error_if_incomplete'
+    });
+
+    saveSubscription(updated);
+    return { error: null, subscription: toDetails(updated) };
+}
+
+module.exports = {
+    getPriceId,
+    getSubscriptionDetails,
+    createPortalSession,
+    previewPlanChange,
+    changePlan
+};
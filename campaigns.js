@@ -0,0 +1,130 @@
+/**
+ * Campaigns for OMaa
+ * ==================
+ *
+ * Partner offers (hospitals, doulas, employers): a campaign can change the
+ * length of the free trial and apply a Stripe promotion code at checkout.
+ * Campaigns are configured in the CAMPAIGNS environment variable as JSON,
+ * keyed by the ID used in partner links (e.g. /?campaign=stmarys):
+ *
+ *   {"stmarys": {"trialDays": 30},
+ *    "doulas": {"trialDays": 14, "promotionCode": "DOULA20", "endsAt": "2026-12-31"}}
+ *
+ * A link can also carry a promotion code on its own (?promo=DOULA20), and
+ * parents can type one on the Stripe Checkout page.
+ */
+
+const DEFAULT_TRIAL_DAYS = 7;
+// Stripe's limit for trial_period_days
+const MAX_TRIAL_DAYS = 730;
+
+let campaigns = null;
+
+/**
+ * Check one campaign's settings
+ * @returns {{ error: string|null, value: Object }}
+ */
+function validateCampaign(input) {
+    const trialDays = input.trialDays ?? DEFAULT_TRIAL_DAYS;
+    if (!Number.isInteger(trialDays) || trialDays < 0 || trialDays > MAX_TRIAL_DAYS) {
+        return { error: `trialDays must be a whole number from 0 to ${MAX_TRIAL_DAYS}` };
+    }
+    if (input.promotionCode !== undefined && (typeof input.promotionCode !== 'string' || !input.promotionCode.trim())) {
+        return { error: 'promotionCode must be a code' };
+    }
+    if (input.endsAt !== undefined && isNaN(Date.parse(input.endsAt))) {
+        return { error: 'endsAt must be a date' };
+    }
+
+    return {
+        error: null,
+        value: {
+            trialDays,
+            promotionCode: input.promotionCode?.trim() || null,
+            endsAt: input.endsAt || null
+        }
+    };
+}
+
+/**
+ * Campaigns from the environment, parsed once
+ * A campaign with bad settings is left out (and logged) rather than stopping the server.
+ */
+function loadCampaigns() {
+    if (campaigns) return campaigns;
+
+    campaigns = new Map();
+    if (!process.env.CAMPAIGNS) return campaigns;
+
+    let config;
+    try {
+        config = JSON.parse(process.env.CAMPAIGNS);
+    } catch (error) {
+        console.error('CAMPAIGNS is not valid JSON:', error.message);
+        return campaigns;
+    }
+
+    Object.entries(config || {}).forEach(([id, input]) => {
+        const { error, value } = validateCampaign(input || {});
+        if (error) {
+            console.error(`Campaign "${id}" ignored:`, error);
+            return;
+        }
+        campaigns.set(id.toLowerCase(), { id: id.toLowerCase(), ...value });
+    });
+    return campaigns;
+}
+
+/**
+ * A running campaign by ID, or null when unknown or ended
+ */
+function getCampaign(id) {
+    if (typeof id !== 'string' || !id) return null;
+
+    const campaign = loadCampaigns().get(id.toLowerCase());
+    if (!campaign) return null;
+    if (campaign.endsAt && Date.parse(campaign.endsAt) < Date.now()) return null;
+    return campaign;
+}
+
+/**
+ * Look up an active Stripe promotion code by the code parents type
+ * @returns {Promise<string|null>} promotion code ID
+ */
+async function findPromotionCode(stripe, code) {
+    const { data } = await stripe.promotionCodes.list({ code: code.trim(), active: true, limit: 1 });
+    return data[0]?.id || null;
+}
+
+/**
+ * Trial and discount for a subscription checkout
+ * A campaign's promotion code wins over one from the link. A code that isn't
+ * valid (expired, used up, mistyped) is dropped, so the parent can still
+ * subscribe and try another on the Checkout page.
+ * @param {Object} options
+ * @param {string} [options.campaign] - Campaign ID from the link
+ * @param {string} [options.promoCode] - Promotion code from the link
+ * @returns {Promise<{ trialDays: number, promotionCodeId: string|null, campaign: string|null }>}
+ */
+async function getCheckoutTerms(stripe, { campaign: campaignId, promoCode } = {}) {
+    const campaign = getCampaign(campaignId);
+    const code = campaign?.promotionCode || (typeof promoCode === 'string' && promoCode.trim() ? promoCode : null);
+
+    let promotionCodeId = null;
+    if (code) {
+        promotionCodeId = await findPromotionCode(stripe, code);
+        if (!promotionCodeId) {
+            console.warn('Promotion code not applied (unknown or inactive):', code);
+        }
+    }
+
+    return {
+        trialDays: campaign ? campaign.trialDays : DEFAULT_TRIAL_DAYS,
+        promotionCodeId,
+        campaign: campaign?.id || null
+    };
+}
+
+module.exports = {
+    getCheckoutTerms
+};
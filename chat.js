@@ -18,151 +18,1804 @@ document.addEventListener('DOMContentLoaded', async () => {
     const subscribePaywallBtn = document.getElementById('subscribePaywallBtn');
     const enrollModal = document.getElementById('enrollModal');
     const enrollBtn = document.getElementById('enrollBtn');
+    const signInLink = document.getElementById('signInLink');
+    const signInForm = document.getElementById('signInForm');
+    const signInEmail = document.getElementById('signInEmail');
+    const signInBtn = document.getElementById('signInBtn');
+    const signInSent = document.getElementById('signInSent');
+    const giftRedeemLink = document.getElementById('giftRedeemLink');
+    const giftRedeemForm = document.getElementById('giftRedeemForm');
+    const giftCodeInput = document.getElementById('giftCodeInput');
+    const giftRedeemBtn = document.getElementById('giftRedeemBtn');
+    const threadsBtn = document.getElementById('threadsBtn');
+    const threadPanel = document.getElementById('threadPanel');
+    const threadList = document.getElementById('threadList');
+    const newThreadBtn = document.getElementById('newThreadBtn');
+    const showArchivedBtn = document.getElementById('showArchivedBtn');
+    const closeThreadPanelBtn = document.getElementById('closeThreadPanelBtn');
+
+    const profileBtn = document.getElementById('profileBtn');
+    const profilePanel = document.getElementById('profilePanel');
+    const profileList = document.getElementById('profileList');
+    const profileForm = document.getElementById('profileForm');
+    const addChildBtn = document.getElementById('addChildBtn');
+    const cancelProfileBtn = document.getElementById('cancelProfileBtn');
+    const closeProfilePanelBtn = document.getElementById('closeProfilePanelBtn');
+    const childChip = document.getElementById('childChip');
+
+    const trackerBtn = document.getElementById('trackerBtn');
+    const trackerPanel = document.getElementById('trackerPanel');
+    const trackerHint = document.getElementById('trackerHint');
+    const trackerQuick = document.getElementById('trackerQuick');
+    const trackerSleepBtn = document.getElementById('trackerSleepBtn');
+    const trackerFeedForm = document.getElementById('trackerFeedForm');
+    const cancelFeedBtn = document.getElementById('cancelFeedBtn');
+    const trackerSummary = document.getElementById('trackerSummary');
+    const trackerList = document.getElementById('trackerList');
+    const closeTrackerPanelBtn = document.getElementById('closeTrackerPanelBtn');
+
+    const milestonesBtn = document.getElementById('milestonesBtn');
+    const milestonePanel = document.getElementById('milestonePanel');
+    const milestoneHint = document.getElementById('milestoneHint');
+    const milestoneContent = document.getElementById('milestoneContent');
+    const closeMilestonePanelBtn = document.getElementById('closeMilestonePanelBtn');
+
+    const remindersBtn = document.getElementById('remindersBtn');
+    const reminderPanel = document.getElementById('reminderPanel');
+    const reminderList = document.getElementById('reminderList');
+    const reminderForm = document.getElementById('reminderForm');
+    const addReminderBtn = document.getElementById('addReminderBtn');
+    const cancelReminderBtn = document.getElementById('cancelReminderBtn');
+    const enablePushBtn = document.getElementById('enablePushBtn');
+    const pushStatus = document.getElementById('pushStatus');
+    const addVaccineRemindersBtn = document.getElementById('addVaccineRemindersBtn');
+    const closeReminderPanelBtn = document.getElementById('closeReminderPanelBtn');
+
+    const exportBtn = document.getElementById('exportBtn');
+    const exportPanel = document.getElementById('exportPanel');
+    const exportForm = document.getElementById('exportForm');
+    const closeExportPanelBtn = document.getElementById('closeExportPanelBtn');
+
+    const settingsBtn = document.getElementById('settingsBtn');
+    const settingsPanel = document.getElementById('settingsPanel');
+    const billingSummary = document.getElementById('billingSummary');
+    const planChange = document.getElementById('planChange');
+    const planChangeSummary = document.getElementById('planChangeSummary');
+    const confirmPlanChangeBtn = document.getElementById('confirmPlanChangeBtn');
+    const cancelPlanChangeBtn = document.getElementById('cancelPlanChangeBtn');
+    const upgradePlanBtn = document.getElementById('upgradePlanBtn');
+    const billingPortalBtn = document.getElementById('billingPortalBtn');
+    const downloadDataBtn = document.getElementById('downloadDataBtn');
+    const deleteAccountForm = document.getElementById('deleteAccountForm');
+    const deleteConfirmInput = document.getElementById('deleteConfirmInput');
+    const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+    const paywallAccountLink = document.getElementById('paywallAccountLink');
+    const signOutBtn = document.getElementById('signOutBtn');
+    const closeSettingsPanelBtn = document.getElementById('closeSettingsPanelBtn');
+
+    const voiceBtn = document.getElementById('voiceBtn');
+    const readAloudBtn = document.getElementById('readAloudBtn');
+    const attachBtn = document.getElementById('attachBtn');
+    const attachInput = document.getElementById('attachInput');
+    const attachmentTray = document.getElementById('attachmentTray');
+
+    // Profile being edited in the form (null when adding a new child)
+    let editingChildId = null;
+
+    // Tracker summary shown: 'day' or 'week'
+    let trackerPeriod = 'day';
+
+    // Whether a reply is in flight (threads can't be switched until it lands)
+    let isSending = false;
+
+    // Voice input: a press longer than this is hold-to-talk, shorter is tap-to-toggle
+    const HOLD_TO_TALK_MS = 400;
+    // 'idle', 'pressing' (held since pointerdown), 'toggled' (recording after a tap) or 'transcribing'
+    let voiceState = 'idle';
+    let voicePressStartedAt = 0;
+    let stopOnRelease = false;
+
+    // Attachments for the next message: { file, previewUrl, attachment (once uploaded), error }
+    let pendingAttachments = [];
+    const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+    let showingArchived = false;
+
+    // Plan change shown for confirmation (from subscriptionService.previewPlanChange)
+    let planPreview = null;
+
+    // Queued messages are retried this often while the connection is flaky
+    const OUTBOX_RETRY_MS = 30000;
+    let outboxRetryTimer = null;
 
     // Avatar SVGs
     const userAvatarSvg = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Cdefs%3E%3ClinearGradient id='userGrad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' stop-color='%23667eea'/%3E%3Cstop offset='100%25' stop-color='%23764ba2'/%3E%3C/linearGradient%3E%3C/defs%3E%3Ccircle cx='50' cy='50' r='48' fill='url(%23userGrad)'/%3E%3Ccircle cx='50' cy='40' r='18' fill='white' opacity='0.9'/%3E%3Cellipse cx='50' cy='75' rx='25' ry='18' fill='white' opacity='0.7'/%3E%3C/svg%3E`;
 
-    const momAvatarSvg = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Cdefs%3E%3ClinearGradient id='momGrad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' stop-color='%23ff6b9d'/%3E%3Cstop offset='100%25' stop-color='%23c44569'/%3E%3C/linearGradient%3E%3C/defs%3E%3Ccircle cx='50' cy='50' r='48' fill='url(%23momGrad)'/%3E%3Ccircle cx='50' cy='40' r='18' fill='white' opacity='0.9'/%3E%3Cellipse cx='50' cy='75' rx='25' ry='18' fill='white' opacity='0.7'/%3E%3C/svg%3E`;
+    const momAvatarSvg = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Cdefs%3E%3ClinearGradient id='momGrad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' stop-color='%23ff6b9d'/%3E%3Cstop offset='100%25' stop-color='%23c44569'/%3E%3C/linearGradient%3E%3C/defs%3E%3Ccircle cx='50' cy='50' r='48' fill='url(%23momGrad)'/%3E%3Ccircle cx='50' cy='40' r='18' fill='white' opacity='0.9'/%3E%3Cellipse cx='50' cy='75' rx='25' ry='18' fill='white' opacity='0.7'/%3E%3C/svg%3E`;
+
+    const clockIconSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12" aria-hidden="true"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>';
+
+    const checkIconSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12" aria-hidden="true"><polyline points="20 6 9 17 4 12"/></svg>';
+
+    const documentIconSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>';
+
+    // Interface text comes from the locale bundle, so it must be loaded first
+    await i18n.ready;
+
+    // Caches the app for offline use and shows reminder notifications
+    reminderService.registerServiceWorker().catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+
+    // Initialize subscription service
+    await subscriptionService.init();
+
+    // Check if user has valid access
+    const accessCheck = await checkAccess();
+
+    if (!accessCheck.valid) {
+        // User not enrolled - show enrollment modal
+        showEnrollModal();
+        disableChat();
+
+        // An emailed sign-in link that didn't work: offer to send a new one
+        if (subscriptionService.signInError) {
+            showSignInForm();
+            showNotification(i18n.t('signIn.linkFailed'), 'error');
+        }
+    } else {
+        // User has access - enable chat
+        enableChat();
+        loadChatHistory();
+        await childProfileService.load();
+        renderProfiles();
+
+        openDeepLink(window.location.href);
+
+        // Back from the billing portal: show the subscription as it is now
+        if (new URLSearchParams(window.location.search).has('billing')) {
+            window.history.replaceState(null, '', window.location.pathname);
+            settingsPanel.classList.add('active');
+            renderBilling();
+        }
+
+        if (accessCheck.offline) {
+            showNotification(i18n.t('chat.offline'), 'error');
+        } else {
+            sendQueuedMessages();
+        }
+    }
+
+    // A gift link (chat.html?gift=CODE): offer to redeem it unless MoM is already paid for
+    const giftCode = new URLSearchParams(window.location.search).get('gift');
+    if (giftCode) {
+        window.history.replaceState(null, '', window.location.pathname);
+        if (subscriptionService.canSendMessage()) {
+            showNotification(i18n.t('gift.alreadySubscribed'));
+        } else {
+            showEnrollModal();
+            showGiftRedeemForm(giftCode);
+        }
+    }
+
+    // Back online: check access again, reload what couldn't load and send the queued messages
+    window.addEventListener('online', async () => {
+        if (subscriptionService.accessData?.offline) {
+            await subscriptionService.verifyAccess();
+        }
+        if (!subscriptionService.canSendMessage()) return;
+
+        await childProfileService.load();
+        renderProfiles();
+        sendQueuedMessages();
+    });
+
+    window.addEventListener('offline', () => {
+        showNotification(i18n.t('chat.offline'), 'error');
+    });
+
+    // Event Listeners
+    sendBtn.addEventListener('click', sendMessage);
+    chatInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        }
+    });
+
+    attachBtn.addEventListener('click', () => attachInput.click());
+
+    // Voice input: hold to talk (sends on release) or tap to start and tap again to stop (fills the input)
+    if (!voiceService.isRecordingSupported()) {
+        voiceBtn.hidden = true;
+    }
+
+    voiceBtn.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || voiceBtn.disabled) return;
+
+        if (voiceState === 'toggled') {
+            stopOnRelease = true;
+            return;
+        }
+        if (voiceState !== 'idle') return;
+
+        voiceBtn.setPointerCapture(e.pointerId);
+        voicePressStartedAt = Date.now();
+        startVoiceInput('pressing');
+    });
+
+    voiceBtn.addEventListener('pointerup', () => {
+        if (voiceState === 'pressing') {
+            if (Date.now() - voicePressStartedAt >= HOLD_TO_TALK_MS) {
+                finishVoiceInput({ send: true });
+            } else {
+                voiceState = 'toggled';
+            }
+        } else if (voiceState === 'toggled' && stopOnRelease) {
+            finishVoiceInput({ send: false });
+        }
+    });
+
+    voiceBtn.addEventListener('pointercancel', () => {
+        if (voiceState === 'pressing') finishVoiceInput({ send: false });
+    });
+
+    // Keyboard users get tap-to-toggle
+    voiceBtn.addEventListener('click', (e) => {
+        if (e.detail !== 0) return;
+        if (voiceState === 'idle') {
+            startVoiceInput('toggled');
+        } else if (voiceState === 'toggled') {
+            finishVoiceInput({ send: false });
+        }
+    });
+
+    readAloudBtn.classList.toggle('active', voiceService.readAloud);
+    readAloudBtn.setAttribute('aria-pressed', String(voiceService.readAloud));
+    readAloudBtn.addEventListener('click', () => {
+        voiceService.setReadAloud(!voiceService.readAloud);
+        readAloudBtn.classList.toggle('active', voiceService.readAloud);
+        readAloudBtn.setAttribute('aria-pressed', String(voiceService.readAloud));
+        showNotification(i18n.t(voiceService.readAloud ? 'chat.readAloudOn' : 'chat.readAloudOff'));
+    });
+
+    attachInput.addEventListener('change', () => {
+        const files = [...attachInput.files];
+        attachInput.value = '';
+
+        const room = MAX_ATTACHMENTS_PER_MESSAGE - pendingAttachments.length;
+        if (files.length > room) {
+            showNotification(i18n.t('chat.tooManyFiles', { count: MAX_ATTACHMENTS_PER_MESSAGE }), 'error');
+        }
+        files.slice(0, Math.max(room, 0)).forEach(uploadPendingAttachment);
+    });
+
+    if (menuBtn) {
+        menuBtn.addEventListener('click', () => {
+            mobileMenu.classList.toggle('active');
+        });
+    }
+
+    if (clearChatBtn) {
+        clearChatBtn.addEventListener('click', () => {
+            if (confirm(i18n.t('chat.clearConfirm'))) {
+                aiService.clearHistory();
+                clearMessagesUI();
+                showNotification(i18n.t('chat.cleared'));
+            }
+        });
+    }
+
+    // Conversation threads
+    aiService.onThreadsChanged = renderThreadList;
+    renderThreadList();
+
+    if (threadsBtn) {
+        threadsBtn.addEventListener('click', () => {
+            threadPanel.classList.toggle('active');
+        });
+    }
+
+    if (closeThreadPanelBtn) {
+        closeThreadPanelBtn.addEventListener('click', () => {
+            threadPanel.classList.remove('active');
+        });
+    }
+
+    if (newThreadBtn) {
+        newThreadBtn.addEventListener('click', () => {
+            if (!canChangeThread()) return;
+            aiService.createThread();
+            showActiveThread();
+            threadPanel.classList.remove('active');
+            chatInput.focus();
+        });
+    }
+
+    if (showArchivedBtn) {
+        showArchivedBtn.addEventListener('click', () => {
+            showingArchived = !showingArchived;
+            showArchivedBtn.textContent = i18n.t(showingArchived ? 'threads.showOpen' : 'threads.showArchived');
+            renderThreadList();
+        });
+    }
+
+    if (threadList) {
+        threadList.addEventListener('click', (e) => {
+            const item = e.target.closest('.thread-item');
+            if (!item || !canChangeThread()) return;
+
+            const threadId = item.dataset.threadId;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const wasActive = threadId === aiService.activeThreadId;
+
+            if (action === 'rename') {
+                const thread = aiService.getThread(threadId);
+                const title = prompt(i18n.t('threads.renamePrompt'), thread.title);
+                if (title) aiService.renameThread(threadId, title);
+            } else if (action === 'archive') {
+                aiService.archiveThread(threadId, !showingArchived);
+                if (wasActive) showActiveThread();
+            } else if (action === 'delete') {
+                if (confirm(i18n.t('threads.deleteConfirm'))) {
+                    aiService.deleteThread(threadId);
+                    if (wasActive) showActiveThread();
+                }
+            } else if (!wasActive) {
+                aiService.switchThread(threadId);
+                showActiveThread();
+                renderThreadList();
+                threadPanel.classList.remove('active');
+            }
+        });
+    }
+
+    // Child profiles
+    if (profileBtn) {
+        profileBtn.addEventListener('click', () => {
+            profilePanel.classList.toggle('active');
+        });
+    }
+
+    if (childChip) {
+        childChip.addEventListener('click', () => {
+            profilePanel.classList.add('active');
+        });
+    }
+
+    if (closeProfilePanelBtn) {
+        closeProfilePanelBtn.addEventListener('click', () => {
+            profilePanel.classList.remove('active');
+        });
+    }
+
+    if (addChildBtn) {
+        addChildBtn.addEventListener('click', () => openProfileForm(null));
+    }
+
+    if (cancelProfileBtn) {
+        cancelProfileBtn.addEventListener('click', closeProfileForm);
+    }
+
+    if (profileForm) {
+        profileForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const dateType = document.getElementById('childDateType').value;
+            const details = {
+                name: document.getElementById('childName').value,
+                [dateType]: document.getElementById('childDate').value,
+                sex: document.getElementById('childSex').value,
+                feedingMethod: document.getElementById('childFeeding').value || null,
+                allergies: document.getElementById('childAllergies').value.split(',').map(a => a.trim()).filter(Boolean),
+                medicalNotes: document.getElementById('childNotes').value
+            };
+
+            try {
+                await childProfileService.saveChild(details, editingChildId);
+                closeProfileForm();
+                renderProfiles();
+                showNotification(i18n.t('profiles.saved'));
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    if (profileList) {
+        profileList.addEventListener('click', async (e) => {
+            const item = e.target.closest('.profile-item');
+            if (!item) return;
+
+            const childId = item.dataset.childId;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (action === 'edit') {
+                openProfileForm(childProfileService.getChildren().find(child => child.id === childId));
+            } else if (action === 'delete') {
+                if (confirm(i18n.t('profiles.deleteConfirm'))) {
+                    try {
+                        await childProfileService.deleteChild(childId);
+                        renderProfiles();
+                    } catch (error) {
+                        showNotification(error.message, 'error');
+                    }
+                }
+            } else {
+                // Clicking the selected child again means "not about a specific child"
+                const isSelected = childId === childProfileService.getSelectedChildId();
+                childProfileService.selectChild(isSelected ? null : childId);
+                renderProfiles();
+            }
+        });
+    }
+
+    // Activity tracker
+    if (trackerBtn) {
+        trackerBtn.addEventListener('click', () => {
+            trackerPanel.classList.toggle('active');
+            if (trackerPanel.classList.contains('active')) renderTracker();
+        });
+    }
+
+    if (closeTrackerPanelBtn) {
+        closeTrackerPanelBtn.addEventListener('click', () => {
+            trackerPanel.classList.remove('active');
+        });
+    }
+
+    if (trackerQuick) {
+        trackerQuick.addEventListener('click', async (e) => {
+            const log = e.target.closest('[data-log]')?.dataset.log;
+            const childId = childProfileService.getSelectedChildId();
+            if (!log || !childId) return;
+
+            if (log === 'feed') {
+                openFeedForm();
+                return;
+            }
+
+            try {
+                if (log === 'sleep') {
+                    const ongoing = trackerService.getOngoingSleep();
+                    if (ongoing) {
+                        await trackerService.updateEntry(ongoing.id, { endedAt: new Date().toISOString() });
+                        showNotification(i18n.t('tracker.wakeLogged'));
+                    } else {
+                        // Sleep starting in the evening or at night counts as night sleep
+                        const hour = new Date().getHours();
+                        await trackerService.logEntry(childId, { type: 'sleep', kind: hour >= 19 || hour < 6 ? 'night' : 'nap' });
+                        showNotification(i18n.t('tracker.sleepStarted'));
+                    }
+                } else {
+                    await trackerService.logEntry(childId, { type: 'diaper', kind: log });
+                    showNotification(i18n.t('tracker.diaperLogged'));
+                }
+                renderTracker();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    if (trackerFeedForm) {
+        document.getElementById('feedMethod').addEventListener('change', updateFeedFields);
+
+        trackerFeedForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const method = document.getElementById('feedMethod').value;
+            const duration = document.getElementById('feedDuration').value;
+            const details = {
+                type: 'feed',
+                method,
+                startedAt: timeToday(document.getElementById('feedTime').value).toISOString(),
+                durationMinutes: duration === '' || method === 'solids' ? null : Number(duration)
+            };
+            if (method === 'breast') {
+                details.side = document.getElementById('feedSide').value;
+            }
+            if (method === 'bottle') {
+                details.volumeMl = Number(document.getElementById('feedVolume').value);
+                details.contents = document.getElementById('feedContents').value;
+            }
+
+            try {
+                await trackerService.logEntry(childProfileService.getSelectedChildId(), details);
+                closeFeedForm();
+                showNotification(i18n.t('tracker.feedLogged'));
+                renderTracker();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    if (cancelFeedBtn) {
+        cancelFeedBtn.addEventListener('click', closeFeedForm);
+    }
+
+    if (trackerPanel) {
+        trackerPanel.querySelectorAll('.tracker-period-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                trackerPeriod = button.dataset.period;
+                trackerPanel.querySelectorAll('.tracker-period-btn').forEach(b => {
+                    b.classList.toggle('active', b === button);
+                });
+                renderTracker();
+            });
+        });
+    }
+
+    if (trackerList) {
+        trackerList.addEventListener('click', async (e) => {
+            const item = e.target.closest('.tracker-item');
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (!item || action !== 'delete') return;
+
+            if (confirm(i18n.t('tracker.deleteConfirm'))) {
+                try {
+                    await trackerService.deleteEntry(item.dataset.entryId);
+                    renderTracker();
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    // Milestone checklist
+    if (milestonesBtn) {
+        milestonesBtn.addEventListener('click', () => {
+            milestonePanel.classList.toggle('active');
+            if (milestonePanel.classList.contains('active')) renderMilestones();
+        });
+    }
+
+    if (closeMilestonePanelBtn) {
+        closeMilestonePanelBtn.addEventListener('click', () => {
+            milestonePanel.classList.remove('active');
+        });
+    }
+
+    if (milestoneContent) {
+        milestoneContent.addEventListener('change', async (e) => {
+            const item = e.target.closest('.milestone-item');
+            const action = e.target.dataset.action;
+            const childId = childProfileService.getSelectedChildId();
+            if (!item || !childId) return;
+
+            try {
+                if (action === 'toggle' && e.target.checked) {
+                    await milestoneService.check(childId, item.dataset.milestoneId);
+                } else if (action === 'toggle') {
+                    await milestoneService.uncheck(childId, item.dataset.milestoneId);
+                } else if (action === 'date' && e.target.value) {
+                    await milestoneService.check(childId, item.dataset.milestoneId, e.target.value);
+                }
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+            renderMilestoneChecklist();
+        });
+
+        milestoneContent.addEventListener('click', (e) => {
+            const item = e.target.closest('.milestone-item');
+            if (!item || e.target.closest('[data-action]')?.dataset.action !== 'ask') return;
+
+            askAboutMilestone(milestoneService.getMilestone(item.dataset.milestoneId));
+        });
+    }
+
+    // Export for the pediatrician
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            exportPanel.classList.toggle('active');
+            if (exportPanel.classList.contains('active')) renderExportOptions();
+        });
+    }
+
+    if (closeExportPanelBtn) {
+        closeExportPanelBtn.addEventListener('click', () => {
+            exportPanel.classList.remove('active');
+        });
+    }
+
+    if (exportForm) {
+        exportForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const submitBtn = document.getElementById('exportSubmitBtn');
+            const threadIds = document.getElementById('exportThreads').value === 'all'
+                ? [...aiService.getThreads(), ...aiService.getThreads({ archived: true })].map(thread => thread.id)
+                : [aiService.activeThreadId];
+
+            submitBtn.disabled = true;
+            submitBtn.textContent = i18n.t('export.preparing');
+            try {
+                const format = document.getElementById('exportFormat').value;
+                const downloaded = await aiService.exportConversations({
+                    format,
+                    threadIds,
+                    childId: document.getElementById('exportChild').value || null,
+                    from: document.getElementById('exportFrom').value || null,
+                    to: document.getElementById('exportTo').value || null
+                });
+                if (downloaded !== format) showNotification(i18n.t('export.pdfFallback'));
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.textContent = i18n.t('export.download');
+            }
+        });
+    }
+
+    // Settings: subscription, language, and downloading or deleting account data
+    // (the language picker is wired by i18n)
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            settingsPanel.classList.toggle('active');
+            if (settingsPanel.classList.contains('active')) renderBilling();
+        });
+    }
+
+    if (closeSettingsPanelBtn) {
+        closeSettingsPanelBtn.addEventListener('click', () => {
+            settingsPanel.classList.remove('active');
+        });
+    }
+
+    if (paywallAccountLink) {
+        paywallAccountLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            hidePaywall();
+            settingsPanel.classList.add('active');
+            renderBilling();
+        });
+    }
+
+    if (upgradePlanBtn) {
+        upgradePlanBtn.addEventListener('click', async () => {
+            upgradePlanBtn.disabled = true;
+            try {
+                planPreview = await subscriptionService.previewPlanChange('annual');
+                const amount = formatMoney(planPreview.amountDue, planPreview.currency);
+
+                if (planPreview.isTrialing) {
+                    planChangeSummary.textContent = i18n.t('billing.previewTrial', { amount, date: formatDate(planPreview.chargedAt) });
+                } else if (planPreview.credit > 0) {
+                    planChangeSummary.textContent = i18n.t('billing.previewWithCredit', { amount, credit: formatMoney(planPreview.credit, planPreview.currency) });
+                } else {
+                    planChangeSummary.textContent = i18n.t('billing.previewNow', { amount });
+                }
+                planChange.hidden = false;
+                upgradePlanBtn.hidden = true;
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                upgradePlanBtn.disabled = false;
+            }
+        });
+    }
+
+    if (cancelPlanChangeBtn) {
+        cancelPlanChangeBtn.addEventListener('click', () => {
+            planPreview = null;
+            planChange.hidden = true;
+            upgradePlanBtn.hidden = false;
+        });
+    }
+
+    if (confirmPlanChangeBtn) {
+        confirmPlanChangeBtn.addEventListener('click', async () => {
+            if (!planPreview) return;
+
+            confirmPlanChangeBtn.disabled = true;
+            confirmPlanChangeBtn.textContent = i18n.t('billing.switching');
+            try {
+                await subscriptionService.changePlan(planPreview);
+                showNotification(i18n.t('billing.switched'));
+                renderBilling();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                confirmPlanChangeBtn.disabled = false;
+                confirmPlanChangeBtn.textContent = i18n.t('billing.confirmAnnual');
+            }
+        });
+    }
+
+    if (billingPortalBtn) {
+        billingPortalBtn.addEventListener('click', async () => {
+            billingPortalBtn.disabled = true;
+            try {
+                await subscriptionService.openBillingPortal();
+            } catch (error) {
+                showNotification(error.message, 'error');
+                billingPortalBtn.disabled = false;
+            }
+        });
+    }
+
+    if (downloadDataBtn) {
+        downloadDataBtn.addEventListener('click', async () => {
+            downloadDataBtn.disabled = true;
+            try {
+                await accountService.downloadData(aiService.getConversations());
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                downloadDataBtn.disabled = false;
+            }
+        });
+    }
+
+    if (deleteAccountForm) {
+        deleteConfirmInput.addEventListener('input', () => {
+            deleteAccountBtn.disabled = deleteConfirmInput.value.trim() !== 'DELETE';
+        });
+
+        deleteAccountForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (deleteConfirmInput.value.trim() !== 'DELETE') return;
+
+            deleteAccountBtn.disabled = true;
+            deleteAccountBtn.textContent = i18n.t('settings.deleting');
+            try {
+                const { subscriptionCanceled } = await accountService.deleteAccount({
+                    cancelSubscription: document.getElementById('cancelSubscriptionCheckbox').checked
+                });
+                // The server forgot this browser's push subscription; drop it here too
+                await reminderService.disablePush().catch(() => {});
+
+                showNotification(i18n.t(subscriptionCanceled ? 'settings.deletedAndCanceled' : 'settings.deleted'));
+                // Start over from a clean page once the message has been read
+                setTimeout(() => {
+                    window.location.href = subscriptionCanceled ? 'index.html' : 'chat.html';
+                }, 2500);
+            } catch (error) {
+                showNotification(error.message, 'error');
+                deleteAccountBtn.disabled = false;
+                deleteAccountBtn.textContent = i18n.t('settings.deleteButton');
+            }
+        });
+    }
+
+    if (signOutBtn) {
+        signOutBtn.hidden = !subscriptionService.hasSession();
+        signOutBtn.addEventListener('click', async () => {
+            signOutBtn.disabled = true;
+            // Reminders belong to the account, so stop them reaching this device
+            await reminderService.disablePush().catch(() => {});
+            await subscriptionService.signOut();
+            window.location.href = 'chat.html';
+        });
+    }
+
+    // Reminders
+    if (remindersBtn) {
+        remindersBtn.addEventListener('click', () => {
+            reminderPanel.classList.toggle('active');
+            if (reminderPanel.classList.contains('active')) renderReminders();
+        });
+    }
+
+    if (closeReminderPanelBtn) {
+        closeReminderPanelBtn.addEventListener('click', () => {
+            reminderPanel.classList.remove('active');
+        });
+    }
+
+    if (addReminderBtn) {
+        addReminderBtn.addEventListener('click', () => {
+            const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+            inAnHour.setMinutes(0, 0, 0);
+            document.getElementById('reminderDueAt').value = toLocalInputValue(inAnHour);
+            updateReminderFields();
+            reminderForm.hidden = false;
+            addReminderBtn.hidden = true;
+            document.getElementById('reminderTitle').focus();
+        });
+    }
+
+    if (cancelReminderBtn) {
+        cancelReminderBtn.addEventListener('click', closeReminderForm);
+    }
+
+    if (reminderForm) {
+        document.getElementById('reminderKind').addEventListener('change', updateReminderFields);
+        document.getElementById('reminderRepeat').addEventListener('change', updateReminderFields);
+
+        reminderForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const [every, unit] = document.getElementById('reminderRepeat').value.split(':');
+            const endsOn = document.getElementById('reminderEndsAt').value;
+            const details = {
+                kind: document.getElementById('reminderKind').value,
+                title: document.getElementById('reminderTitle').value,
+                notes: document.getElementById('reminderNotes').value,
+                dueAt: new Date(document.getElementById('reminderDueAt').value).toISOString(),
+                repeat: unit ? { every: Number(every), unit } : null,
+                // The end of the chosen day, in local time
+                endsAt: unit && endsOn ? new Date(`${endsOn}T23:59:59`).toISOString() : null,
+                childId: childProfileService.getSelectedChildId()
+            };
+
+            try {
+                await reminderService.saveReminder(details);
+                closeReminderForm();
+                renderReminders();
+                showNotification(i18n.t('reminders.saved'));
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    if (enablePushBtn) {
+        enablePushBtn.addEventListener('click', async () => {
+            try {
+                await reminderService.enablePush();
+                showNotification(i18n.t('reminders.pushOn'));
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+            renderPushStatus();
+        });
+    }
+
+    if (addVaccineRemindersBtn) {
+        addVaccineRemindersBtn.addEventListener('click', async () => {
+            const child = childProfileService.getSelectedChild();
+            if (!child) return;
+
+            try {
+                const added = await reminderService.addVaccineReminders(child.id);
+                showNotification(added.length
+                    ? i18n.t('reminders.vaccineAdded', { count: added.length })
+                    : i18n.t('reminders.vaccineAlready'));
+                renderReminders();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    if (reminderList) {
+        reminderList.addEventListener('click', async (e) => {
+            const item = e.target.closest('.reminder-item');
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (!item || !action) return;
+
+            const id = item.dataset.reminderId;
+            try {
+                if (action === 'pause' || action === 'resume') {
+                    await reminderService.saveReminder({ active: action === 'resume' }, id);
+                } else if (action === 'delete') {
+                    if (!confirm(i18n.t('reminders.deleteConfirm'))) return;
+                    await reminderService.deleteReminder(id);
+                }
+                renderReminderList();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // A clicked reminder notification while this page is already open
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'open-url') openDeepLink(event.data.url);
+        });
+    }
+
+    // Enroll button handler
+    if (enrollBtn) {
+        enrollBtn.addEventListener('click', async () => {
+            try {
+                enrollBtn.disabled = true;
+                enrollBtn.textContent = i18n.t('common.loading');
+                await subscriptionService.startCheckout('monthly');
+            } catch (error) {
+                showNotification(i18n.t('paywall.checkoutFailed'), 'error');
+                enrollBtn.disabled = false;
+                enrollBtn.textContent = i18n.t('enroll.button');
+            }
+        });
+    }
+
+    // Sign-in by email for existing subscribers (enrollment modal)
+    if (signInLink) {
+        signInLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            showSignInForm();
+        });
+    }
+
+    if (signInForm) {
+        signInForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            signInBtn.disabled = true;
+            signInBtn.textContent = i18n.t('signIn.sending');
+            try {
+                await subscriptionService.requestSignInLink(signInEmail.value.trim());
+                signInSent.textContent = i18n.t('signIn.sent', { email: signInEmail.value.trim() });
+                signInSent.hidden = false;
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                signInBtn.disabled = false;
+                signInBtn.textContent = i18n.t('signIn.send');
+            }
+        });
+    }
+
+    // Gift code redemption (enrollment modal)
+    if (giftRedeemLink) {
+        giftRedeemLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            showGiftRedeemForm('');
+        });
+    }
+
+    if (giftRedeemForm) {
+        giftRedeemForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            giftRedeemBtn.disabled = true;
+            giftRedeemBtn.textContent = i18n.t('common.loading');
+            try {
+                await subscriptionService.redeemGift(giftCodeInput.value.trim());
+            } catch (error) {
+                showNotification(error.message, 'error');
+                giftRedeemBtn.disabled = false;
+                giftRedeemBtn.textContent = i18n.t('gift.redeemButton');
+            }
+        });
+    }
+
+    // Subscribe button handler (paywall)
+    if (subscribePaywallBtn) {
+        subscribePaywallBtn.addEventListener('click', async () => {
+            try {
+                subscribePaywallBtn.disabled = true;
+                subscribePaywallBtn.textContent = i18n.t('common.loading');
+                await subscriptionService.startCheckout('monthly');
+            } catch (error) {
+                showNotification(i18n.t('paywall.checkoutFailed'), 'error');
+                subscribePaywallBtn.disabled = false;
+                subscribePaywallBtn.textContent = i18n.t('paywall.button');
+            }
+        });
+    }
+
+    // Close modals on outside click
+    if (paywallModal) {
+        paywallModal.addEventListener('click', (e) => {
+            if (e.target === paywallModal) {
+                hidePaywall();
+            }
+        });
+    }
+
+    /**
+     * Check user access via subscription service
+     */
+    async function checkAccess() {
+        if (!subscriptionService.hasSession()) {
+            return { valid: false, reason: 'not_enrolled' };
+        }
+
+        const access = await subscriptionService.verifyAccess();
+        return access;
+    }
+
+    /**
+     * Show enrollment modal for users without Stripe session
+     */
+    function showEnrollModal() {
+        if (enrollModal) {
+            enrollModal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Show the sign-in email field in the enrollment modal
+     */
+    function showSignInForm() {
+        giftRedeemForm.hidden = true;
+        giftRedeemLink.hidden = false;
+        signInForm.hidden = false;
+        signInLink.hidden = true;
+        signInSent.hidden = true;
+        signInEmail.focus();
+    }
+
+    /**
+     * Show the gift code field in the enrollment modal
+     */
+    function showGiftRedeemForm(code) {
+        signInForm.hidden = true;
+        signInLink.hidden = false;
+        giftRedeemForm.hidden = false;
+        giftRedeemLink.hidden = true;
+        giftCodeInput.value = code;
+        giftCodeInput.focus();
+    }
+
+    /**
+     * Hide enrollment modal
+     */
+    function hideEnrollModal() {
+        if (enrollModal) {
+            enrollModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Disable chat input
+     */
+    function disableChat() {
+        if (attachBtn) {
+            attachBtn.disabled = true;
+        }
+        if (voiceBtn) {
+            voiceBtn.disabled = true;
+        }
+        if (chatInput) {
+            chatInput.disabled = true;
+            chatInput.placeholder = i18n.t('chat.placeholderDisabled');
+        }
+        if (sendBtn) {
+            sendBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Enable chat input
+     */
+    function enableChat() {
+        if (attachBtn) {
+            attachBtn.disabled = false;
+        }
+        if (voiceBtn) {
+            voiceBtn.disabled = false;
+        }
+        if (chatInput) {
+            chatInput.disabled = false;
+            chatInput.placeholder = i18n.t('chat.placeholder');
+        }
+        if (sendBtn) {
+            sendBtn.disabled = false;
+        }
+        hideEnrollModal();
+    }
+
+    /**
+     * Render the child profile list and the "talking about" chip
+     */
+    function renderProfiles() {
+        if (!profileList) return;
+
+        const selectedId = childProfileService.getSelectedChildId();
+        profileList.innerHTML = '';
+
+        childProfileService.getChildren().forEach(child => {
+            const item = document.createElement('li');
+            item.className = `profile-item${child.id === selectedId ? ' active' : ''}`;
+            item.dataset.childId = child.id;
+
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = child.name;
+
+            const age = document.createElement('span');
+            age.className = 'profile-age';
+            age.textContent = child.age;
+
+            const actions = document.createElement('span');
+            actions.className = 'thread-actions';
+            actions.innerHTML = `
+                <button data-action="edit" title="${i18n.t('common.edit')}">${i18n.t('common.edit')}</button>
+                <button data-action="delete" title="${i18n.t('common.delete')}">${i18n.t('common.delete')}</button>
+            `;
+
+            item.append(name, age, actions);
+            profileList.appendChild(item);
+        });
+
+        const selected = childProfileService.getSelectedChild();
+        if (childChip) {
+            childChip.hidden = !selected;
+            childChip.textContent = selected ? i18n.t('chat.talkingAbout', { name: selected.name, age: selected.age }) : '';
+        }
+
+        if (trackerPanel?.classList.contains('active')) renderTracker();
+        if (milestonePanel?.classList.contains('active')) renderMilestones();
+    }
+
+    /**
+     * Show the profile form, filled in when editing
+     */
+    function openProfileForm(child) {
+        editingChildId = child ? child.id : null;
+
+        document.getElementById('childName').value = child?.name || '';
+        document.getElementById('childDateType').value = child && !child.birthDate ? 'dueDate' : 'birthDate';
+        document.getElementById('childDate').value = child?.birthDate || child?.dueDate || '';
+        document.getElementById('childSex').value = child?.sex || 'unspecified';
+        document.getElementById('childFeeding').value = child?.feedingMethod || '';
+        document.getElementById('childAllergies').value = (child?.allergies || []).join(', ');
+        document.getElementById('childNotes').value = child?.medicalNotes || '';
+
+        profileForm.hidden = false;
+        addChildBtn.hidden = true;
+        document.getElementById('childName').focus();
+    }
+
+    /**
+     * Hide the profile form
+     */
+    function closeProfileForm() {
+        editingChildId = null;
+        profileForm.reset();
+        profileForm.hidden = true;
+        addChildBtn.hidden = false;
+    }
+
+    /**
+     * Load and render the selected child's tracker: quick-log buttons, summary and recent entries
+     */
+    async function renderTracker() {
+        if (!trackerPanel) return;
+
+        const child = childProfileService.getSelectedChild();
+        trackerQuick.hidden = !child || !trackerFeedForm.hidden;
+        if (!child) {
+            closeFeedForm();
+            trackerHint.textContent = i18n.t('tracker.hintNoChild');
+            trackerSummary.innerHTML = '';
+            trackerList.innerHTML = '';
+            return;
+        }
+        trackerHint.textContent = i18n.t('tracker.hintChild', { name: child.name });
+
+        try {
+            const [entries, summary] = await Promise.all([
+                trackerService.loadEntries(child.id),
+                trackerService.getSummary(child.id, trackerPeriod)
+            ]);
+            // The selection may have changed while loading
+            if (child.id !== childProfileService.getSelectedChildId()) return;
+
+            const ongoing = trackerService.getOngoingSleep();
+            trackerSleepBtn.textContent = i18n.t(ongoing ? 'tracker.wokeUp' : 'tracker.sleep');
+            trackerSleepBtn.classList.toggle('active', !!ongoing);
+
+            renderTrackerSummary(summary);
+            renderTrackerList(entries);
+        } catch (error) {
+            trackerSummary.innerHTML = `<p class="thread-empty">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the day's totals, or one row per day for the week
+     */
+    function renderTrackerSummary(summary) {
+        const describeDay = (day) => {
+            const feedDetails = [
+                day.feeds.breastMinutes ? i18n.t('tracker.breastMinutes', { count: day.feeds.breastMinutes }) : '',
+                day.feeds.bottleMl ? i18n.t('tracker.bottleMl', { count: day.feeds.bottleMl }) : '',
+                day.feeds.solids ? i18n.t('tracker.solidsCount', { count: day.feeds.solids }) : ''
+            ].filter(Boolean).join(', ');
+
+            return [
+                { label: i18n.t('tracker.feeds'), value: day.feeds.count, detail: feedDetails },
+                { label: i18n.t('tracker.sleep'), value: formatMinutes(day.sleep.totalMinutes), detail: day.sleep.naps ? i18n.t('tracker.naps', { count: day.sleep.naps }) : '' },
+                { label: i18n.t('tracker.diapers'), value: day.diapers.total, detail: i18n.t('tracker.diaperCounts', { wet: day.diapers.wet, dirty: day.diapers.dirty }) }
+            ];
+        };
+
+        if (summary.period === 'day') {
+            trackerSummary.innerHTML = `<div class="tracker-stats">${describeDay(summary.days[0]).map(stat => `
+                <div class="tracker-stat">
+                    <span class="tracker-stat-value">${escapeHtml(String(stat.value))}</span>
+                    <span class="tracker-stat-label">${escapeHtml(stat.label)}</span>
+                    <span class="tracker-stat-detail">${escapeHtml(stat.detail)}</span>
+                </div>`).join('')}
+            </div>`;
+            return;
+        }
+
+        trackerSummary.innerHTML = `<table class="tracker-week">
+            <thead><tr><th></th><th>${escapeHtml(i18n.t('tracker.feeds'))}</th><th>${escapeHtml(i18n.t('tracker.sleep'))}</th><th>${escapeHtml(i18n.t('tracker.diapers'))}</th></tr></thead>
+            <tbody>${summary.days.map(day => {
+                const weekday = new Date(`${day.date}T12:00:00`).toLocaleDateString(i18n.getLocale(), { weekday: 'short' });
+                return `<tr><th>${escapeHtml(weekday)}</th>${describeDay(day).map(stat => `<td>${escapeHtml(String(stat.value))}</td>`).join('')}</tr>`;
+            }).join('')}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Render the recent entries, newest first
+     */
+    function renderTrackerList(entries) {
+        trackerList.innerHTML = '';
+
+        if (entries.length === 0) {
+            trackerList.innerHTML = `<li class="thread-empty">${escapeHtml(i18n.t('tracker.empty'))}</li>`;
+            return;
+        }
+
+        entries.slice(0, 30).forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `tracker-item tracker-${entry.type}`;
+            item.dataset.entryId = entry.id;
+
+            const time = document.createElement('span');
+            time.className = 'tracker-time';
+            const started = new Date(entry.startedAt);
+            const isToday = started.toDateString() === new Date().toDateString();
+            time.textContent = `${isToday ? '' : `${started.toLocaleDateString(i18n.getLocale(), { weekday: 'short' })} `}${started.toLocaleTimeString(i18n.getLocale(), { hour: '2-digit', minute: '2-digit' })}`;
+
+            const text = document.createElement('span');
+            text.className = 'tracker-text';
+            text.textContent = describeTrackerEntry(entry);
+
+            const actions = document.createElement('span');
+            actions.className = 'thread-actions';
+            actions.innerHTML = `<button data-action="delete" title="${i18n.t('common.delete')}">${i18n.t('common.delete')}</button>`;
+
+            item.append(time, text, actions);
+            trackerList.appendChild(item);
+        });
+    }
+
+    /**
+     * One-line description of a tracker entry
+     */
+    function describeTrackerEntry(entry) {
+        if (entry.type === 'feed') {
+            const sides = { left: 'tracker.leftSide', right: 'tracker.rightSide', both: 'tracker.bothSides' };
+            const contents = { breast_milk: 'tracker.breastMilkLower', formula: 'tracker.formulaLower' };
+            const parts = {
+                breast: [i18n.t('tracker.breastfed'), sides[entry.side] && i18n.t(sides[entry.side])],
+                bottle: [i18n.t('tracker.bottle'), i18n.t('tracker.ml', { count: entry.volumeMl }), contents[entry.contents] && i18n.t(contents[entry.contents])],
+                solids: [i18n.t('tracker.solidFood')]
+            }[entry.method];
+            if (entry.durationMinutes) parts.push(i18n.t('tracker.minutes', { count: entry.durationMinutes }));
+            return parts.filter(Boolean).join(', ');
+        }
+
+        if (entry.type === 'sleep') {
+            const label = i18n.t(entry.kind === 'night' ? 'tracker.nightSleep' : 'tracker.nap');
+            if (!entry.endedAt) return `${label}, ${i18n.t('tracker.stillAsleep')}`;
+            return `${label}, ${formatMinutes(Math.round((new Date(entry.endedAt) - new Date(entry.startedAt)) / 60000))}`;
+        }
+
+        return i18n.t({
+            wet: 'tracker.wetDiaper',
+            dirty: 'tracker.dirtyDiaper',
+            mixed: 'tracker.mixedDiaper',
+            dry: 'tracker.dryDiaper'
+        }[entry.kind]);
+    }
+
+    function formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return hours
+            ? i18n.t('tracker.hoursMinutes', { hours, minutes: minutes % 60 })
+            : i18n.t('tracker.minutesOnly', { minutes });
+    }
+
+    /**
+     * Today at the given "HH:MM", or yesterday if that's still ahead
+     */
+    function timeToday(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        const date = new Date();
+        date.setHours(hours, minutes, 0, 0);
+        if (date > new Date()) date.setDate(date.getDate() - 1);
+        return date;
+    }
+
+    /**
+     * Show the feed form, starting now
+     */
+    function openFeedForm() {
+        const now = new Date();
+        document.getElementById('feedTime').value =
+            `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        updateFeedFields();
+        trackerFeedForm.hidden = false;
+        trackerQuick.hidden = true;
+    }
+
+    /**
+     * Hide the feed form
+     */
+    function closeFeedForm() {
+        trackerFeedForm.reset();
+        trackerFeedForm.hidden = true;
+        trackerQuick.hidden = !childProfileService.getSelectedChild();
+    }
+
+    /**
+     * Show only the feed fields that apply to the chosen method
+     */
+    function updateFeedFields() {
+        const method = document.getElementById('feedMethod').value;
+        trackerFeedForm.querySelectorAll('[data-feed]').forEach(group => {
+            group.hidden = !group.dataset.feed.split(' ').includes(method);
+        });
+        document.getElementById('feedVolume').required = method === 'bottle';
+    }
+
+    /**
+     * Load and render the selected child's milestone checklist
+     */
+    async function renderMilestones() {
+        if (!milestonePanel) return;
+
+        const child = childProfileService.getSelectedChild();
+        if (!child) {
+            milestoneHint.textContent = i18n.t('milestones.hintNoChild');
+            milestoneContent.innerHTML = '';
+            return;
+        }
+
+        try {
+            await milestoneService.load(child.id);
+            // The selection may have changed while loading
+            if (child.id !== childProfileService.getSelectedChildId()) return;
+            renderMilestoneChecklist();
+        } catch (error) {
+            milestoneContent.innerHTML = `<p class="thread-empty">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the loaded checklist: items needing attention, what's coming up, then every age band
+     */
+    function renderMilestoneChecklist() {
+        const child = childProfileService.getSelectedChild();
+        const checklist = milestoneService.getChecklist();
+        if (!child || !checklist || checklist.childId !== child.id) return;
+
+        if (checklist.ageMonths === null) {
+            milestoneHint.textContent = i18n.t('milestones.notBorn', { name: child.name });
+            milestoneContent.innerHTML = '';
+            return;
+        }
+
+        milestoneHint.textContent = i18n.t('milestones.age', { name: child.name, count: Math.floor(checklist.ageMonths) }) +
+            `${checklist.correctedAge ? i18n.t('milestones.corrected') : ''}. ` +
+            i18n.t('milestones.hint');
+        milestoneContent.innerHTML = '';
+
+        // Closest to the child's age first
+        const byStatus = (...statuses) => checklist.milestones
+            .filter(m => statuses.includes(m.status))
+            .sort((a, b) => b.typicalMonths - a.typicalMonths);
+
+        const overdue = byStatus('overdue');
+        if (overdue.length) {
+            const attention = document.createElement('section');
+            attention.className = 'milestone-attention';
+            attention.innerHTML = `
+                <h3 class="milestone-heading">${escapeHtml(i18n.t('milestones.attentionTitle'))}</h3>
+                <p>${escapeHtml(i18n.t('milestones.attentionBody', { name: child.name }))}</p>
+            `;
+            attention.appendChild(renderMilestoneList(overdue.slice(0, 5)));
+            if (overdue.length > 5) {
+                const more = document.createElement('p');
+                more.className = 'milestone-more';
+                more.textContent = i18n.t('milestones.more', { count: overdue.length - 5 });
+                attention.appendChild(more);
+            }
+            milestoneContent.appendChild(attention);
+        }
+
+        const upcoming = byStatus('current', 'upcoming').reverse();
+        const now = document.createElement('section');
+        now.innerHTML = `<h3 class="milestone-heading">${escapeHtml(i18n.t('milestones.upcoming'))}</h3>`;
+        now.appendChild(upcoming.length
+            ? renderMilestoneList(upcoming)
+            : Object.assign(document.createElement('p'), { className: 'thread-empty', textContent: i18n.t('milestones.nothingNew') }));
+        milestoneContent.appendChild(now);
+
+        const bands = [...new Set(checklist.milestones.map(m => m.typicalMonths))];
+        const all = document.createElement('section');
+        all.innerHTML = `<h3 class="milestone-heading">${escapeHtml(i18n.t('milestones.all'))}</h3>`;
+        bands.forEach(months => {
+            const milestones = checklist.milestones.filter(m => m.typicalMonths === months);
+            const achieved = milestones.filter(m => m.status === 'achieved').length;
+
+            const band = document.createElement('details');
+            band.className = 'milestone-band';
+            band.open = months <= checklist.ageMonths + 2 && milestones[0].checkpointMonths > checklist.ageMonths;
+            band.innerHTML = `<summary>${escapeHtml(formatMilestoneAge(months))} <span>${escapeHtml(i18n.t('milestones.achievedOf', { achieved, total: milestones.length }))}</span></summary>`;
+            band.appendChild(renderMilestoneList(milestones));
+            all.appendChild(band);
+        });
+        milestoneContent.appendChild(all);
+    }
+
+    /**
+     * List of milestones, each with a check-off box, its date and an "Ask MoM" button
+     */
+    function renderMilestoneList(milestones) {
+        const list = document.createElement('ul');
+        list.className = 'milestone-list';
+
+        milestones.forEach(milestone => {
+            const item = document.createElement('li');
+            item.className = `milestone-item milestone-${milestone.status}`;
+            item.dataset.milestoneId = milestone.id;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.action = 'toggle';
+            checkbox.checked = milestone.status === 'achieved';
+            const title = document.createElement('span');
+            title.textContent = milestone.title;
+            label.append(checkbox, title);
+
+            const meta = document.createElement('span');
+            meta.className = 'milestone-meta';
+            if (milestone.achievedOn) {
+                const date = document.createElement('input');
+                date.type = 'date';
+                date.dataset.action = 'date';
+                date.value = milestone.achievedOn;
+                date.max = milestoneService.today();
+                date.title = i18n.t('milestones.dateTitle');
+                meta.append(date);
+            } else {
+                meta.textContent = i18n.t('milestones.usuallyBy', { domain: milestone.domainLabel, age: formatMilestoneAge(milestone.typicalMonths) });
+            }
+
+            const ask = document.createElement('button');
+            ask.type = 'button';
+            ask.className = 'milestone-ask';
+            ask.dataset.action = 'ask';
+            ask.textContent = i18n.t('milestones.ask');
+
+            item.append(label, meta, ask);
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    function formatMilestoneAge(months) {
+        return months >= 24 && months % 12 === 0
+            ? i18n.t('milestones.years', { count: months / 12 })
+            : i18n.t('milestones.months', { count: months });
+    }
+
+    /**
+     * Start a question about a milestone in the chat input
+     */
+    function askAboutMilestone(milestone) {
+        const child = childProfileService.getSelectedChild();
+        if (!milestone || !child) return;
+
+        const age = formatMilestoneAge(milestone.typicalMonths);
+        const questions = {
+            achieved: 'milestones.askAchieved',
+            overdue: 'milestones.askOverdue'
+        };
+
+        chatInput.value = i18n.t(questions[milestone.status] || 'milestones.askOther', { name: child.name, title: milestone.title, age });
+        milestonePanel.classList.remove('active');
+        chatInput.focus();
+    }
+
+    /**
+     * Fill the export form's child choices, defaulting to the selected child
+     */
+    function renderExportOptions() {
+        const select = document.getElementById('exportChild');
+        const selectedId = childProfileService.getSelectedChildId();
+
+        select.innerHTML = '';
+        select.add(new Option(i18n.t('common.none'), ''));
+        childProfileService.getChildren().forEach(child => {
+            select.add(new Option(child.name, child.id, false, child.id === selectedId));
+        });
+    }
+
+    /**
+     * Load and render reminders, notification status and the vaccine option
+     */
+    async function renderReminders() {
+        if (!reminderPanel) return;
 
-    // Initialize subscription service
-    await subscriptionService.init();
+        renderPushStatus();
 
-    // Check if user has valid access
-    const accessCheck = await checkAccess();
+        const child = childProfileService.getSelectedChild();
+        addVaccineRemindersBtn.hidden = !child?.birthDate;
+        addVaccineRemindersBtn.textContent = child ? i18n.t('reminders.addVaccine', { name: child.name }) : '';
 
-    if (!accessCheck.valid) {
-        // User not enrolled - show enrollment modal
-        showEnrollModal();
-        disableChat();
-    } else {
-        // User has access - enable chat
-        enableChat();
-        loadChatHistory();
+        try {
+            await reminderService.load();
+            renderReminderList();
+        } catch (error) {
+            reminderList.innerHTML = `<li class="thread-empty">${escapeHtml(error.message)}</li>`;
+        }
     }
 
-    // Event Listeners
-    sendBtn.addEventListener('click', sendMessage);
-    chatInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMessage();
-        }
-    });
+    /**
+     * Show whether this browser will receive reminder notifications
+     */
+    async function renderPushStatus() {
+        const status = await reminderService.getPushStatus().catch(() => 'unsupported');
+        const messages = {
+            unsupported: 'reminders.pushUnsupported',
+            denied: 'reminders.pushDenied',
+            disabled: 'reminders.pushDisabled'
+        };
 
-    if (menuBtn) {
-        menuBtn.addEventListener('click', () => {
-            mobileMenu.classList.toggle('active');
-        });
+        pushStatus.hidden = status === 'enabled';
+        pushStatus.textContent = messages[status] ? i18n.t(messages[status]) : '';
+        enablePushBtn.hidden = status !== 'disabled';
     }
 
-    if (clearChatBtn) {
-        clearChatBtn.addEventListener('click', () => {
-            if (confirm('Clear all chat history?')) {
-                aiService.clearHistory();
-                // Remove all messages except the welcome message
-                const messages = chatMessages.querySelectorAll('.message');
-                messages.forEach((msg, index) => {
-                    if (index > 0) msg.remove();
-                });
-                showNotification('Chat history cleared');
-            }
+    /**
+     * Render the loaded reminders
+     */
+    function renderReminderList() {
+        const reminders = reminderService.getReminders();
+        reminderList.innerHTML = '';
+
+        if (reminders.length === 0) {
+            reminderList.innerHTML = `<li class="thread-empty">${escapeHtml(i18n.t('reminders.empty'))}</li>`;
+            return;
+        }
+
+        const childNames = new Map(childProfileService.getChildren().map(child => [child.id, child.name]));
+
+        reminders.forEach(reminder => {
+            const item = document.createElement('li');
+            item.className = `reminder-item reminder-${reminder.kind}${reminder.active ? '' : ' inactive'}`;
+            item.dataset.reminderId = reminder.id;
+
+            const title = document.createElement('span');
+            title.className = 'reminder-title';
+            title.textContent = reminder.title;
+
+            const when = document.createElement('span');
+            when.className = 'reminder-when';
+            const dueAt = new Date(reminder.dueAt);
+            const details = [
+                reminder.active
+                    ? dueAt.toLocaleString(i18n.getLocale(), { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                    : i18n.t(reminder.repeat ? 'reminders.paused' : 'reminders.done'),
+                reminder.repeat && i18n.t(`reminders.every.${reminder.repeat.unit}`, { count: reminder.repeat.every }),
+                childNames.get(reminder.childId)
+            ];
+            when.textContent = details.filter(Boolean).join(' · ');
+
+            const actions = document.createElement('span');
+            actions.className = 'thread-actions';
+            actions.innerHTML = `
+                ${reminder.repeat ? `<button data-action="${reminder.active ? 'pause' : 'resume'}">${i18n.t(reminder.active ? 'common.pause' : 'common.resume')}</button>` : ''}
+                <button data-action="delete" title="${i18n.t('common.delete')}">${i18n.t('common.delete')}</button>
+            `;
+
+            item.append(title, when, actions);
+            reminderList.appendChild(item);
         });
     }
 
-    // Enroll button handler
-    if (enrollBtn) {
-        enrollBtn.addEventListener('click', async () => {
-            try {
-                enrollBtn.disabled = true;
-                enrollBtn.textContent = 'Loading...';
-                await subscriptionService.startCheckout('monthly');
-            } catch (error) {
-                showNotification('Failed to start checkout. Please try again.', 'error');
-                enrollBtn.disabled = false;
-                enrollBtn.textContent = 'Start 7-Day Free Trial';
-            }
-        });
+    /**
+     * Hide the reminder form
+     */
+    function closeReminderForm() {
+        reminderForm.reset();
+        reminderForm.hidden = true;
+        addReminderBtn.hidden = false;
     }
 
-    // Subscribe button handler (paywall)
-    if (subscribePaywallBtn) {
-        subscribePaywallBtn.addEventListener('click', async () => {
-            try {
-                subscribePaywallBtn.disabled = true;
-                subscribePaywallBtn.textContent = 'Loading...';
-                await subscriptionService.startCheckout('monthly');
-            } catch (error) {
-                showNotification('Failed to start checkout. Please try again.', 'error');
-                subscribePaywallBtn.disabled = false;
-                subscribePaywallBtn.textContent = 'Subscribe Now';
-            }
-        });
+    /**
+     * Show the medicine note and the end date only when they apply
+     */
+    function updateReminderFields() {
+        document.getElementById('reminderMedicationNote').hidden = document.getElementById('reminderKind').value !== 'medication';
+        document.getElementById('reminderEndsGroup').hidden = !document.getElementById('reminderRepeat').value;
     }
 
-    // Close modals on outside click
-    if (paywallModal) {
-        paywallModal.addEventListener('click', (e) => {
-            if (e.target === paywallModal) {
-                hidePaywall();
-            }
-        });
+    /**
+     * Format a date for a datetime-local input, in local time
+     */
+    function toLocalInputValue(date) {
+        return new Date(date - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
     }
 
     /**
-     * Check user access via subscription service
+     * Open a link from a reminder notification: /chat.html?reminder=<id>
+     * Selects the reminder's child and starts a question about it in the chat input.
      */
-    async function checkAccess() {
-        if (!subscriptionService.hasSession()) {
-            return { valid: false, reason: 'not_enrolled' };
+    async function openDeepLink(href) {
+        const url = new URL(href, window.location.origin);
+        const reminderId = url.searchParams.get('reminder');
+        if (!reminderId) return;
+
+        // Drop the parameter so a reload doesn't open it again
+        url.searchParams.delete('reminder');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        const reminder = (await reminderService.load().catch(() => [])).find(r => r.id === reminderId);
+        if (!reminder) return;
+
+        if (reminder.childId && childProfileService.getChildren().some(child => child.id === reminder.childId)) {
+            childProfileService.selectChild(reminder.childId);
+            renderProfiles();
         }
 
-        const access = await subscriptionService.verifyAccess();
-        return access;
+        const child = childProfileService.getSelectedChild();
+        const about = child && reminder.childId === child.id ? i18n.t('reminders.forChild', { name: child.name }) : '';
+        const questions = {
+            vaccine: 'reminders.askVaccine',
+            medication: 'reminders.askMedication'
+        };
+
+        chatInput.value = i18n.t(questions[reminder.kind] || 'reminders.askOther', { title: reminder.title, about });
+        chatInput.focus();
     }
 
     /**
-     * Show enrollment modal for users without Stripe session
+     * Amount in a currency's minor units (cents), in the interface language
      */
-    function showEnrollModal() {
-        if (enrollModal) {
-            enrollModal.style.display = 'flex';
-        }
+    function formatMoney(amount, currency) {
+        return new Intl.NumberFormat(i18n.getLocale(), { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
     }
 
     /**
-     * Hide enrollment modal
+     * Long date in the interface language
      */
-    function hideEnrollModal() {
-        if (enrollModal) {
-            enrollModal.style.display = 'none';
-        }
+    function formatDate(value) {
+        return new Date(value).toLocaleDateString(i18n.getLocale(), { year: 'numeric', month: 'long', day: 'numeric' });
     }
 
     /**
-     * Disable chat input
+     * Show the subscription's plan, next charge and trial end in the settings panel
      */
-    function disableChat() {
-        if (chatInput) {
-            chatInput.disabled = true;
-            chatInput.placeholder = 'Please enroll to start chatting...';
+    async function renderBilling() {
+        planPreview = null;
+        planChange.hidden = true;
+        upgradePlanBtn.hidden = true;
+        billingPortalBtn.hidden = !subscriptionService.hasSession();
+        billingPortalBtn.disabled = false;
+        billingSummary.innerHTML = '';
+
+        if (!subscriptionService.hasSession()) {
+            billingSummary.append(summaryRow('billing.plan', i18n.t('billing.none')));
+            return;
         }
-        if (sendBtn) {
-            sendBtn.disabled = true;
+
+        let details;
+        try {
+            details = await subscriptionService.getSubscriptionDetails();
+        } catch (error) {
+            billingSummary.append(summaryRow('billing.plan', i18n.t('billing.unavailable')));
+            return;
+        }
+
+        const price = details.amount !== null && details.currency ? formatMoney(details.amount, details.currency) : '';
+        const plans = {
+            monthly: 'billing.monthly',
+            annual: 'billing.annual'
+        };
+        billingSummary.replaceChildren(
+            summaryRow('billing.plan', plans[details.plan] ? i18n.t(plans[details.plan], { price }) : price),
+            summaryRow('billing.status', i18n.t(`billing.statuses.${details.status}`))
+        );
+
+        const trialEnd = subscriptionService.getTrialEndDate();
+        if (details.status === 'trialing' && trialEnd) {
+            billingSummary.append(summaryRow('billing.trialEnds', formatDate(trialEnd)));
         }
+        if (details.nextChargeAt) {
+            billingSummary.append(summaryRow('billing.nextCharge', formatDate(details.nextChargeAt)));
+        } else if (details.cancelAtPeriodEnd && details.currentPeriodEnd) {
+            billingSummary.append(summaryRow('billing.endsOn', formatDate(details.currentPeriodEnd)));
+        }
+
+        upgradePlanBtn.hidden = !(details.plan === 'monthly' && details.availablePlans.includes('annual')
+            && ['trialing', 'active'].includes(details.status));
     }
 
     /**
-     * Enable chat input
+     * One label and value of the subscription summary
      */
-    function enableChat() {
-        if (chatInput) {
-            chatInput.disabled = false;
-            chatInput.placeholder = 'What would you like to talk about?';
+    function summaryRow(labelKey, value) {
+        const row = document.createDocumentFragment();
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = i18n.t(labelKey);
+        description.textContent = value;
+        row.append(term, description);
+        return row;
+    }
+
+    /**
+     * Threads can't change while a reply is streaming into the current one
+     */
+    function canChangeThread() {
+        if (isSending) {
+            showNotification(i18n.t('chat.waitForReply'), 'error');
+            return false;
         }
-        if (sendBtn) {
-            sendBtn.disabled = false;
+        return true;
+    }
+
+    /**
+     * Render the conversation list (open or archived)
+     */
+    function renderThreadList() {
+        if (!threadList) return;
+
+        const threads = aiService.getThreads({ archived: showingArchived });
+        threadList.innerHTML = '';
+
+        if (threads.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'thread-empty';
+            empty.textContent = i18n.t(showingArchived ? 'threads.noneArchived' : 'threads.none');
+            threadList.appendChild(empty);
+            return;
         }
-        hideEnrollModal();
+
+        threads.forEach(thread => {
+            const item = document.createElement('li');
+            item.className = `thread-item${thread.id === aiService.activeThreadId ? ' active' : ''}`;
+            item.dataset.threadId = thread.id;
+
+            const title = document.createElement('span');
+            title.className = 'thread-title';
+            title.textContent = thread.title;
+
+            const date = document.createElement('span');
+            date.className = 'thread-date';
+            date.textContent = new Date(thread.updatedAt).toLocaleDateString(i18n.getLocale());
+
+            const actions = document.createElement('span');
+            actions.className = 'thread-actions';
+            const archiveLabel = i18n.t(showingArchived ? 'common.unarchive' : 'common.archive');
+            actions.innerHTML = `
+                <button data-action="rename" title="${i18n.t('common.rename')}">${i18n.t('common.rename')}</button>
+                <button data-action="archive" title="${archiveLabel}">${archiveLabel}</button>
+                <button data-action="delete" title="${i18n.t('common.delete')}">${i18n.t('common.delete')}</button>
+            `;
+
+            item.append(title, date, actions);
+            threadList.appendChild(item);
+        });
+    }
+
+    /**
+     * Replace the visible messages with the active thread's history
+     */
+    function showActiveThread() {
+        clearMessagesUI();
+        loadChatHistory();
+        renderThreadList();
+    }
+
+    /**
+     * Remove all messages except the welcome message
+     */
+    function clearMessagesUI() {
+        const messages = chatMessages.querySelectorAll('.message');
+        messages.forEach((msg, index) => {
+            if (index > 0) msg.remove();
+        });
+        chatMessages.querySelectorAll('.safety-card').forEach(card => card.remove());
     }
 
     /**
@@ -171,7 +1824,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     function loadChatHistory() {
         if (typeof aiService !== 'undefined' && aiService.conversationHistory) {
             aiService.conversationHistory.forEach(msg => {
-                addMessageToUI(msg.content, msg.role === 'user');
+                if (msg.safety) {
+                    chatMessages.appendChild(renderSafetyCard(msg.safety));
+                    // Emergency cards stood in for the reply
+                    if (msg.safety.action === 'replace') return;
+                }
+                const messageDiv = addMessageToUI(msg.content, msg.role === 'user', false, false, msg.attachments);
+                if (msg.role === 'user') {
+                    if (msg.id) messageDiv.dataset.messageId = msg.id;
+                    setMessageStatus(messageDiv, msg.pending ? 'pending' : 'sent');
+                }
             });
         }
     }
@@ -179,9 +1841,117 @@ document.addEventListener('DOMContentLoaded', async () => {
     /**
      * Send a message
      */
+    /**
+     * Start recording voice input
+     */
+    async function startVoiceInput(state) {
+        voiceState = state;
+        stopOnRelease = false;
+        voiceService.stopSpeaking();
+        voiceBtn.classList.add('recording');
+
+        try {
+            await voiceService.startRecording();
+        } catch (error) {
+            voiceState = 'idle';
+            voiceBtn.classList.remove('recording');
+            showNotification(i18n.t('chat.micBlocked'), 'error');
+        }
+    }
+
+    /**
+     * Stop recording, transcribe, then send the words or put them in the input
+     */
+    async function finishVoiceInput({ send }) {
+        voiceState = 'transcribing';
+        stopOnRelease = false;
+        voiceBtn.classList.remove('recording');
+        voiceBtn.classList.add('transcribing');
+
+        const placeholder = chatInput.placeholder;
+        chatInput.placeholder = i18n.t('chat.listening');
+
+        try {
+            const recording = await voiceService.stopRecording();
+            const text = recording ? await voiceService.transcribe(recording) : '';
+
+            if (text) {
+                chatInput.value = [chatInput.value.trim(), text].filter(Boolean).join(' ');
+                if (send && !isSending) {
+                    sendMessage();
+                } else {
+                    chatInput.focus();
+                }
+            }
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+
+        chatInput.placeholder = placeholder;
+        voiceBtn.classList.remove('transcribing');
+        voiceState = 'idle';
+    }
+
+    /**
+     * Upload a picked file right away and show it in the tray
+     */
+    async function uploadPendingAttachment(file) {
+        const pending = {
+            file,
+            previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+            attachment: null,
+            error: null
+        };
+        pendingAttachments.push(pending);
+        renderAttachmentTray();
+
+        try {
+            pending.attachment = await aiService.uploadAttachment(file);
+        } catch (error) {
+            pending.error = error.message;
+            showNotification(error.message, 'error');
+        }
+        renderAttachmentTray();
+    }
+
+    function removePendingAttachment(pending) {
+        if (pending.previewUrl) URL.revokeObjectURL(pending.previewUrl);
+        pendingAttachments = pendingAttachments.filter(p => p !== pending);
+        renderAttachmentTray();
+    }
+
+    /**
+     * Show the attachments waiting to be sent, with their upload state
+     */
+    function renderAttachmentTray() {
+        attachmentTray.innerHTML = '';
+        attachmentTray.hidden = pendingAttachments.length === 0;
+
+        pendingAttachments.forEach(pending => {
+            const state = pending.error ? 'failed' : pending.attachment ? 'ready' : 'uploading';
+            const item = document.createElement('div');
+            item.className = `attachment-chip ${state}`;
+            item.title = pending.error || pending.file.name;
+            item.innerHTML = `
+                ${pending.previewUrl ? `<img src="${pending.previewUrl}" alt="">` : `<span class="attachment-icon">${documentIconSvg}</span>`}
+                <span class="attachment-name">${escapeHtml(pending.file.name)}</span>
+                <button class="attachment-remove" title="${i18n.t('common.remove')}">&times;</button>
+            `;
+            item.querySelector('.attachment-remove').addEventListener('click', () => removePendingAttachment(pending));
+            attachmentTray.appendChild(item);
+        });
+    }
+
     async function sendMessage() {
         const message = chatInput.value.trim();
-        if (!message) return;
+        if (pendingAttachments.some(p => !p.attachment && !p.error)) {
+            showNotification(i18n.t('chat.filesUploading'), 'error');
+            return;
+        }
+        const attachments = pendingAttachments.filter(p => p.attachment).map(p => p.attachment);
+        if (!message && attachments.length === 0) return;
+
+        voiceService.stopSpeaking();
 
         // Verify user can still send messages
         if (!subscriptionService.canSendMessage()) {
@@ -191,45 +1961,178 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // Add user message to UI
-        addMessageToUI(message, true);
+        const messageDiv = addMessageToUI(message, true, false, false, attachments);
         chatInput.value = '';
+        pendingAttachments.forEach(p => p.previewUrl && URL.revokeObjectURL(p.previewUrl));
+        pendingAttachments = [];
+        renderAttachmentTray();
+
+        isSending = true;
+        await showReply(messageDiv, callbacks => aiService.sendMessage(message, { attachments, ...callbacks }));
+        isSending = false;
+
+        // Scroll to bottom
+        scrollToBottom();
+    }
 
-        // Show typing indicator
+    /**
+     * Show MoM's reply under a message: typing dots, then the reply as it streams in
+     * @param {HTMLElement} messageDiv - The parent's message
+     * @param {Function} send - Sends it, given the onSafety and onDelta callbacks
+     * @returns {Promise<string>} 'sent', 'queued' (no connection) or 'failed'
+     */
+    async function showReply(messageDiv, send) {
+        // Show typing indicator until the first words arrive
         const typingIndicator = showTypingIndicator();
+        messageDiv.after(typingIndicator);
+        let replyDiv = null;
 
         try {
-            // Send to AI
-            const response = await aiService.sendMessage(message);
+            // Send to AI, rendering the reply as it streams in
+            const response = await send({
+                // Emergency and crisis cards go above the reply
+                onSafety: (safety) => {
+                    const card = renderSafetyCard(safety);
+                    if (typingIndicator.isConnected) {
+                        typingIndicator.before(card);
+                    } else {
+                        messageDiv.after(card);
+                    }
+                    scrollToBottom();
+                },
+                onDelta: (partial) => {
+                    if (!replyDiv) {
+                        replyDiv = addMessageToUI(partial, false, false, true);
+                        typingIndicator.replaceWith(replyDiv);
+                    } else {
+                        updateMessageContent(replyDiv, partial);
+                    }
+                }
+            });
+
+            // Add AI response to UI, or finalize the streamed one
+            if (replyDiv) {
+                replyDiv.classList.remove('streaming');
+                updateMessageContent(replyDiv, response);
+            } else if (response && aiService.lastResponse?.safety?.action !== 'replace') {
+                replyDiv = addMessageToUI(response, false);
+                typingIndicator.replaceWith(replyDiv);
+            }
 
             // Remove typing indicator
             typingIndicator.remove();
+            setMessageStatus(messageDiv, 'sent');
+
+            // Read the rendered text, so Markdown symbols aren't spoken
+            if (voiceService.readAloud) {
+                voiceService.speak(replyDiv ? replyDiv.querySelector('.message-text').textContent : response);
+            }
 
-            // Add AI response to UI
-            addMessageToUI(response, false);
+            if (aiService.lastResponse?.softLimitReached) {
+                showNotification(i18n.t('chat.softLimit'));
+            }
+            return 'sent';
         } catch (error) {
-            // Remove typing indicator
+            // Remove typing indicator and any partial reply
             typingIndicator.remove();
+            if (replyDiv) replyDiv.remove();
+
+            // No connection: the message waits in the outbox until it's back
+            if (error.code === 'offline') {
+                if (error.messageId) messageDiv.dataset.messageId = error.messageId;
+                setMessageStatus(messageDiv, 'pending');
+                showNotification(error.message, 'error');
+                return 'queued';
+            }
 
-            // Show error
-            addMessageToUI(`Sorry, I encountered an error: ${error.message}`, false, true);
+            // The server refused access: show the matching modal instead of an error
+            if (error.code === 'not_enrolled') {
+                showEnrollModal();
+                disableChat();
+            } else if (error.code === 'subscription_ended') {
+                showPaywall('subscription_ended');
+            } else if (['daily_limit', 'rate_limited', 'payload_too_large'].includes(error.code)) {
+                // Friendly limits come back in MoM's voice rather than as errors
+                messageDiv.after(addMessageToUI(error.message, false));
+            } else {
+                // Show error
+                messageDiv.after(addMessageToUI(i18n.t('chat.error', { message: error.message }), false, true));
+            }
+            setMessageStatus(messageDiv, null);
+            return 'failed';
         }
+    }
 
-        // Scroll to bottom
-        scrollToBottom();
+    /**
+     * Send the messages queued while offline, oldest first
+     * Replies in the open conversation appear under their message; others land in their thread.
+     */
+    async function sendQueuedMessages() {
+        clearTimeout(outboxRetryTimer);
+        if (isSending || !navigator.onLine || !subscriptionService.canSendMessage()) return;
+        isSending = true;
+
+        try {
+            let entry;
+            while ((entry = (await aiService.getQueuedMessages())[0])) {
+                const messageDiv = entry.threadId === aiService.activeThreadId
+                    ? chatMessages.querySelector(`.message[data-message-id="${entry.id}"]`)
+                    : null;
+
+                const result = messageDiv
+                    ? await showReply(messageDiv, callbacks => aiService.sendQueuedMessage(entry, callbacks))
+                    : await aiService.sendQueuedMessage(entry).then(() => 'sent', error => {
+                        if (error.code === 'offline') return 'queued';
+                        showNotification(i18n.t('chat.error', { message: error.message }), 'error');
+                        return 'failed';
+                    });
+
+                if (result === 'queued') {
+                    // Online but unreachable (a flaky connection): try again in a while
+                    outboxRetryTimer = setTimeout(sendQueuedMessages, OUTBOX_RETRY_MS);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to send queued messages:', error);
+        }
+
+        isSending = false;
+        renderThreadList();
+    }
+
+    /**
+     * Show whether one of the parent's messages is waiting to be sent or was sent
+     * @param {string|null} status - 'pending', 'sent', or null for none
+     */
+    function setMessageStatus(messageDiv, status) {
+        const statusEl = messageDiv.querySelector('.message-status');
+        if (!statusEl) return;
+
+        messageDiv.classList.toggle('pending', status === 'pending');
+        statusEl.className = `message-status${status ? ` ${status}` : ''}`;
+        statusEl.title = status ? i18n.t(`chat.${status}`) : '';
+        if (status === 'pending') {
+            statusEl.innerHTML = `${clockIconSvg}<span>${escapeHtml(i18n.t('chat.pending'))}</span>`;
+        } else if (status === 'sent') {
+            // Just the tick; the title says "Sent"
+            statusEl.innerHTML = checkIconSvg;
+        } else {
+            statusEl.innerHTML = '';
+        }
     }
 
     /**
      * Add a message to the chat UI
+     * Returns the message element so a streaming reply can be updated in place
+     * @param {Array} [attachments] - Attachments sent with the message, shown as thumbnails
      */
-    function addMessageToUI(content, isUser = false, isError = false) {
+    function addMessageToUI(content, isUser = false, isError = false, isStreaming = false, attachments = []) {
         const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${isUser ? 'user-message' : 'ai-message'}`;
+        messageDiv.className = `message ${isUser ? 'user-message' : 'ai-message'}${isStreaming ? ' streaming' : ''}`;
 
         const avatar = isUser ? userAvatarSvg : momAvatarSvg;
-        const senderName = isUser ? 'You' : 'MoM';
-
-        // Format content with markdown-like parsing
-        const formattedContent = formatMessageContent(content);
+        const senderName = escapeHtml(i18n.t(isUser ? 'chat.you' : 'chat.mom'));
 
         messageDiv.innerHTML = `
             <div class="message-avatar">
@@ -238,61 +2141,109 @@ document.addEventListener('DOMContentLoaded', async () => {
             <div class="message-content">
                 <div class="message-header">
                     <span class="message-sender">${senderName}</span>
-                    ${!isUser ? '<span class="thinking-label">Thought</span>' : ''}
-                </div>
-                <div class="message-text ${isError ? 'error-message' : ''}">
-                    ${formattedContent}
+                    ${!isUser ? `<span class="thinking-label">${escapeHtml(i18n.t('chat.thought'))}</span>` : ''}
                 </div>
+                <div class="message-text ${isError ? 'error-message' : ''}" dir="auto"></div>
+                ${isUser ? '<div class="message-status" role="status"></div>' : ''}
             </div>
         `;
 
+        const textDiv = messageDiv.querySelector('.message-text');
+        markdownRenderer.render(textDiv, content, { partial: isStreaming });
+        if (!content) textDiv.hidden = true;
+
+        if (attachments && attachments.length) {
+            textDiv.before(renderMessageAttachments(attachments));
+        }
+
         chatMessages.appendChild(messageDiv);
         scrollToBottom();
+        return messageDiv;
     }
 
     /**
-     * Format message content (basic markdown parsing)
+     * Thumbnails (photos) and file chips (documents) for a message's attachments
      */
-    function formatMessageContent(content) {
-        // Split into paragraphs
-        const paragraphs = content.split('\n\n');
+    function renderMessageAttachments(attachments) {
+        const container = document.createElement('div');
+        container.className = 'message-attachments';
 
-        return paragraphs.map(para => {
-            // Handle bullet points
-            if (para.includes('\n- ') || para.startsWith('- ')) {
-                const items = para.split('\n').filter(item => item.trim());
-                const listItems = items.map(item => {
-                    const text = item.replace(/^[-*]\s*/, '');
-                    return `<li>${escapeHtml(text)}</li>`;
-                }).join('');
-                return `<ul>${listItems}</ul>`;
-            }
+        attachments.forEach(attachment => {
+            const item = document.createElement('button');
+            item.className = `message-attachment ${attachment.kind}`;
+            item.title = attachment.name;
 
-            // Handle numbered lists
-            if (/^\d+\.\s/.test(para)) {
-                const items = para.split('\n').filter(item => item.trim());
-                const listItems = items.map(item => {
-                    const text = item.replace(/^\d+\.\s*/, '');
-                    return `<li>${escapeHtml(text)}</li>`;
-                }).join('');
-                return `<ol>${listItems}</ol>`;
+            if (attachment.hasThumbnail) {
+                const img = document.createElement('img');
+                img.alt = attachment.name;
+                item.appendChild(img);
+                aiService.getThumbnailUrl(attachment.id)
+                    .then(url => { img.src = url; })
+                    .catch(() => item.classList.add('unavailable'));
+            } else {
+                item.innerHTML = `<span class="attachment-icon">${documentIconSvg}</span><span class="attachment-name">${escapeHtml(attachment.name)}</span>`;
             }
 
-            // Handle headers
-            if (para.startsWith('# ')) {
-                return `<h3>${escapeHtml(para.substring(2))}</h3>`;
-            }
-            if (para.startsWith('## ')) {
-                return `<h4>${escapeHtml(para.substring(3))}</h4>`;
-            }
+            item.addEventListener('click', () => {
+                aiService.openAttachment(attachment.id)
+                    .catch(() => showNotification(i18n.t('chat.fileUnavailable'), 'error'));
+            });
+            container.appendChild(item);
+        });
 
-            // Regular paragraph with bold/italic
-            let text = escapeHtml(para);
-            text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-            text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
+        return container;
+    }
+
+    /**
+     * Build the emergency / crisis card for a safety payload from the server
+     */
+    function renderSafetyCard(safety) {
+        const card = document.createElement('div');
+        card.className = `safety-card safety-${safety.category === 'mental_health_crisis' ? 'crisis' : 'medical'}`;
+        card.setAttribute('role', 'alert');
 
-            return `<p>${text}</p>`;
+        const telHref = (phone) => `tel:${phone.replace(/[^\d+]/g, '')}`;
+
+        const emergency = safety.emergencyNumber
+            ? `<a class="safety-call" href="${telHref(safety.emergencyNumber)}">${escapeHtml(i18n.t('chat.call', { number: safety.emergencyNumber }))}</a>`
+            : '';
+
+        const resources = (safety.resources || []).map(resource => {
+            const links = [];
+            if (resource.phone) links.push(`<a href="${telHref(resource.phone)}">${escapeHtml(i18n.t('chat.call', { number: resource.phone }))}</a>`);
+            if (resource.text) links.push(`<a href="sms:${resource.text.replace(/[^\d+]/g, '')}">${escapeHtml(i18n.t('chat.text', { number: resource.text }))}</a>`);
+            if (resource.url) links.push(`<a href="${escapeHtml(resource.url)}" target="_blank" rel="noopener">${escapeHtml(resource.url.replace(/^https?:\/\//, ''))}</a>`);
+
+            return `
+                <li>
+                    <strong>${escapeHtml(resource.name)}</strong>
+                    <span class="safety-resource-description">${escapeHtml(resource.description || '')}</span>
+                    <span class="safety-resource-links">${links.join(' ')}</span>
+                </li>
+            `;
         }).join('');
+
+        card.innerHTML = `
+            <div class="safety-title">${escapeHtml(safety.title)}</div>
+            <p class="safety-message">${escapeHtml(safety.message)}</p>
+            ${emergency}
+            ${resources ? `<ul class="safety-resources">${resources}</ul>` : ''}
+        `;
+        return card;
+    }
+
+    /**
+     * Replace the text of an existing message (used while a reply streams in)
+     * Only the parts that changed are re-rendered
+     */
+    function updateMessageContent(messageDiv, content) {
+        const textDiv = messageDiv.querySelector('.message-text');
+        const nearBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 80;
+
+        markdownRenderer.render(textDiv, content, { partial: messageDiv.classList.contains('streaming') });
+
+        // Follow the reply unless the parent scrolled up to read something
+        if (nearBottom) scrollToBottom();
     }
 
     /**
@@ -313,12 +2264,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         typingDiv.id = 'typing-indicator';
         typingDiv.innerHTML = `
             <div class="message-avatar">
-                <img src="${momAvatarSvg}" alt="MoM">
+                <img src="${momAvatarSvg}" alt="${escapeHtml(i18n.t('chat.mom'))}">
             </div>
             <div class="message-content">
                 <div class="message-header">
-                    <span class="message-sender">MoM</span>
-                    <span class="thinking-label">Thinking...</span>
+                    <span class="message-sender">${escapeHtml(i18n.t('chat.mom'))}</span>
+                    <span class="thinking-label">${escapeHtml(i18n.t('chat.thinking'))}</span>
                 </div>
                 <div class="typing-indicator">
                     <span></span>
@@ -379,6 +2330,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             background: #fff0f0 !important;
             border-left: 3px solid #ff4444;
         }
+        .ai-message.streaming .message-text > :last-child::after {
+            content: '\\25CF';
+            margin-left: 4px;
+            font-size: 0.6em;
+            vertical-align: middle;
+            animation: pulse 1s ease-in-out infinite;
+        }
         .clear-chat-btn {
             background: transparent;
             border: none;
@@ -400,9 +2358,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         const message = document.getElementById('paywallMessage');
 
         if (reason === 'subscription_ended') {
-            message.textContent = 'Your subscription has ended.';
+            message.textContent = i18n.t('paywall.ended');
         } else {
-            message.textContent = 'Subscribe to continue chatting with MoM.';
+            message.textContent = i18n.t('paywall.message');
         }
 
         paywallModal.style.display = 'flex';
@@ -0,0 +1,114 @@
+/**
+ * Child Profile Service for OMaa
+ * ==============================
+ *
+ * Manages the parent's child profiles (stored server-side per subscriber)
+ * and which child the conversation is about. The selected child's ID is
+ * sent with each chat request; the server adds that child's age and details
+ * to the context.
+ */
+
+class ChildProfileService {
+    constructor() {
+        this.children = [];
+        this.selectedChildId = localStorage.getItem(STORAGE_KEYS.SELECTED_CHILD);
+    }
+
+    /**
+     * Call the children API with the subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `API error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Load profiles from the server
+     * Falls back to the first child when the stored selection no longer exists
+     */
+    async load() {
+        try {
+            const data = await this.request('GET', '/api/children');
+            this.children = data.children || [];
+        } catch (e) {
+            console.error('Failed to load child profiles:', e);
+            // Keep the selection for when they can be loaded (e.g. back online)
+            return this.children;
+        }
+
+        if (!this.getSelectedChild()) {
+            this.selectChild(this.children[0]?.id || null);
+        }
+        return this.children;
+    }
+
+    /**
+     * Get all loaded profiles
+     */
+    getChildren() {
+        return this.children;
+    }
+
+    /**
+     * Get the child the conversation is about, if any
+     */
+    getSelectedChild() {
+        return this.children.find(child => child.id === this.selectedChildId) || null;
+    }
+
+    /**
+     * ID of the selected child, for chat requests
+     */
+    getSelectedChildId() {
+        return this.getSelectedChild()?.id || null;
+    }
+
+    /**
+     * Select the child the conversation is about (null for none)
+     */
+    selectChild(id) {
+        this.selectedChildId = id;
+        if (id) {
+            localStorage.setItem(STORAGE_KEYS.SELECTED_CHILD, id);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.SELECTED_CHILD);
+        }
+    }
+
+    /**
+     * Create a profile, or update it when an ID is given
+     * A new profile becomes the selected child
+     */
+    async saveChild(details, id = null) {
+        const profile = id
+            ? await this.request('PUT', `/api/children/${encodeURIComponent(id)}`, details)
+            : await this.request('POST', '/api/children', details);
+
+        await this.load();
+        if (!id) this.selectChild(profile.id);
+        return profile;
+    }
+
+    /**
+     * Delete a profile
+     */
+    async deleteChild(id) {
+        await this.request('DELETE', `/api/children/${encodeURIComponent(id)}`);
+        await this.load();
+    }
+}
+
+// Create global instance
+const childProfileService = new ChildProfileService();
@@ -0,0 +1,225 @@
+/**
+ * Child Profiles for OMaa
+ * =======================
+ *
+ * Parents describe each child once (name, birth or due date, allergies, ...)
+ * and the selected child's facts and current age are added to the chat
+ * context, so answers are age-appropriate without repeating them.
+ *
+ * Profiles are stored per Stripe customer in the local data store.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+
+const profiles = getCollection('child-profiles');
+
+const MAX_PROFILES_PER_CUSTOMER = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEX_OPTIONS = ['female', 'male', 'unspecified'];
+const FEEDING_METHODS = ['breastfeeding', 'formula', 'combination', 'solids', 'not_applicable'];
+
+const FEEDING_LABELS = {
+    breastfeeding: 'breastfed',
+    formula: 'formula fed',
+    combination: 'combination fed (breast milk and formula)',
+    solids: 'eating solid foods'
+};
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Validate and normalize profile input from a client
+ * @returns {{ error: string|null, value: Object }}
+ */
+function validateProfile(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const birthDate = input.birthDate || null;
+    const dueDate = input.dueDate || null;
+
+    if (!name || name.length > 40) {
+        return { error: 'Please give a name or nickname (up to 40 characters)' };
+    }
+    if (!birthDate && !dueDate) {
+        return { error: 'Please give a birth date or a due date' };
+    }
+    if (birthDate && !isDateString(birthDate)) {
+        return { error: 'Birth date must be a date (YYYY-MM-DD)' };
+    }
+    if (dueDate && !isDateString(dueDate)) {
+        return { error: 'Due date must be a date (YYYY-MM-DD)' };
+    }
+    if (birthDate && Date.parse(birthDate) > Date.now()) {
+        return { error: 'Birth date cannot be in the future' };
+    }
+
+    const sex = SEX_OPTIONS.includes(input.sex) ? input.sex : 'unspecified';
+    const feedingMethod = FEEDING_METHODS.includes(input.feedingMethod) ? input.feedingMethod : null;
+
+    const allergies = (Array.isArray(input.allergies) ? input.allergies : [])
+        .filter(a => typeof a === 'string' && a.trim())
+        .map(a => a.trim().slice(0, 60))
+        .slice(0, 20);
+
+    const medicalNotes = typeof input.medicalNotes === 'string'
+        ? input.medicalNotes.trim().slice(0, 1000)
+        : '';
+
+    return {
+        error: null,
+        value: { name, birthDate, dueDate, sex, allergies, medicalNotes, feedingMethod }
+    };
+}
+
+/**
+ * Whole calendar months between two UTC dates
+ */
+function monthsBetween(from, to) {
+    let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+    if (to.getUTCDate() < from.getUTCDate()) months--;
+    return months;
+}
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+/**
+ * Describe a child's age (or pregnancy stage) in words, e.g. "14 months old"
+ */
+function describeAge(profile, now = new Date()) {
+    if (profile.birthDate) {
+        const birth = new Date(`${profile.birthDate}T00:00:00Z`);
+        const days = Math.floor((now - birth) / DAY_MS);
+
+        if (days < 14) return `${plural(days, 'day')} old`;
+        if (days < 90) return `${plural(Math.floor(days / 7), 'week')} old`;
+
+        const months = monthsBetween(birth, now);
+        if (months < 24) return `${plural(months, 'month')} old`;
+
+        const years = Math.floor(months / 12);
+        const remainder = months % 12;
+        // Half-years still matter for preschoolers; older children go by years
+        return years < 5 && remainder
+            ? `${plural(years, 'year')} ${plural(remainder, 'month')} old`
+            : `${plural(years, 'year')} old`;
+    }
+
+    const due = new Date(`${profile.dueDate}T00:00:00Z`);
+    const daysToDue = Math.ceil((due - now) / DAY_MS);
+
+    if (daysToDue < 0) {
+        return `due date was ${plural(-daysToDue, 'day')} ago (birth date not yet recorded)`;
+    }
+
+    const weeksPregnant = Math.max(0, 40 - Math.ceil(daysToDue / 7));
+    return `not born yet, due in ${plural(Math.ceil(daysToDue / 7), 'week')} (about week ${weeksPregnant} of pregnancy)`;
+}
+
+/**
+ * Profile as returned by the API, with the computed age
+ */
+function toResponse(profile) {
+    const { customerId, ...publicProfile } = profile;
+    return { ...publicProfile, age: describeAge(profile) };
+}
+
+/**
+ * List a customer's child profiles
+ */
+function listProfiles(customerId) {
+    return profiles
+        .filter(p => p.customerId === customerId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(toResponse);
+}
+
+/**
+ * Get one of a customer's profiles (raw record), or null
+ */
+function getProfile(customerId, id) {
+    const profile = profiles.get(id);
+    return profile && profile.customerId === customerId ? profile : null;
+}
+
+/**
+ * Create a profile
+ * @returns {{ error: string|null, profile: Object }}
+ */
+function createProfile(customerId, input) {
+    if (profiles.filter(p => p.customerId === customerId).length >= MAX_PROFILES_PER_CUSTOMER) {
+        return { error: `You can add up to ${MAX_PROFILES_PER_CUSTOMER} children` };
+    }
+
+    const { error, value } = validateProfile(input);
+    if (error) return { error };
+
+    const id = `child_${crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const profile = profiles.set(id, {
+        id,
+        ...value,
+        customerId,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    return { error: null, profile: toResponse(profile) };
+}
+
+/**
+ * Replace a profile's details
+ * @returns {{ error: string|null, profile: Object|null }} profile is null when not found
+ */
+function updateProfile(customerId, id, input) {
+    const existing = getProfile(customerId, id);
+    if (!existing) return { error: null, profile: null };
+
+    const { error, value } = validateProfile(input);
+    if (error) return { error };
+
+    const profile = profiles.set(id, {
+        ...existing,
+        ...value,
+        updatedAt: new Date().toISOString()
+    });
+    return { error: null, profile: toResponse(profile) };
+}
+
+/**
+ * Delete a profile
+ */
+function deleteProfile(customerId, id) {
+    if (!getProfile(customerId, id)) return false;
+    return profiles.delete(id);
+}
+
+/**
+ * Describe a child for the system prompt: name, age and the facts that shape advice
+ */
+function describeChildForPrompt(profile) {
+    const lines = [`- Name: ${profile.name}`, `- Age: ${describeAge(profile)}`];
+
+    if (profile.sex !== 'unspecified') {
+        lines.push(`- Sex: ${profile.sex}`);
+    }
+    if (profile.feedingMethod && FEEDING_LABELS[profile.feedingMethod]) {
+        lines.push(`- Feeding: ${FEEDING_LABELS[profile.feedingMethod]}`);
+    }
+    lines.push(`- Allergies: ${profile.allergies.length ? profile.allergies.join(', ') : 'none known'}`);
+    if (profile.medicalNotes) {
+        lines.push(`- Medical notes from the parent: ${profile.medicalNotes}`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    describeAge,
+    describeChildForPrompt
+};
@@ -0,0 +1,498 @@
+/**
+ * Conversation Export for OMaa
+ * ============================
+ *
+ * Turns chat threads into a document a parent can bring to a pediatrician:
+ * PDF (rendered here with PDFKit - no external service), Markdown, or JSON
+ * for other tools. Every export carries timestamps, the medical disclaimer
+ * and, optionally, a header describing the child.
+ *
+ * Chat history lives in the browser, so the client sends the threads to
+ * export; the child header is built from the stored profile, never from
+ * client-supplied details. Times are shown in the parent's time zone
+ * (`tzOffset` minutes, as from Date#getTimezoneOffset) and the date range
+ * is inclusive of both days.
+ */
+
+const PDFDocument = require('pdfkit');
+const childProfiles = require('./child-profiles');
+const { parseTzOffset } = require('./tracker');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// PDFs are rendered on the server's one event loop, so exports stay small
+const MAX_EXPORT_THREADS = 100;
+const MAX_EXPORT_MESSAGES = 1000;
+const MAX_MESSAGE_CHARS = 20000;
+
+const EXPORT_DISCLAIMER = 'OMaa is an AI parenting companion, not a medical provider. These conversations are general ' +
+    'information, not medical advice, diagnosis or treatment. Please discuss any health concern with your pediatrician ' +
+    'or another qualified professional, and call emergency services in an emergency.';
+
+const EXPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const SPEAKERS = { user: 'Parent', assistant: 'OMaa' };
+
+// DejaVu covers Latin, Greek and Cyrillic (PDFKit's built-in fonts only cover Latin-1)
+const FONTS = {
+    regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+    italic: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf'),
+    mono: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf')
+};
+
+// DejaVu has no CJK or Indic glyphs, and PDFKit lays text out left to right without
+// reordering right-to-left scripts, so exports containing these go out as Markdown
+const PDF_UNSUPPORTED_SCRIPTS = new RegExp('[' + [
+    'Arabic', 'Hebrew', 'Syriac', 'Thaana', 'Nko',
+    'Han', 'Hiragana', 'Katakana', 'Bopomofo', 'Hangul',
+    'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Tamil', 'Telugu', 'Kannada', 'Malayalam',
+    'Thai', 'Lao', 'Khmer', 'Myanmar'
+].map(script => `\\p{Script=${script}}`).join('') + ']', 'u');
+
+const COLORS = {
+    text: '#1a1a2e',
+    muted: '#6b7280',
+    accent: '#c44569',
+    panel: '#f8f5f2'
+};
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+const isTimestamp = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+/**
+ * Format a timestamp in the parent's time zone, e.g. "2026-10-19 21:07"
+ */
+function formatTimestamp(timestamp, tzOffset) {
+    return new Date(Date.parse(timestamp) - tzOffset * MINUTE_MS).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * The child header: who the conversations are about
+ */
+function describeChild(profile) {
+    return {
+        name: profile.name,
+        age: childProfiles.describeAge(profile),
+        birthDate: profile.birthDate,
+        dueDate: profile.dueDate,
+        sex: profile.sex,
+        feedingMethod: profile.feedingMethod,
+        allergies: profile.allergies,
+        medicalNotes: profile.medicalNotes
+    };
+}
+
+/**
+ * Validate an export request and collect the messages in range
+ * @param {string} customerId
+ * @param {Object} input - { threads: [{ title, createdAt, messages }], from, to, childId, tzOffset }
+ * @returns {{ error: string|null, document: Object }}
+ */
+function prepareExport(customerId, input = {}) {
+    const tzOffset = parseTzOffset(input.tzOffset);
+    const { from, to } = input;
+
+    if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (from && to && from > to) {
+        return { error: 'The start date must be before the end date' };
+    }
+    if (!Array.isArray(input.threads) || input.threads.length === 0) {
+        return { error: 'Please choose at least one conversation' };
+    }
+    if (input.threads.length > MAX_EXPORT_THREADS) {
+        return { error: `You can export up to ${MAX_EXPORT_THREADS} conversations at once` };
+    }
+
+    let child = null;
+    if (input.childId) {
+        const profile = childProfiles.getProfile(customerId, input.childId);
+        if (!profile) return { error: 'Child profile not found' };
+        child = describeChild(profile);
+    }
+
+    // Range bounds are the parent's local midnights
+    const fromMs = from ? Date.parse(`${from}T00:00:00Z`) + tzOffset * MINUTE_MS : -Infinity;
+    const toMs = to ? Date.parse(`${to}T00:00:00Z`) + tzOffset * MINUTE_MS + DAY_MS : Infinity;
+
+    let messageCount = 0;
+    const threads = input.threads.map(thread => {
+        const startedAt = isTimestamp(thread?.createdAt) ? new Date(thread.createdAt).toISOString() : null;
+        const messages = (Array.isArray(thread?.messages) ? thread.messages : [])
+            .filter(msg => msg && SPEAKERS[msg.role] && typeof msg.content === 'string' && msg.content.trim())
+            .map(msg => ({
+                role: msg.role,
+                content: msg.content.slice(0, MAX_MESSAGE_CHARS),
+                // Messages saved before timestamps were recorded take their thread's start
+                createdAt: isTimestamp(msg.createdAt) ? new Date(msg.createdAt).toISOString() : startedAt
+            }))
+            .filter(msg => {
+                const time = msg.createdAt ? Date.parse(msg.createdAt) : null;
+                return time === null ? !from && !to : time >= fromMs && time < toMs;
+            });
+
+        messageCount += messages.length;
+        return {
+            title: typeof thread?.title === 'string' && thread.title.trim() ? thread.title.trim().slice(0, 120) : 'Conversation',
+            startedAt,
+            messages
+        };
+    }).filter(thread => thread.messages.length > 0);
+
+    if (messageCount === 0) {
+        return { error: 'No messages in that date range' };
+    }
+    if (messageCount > MAX_EXPORT_MESSAGES) {
+        return { error: 'That is too many messages for one export. Please choose a shorter date range.' };
+    }
+
+    return {
+        error: null,
+        document: {
+            title: child ? `Conversations with OMaa about ${child.name}` : 'Conversations with OMaa',
+            exportedAt: new Date().toISOString(),
+            range: { from: from || null, to: to || null },
+            tzOffset,
+            child,
+            disclaimer: EXPORT_DISCLAIMER,
+            threads
+        }
+    };
+}
+
+/**
+ * Child header lines, shared by the Markdown and PDF exports
+ */
+function childLines(child) {
+    const feeding = child.feedingMethod && child.feedingMethod !== 'not_applicable'
+        ? child.feedingMethod.replace('_', ' ')
+        : null;
+
+    return [
+        ['Name', child.name],
+        ['Age', child.age],
+        ['Born', child.birthDate],
+        ['Due date', child.dueDate],
+        ['Sex', child.sex !== 'unspecified' ? child.sex : null],
+        ['Feeding', feeding],
+        ['Allergies', child.allergies.length ? child.allergies.join(', ') : 'none known'],
+        ['Medical notes', child.medicalNotes || null]
+    ].filter(([, value]) => value);
+}
+
+function describeRange({ from, to }) {
+    if (from && to) return `${from} to ${to}`;
+    if (from) return `from ${from}`;
+    if (to) return `up to ${to}`;
+    return 'all dates';
+}
+
+/**
+ * Render an export as Markdown
+ */
+function toMarkdown(doc) {
+    const lines = [
+        `# ${doc.title}`,
+        '',
+        `Exported ${formatTimestamp(doc.exportedAt, doc.tzOffset)} · Messages from ${describeRange(doc.range)}`,
+        '',
+        `> ${doc.disclaimer}`,
+        ''
+    ];
+
+    if (doc.child) {
+        lines.push('## Child', '');
+        childLines(doc.child).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        lines.push('');
+    }
+
+    doc.threads.forEach(thread => {
+        lines.push(`## ${thread.title}`, '');
+        thread.messages.forEach(msg => {
+            const time = msg.createdAt ? ` (${formatTimestamp(msg.createdAt, doc.tzOffset)})` : '';
+            // Headings in a reply nest under its speaker heading
+            lines.push(`### ${SPEAKERS[msg.role]}${time}`, '', msg.content.trim().replace(/^#{1,6}\s+/gm, '#### '), '');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Render an export as JSON (format "omaa-conversation-export", version 1)
+ */
+function toJson(doc) {
+    return JSON.stringify({
+        format: 'omaa-conversation-export',
+        version: 1,
+        exportedAt: doc.exportedAt,
+        range: doc.range,
+        timezoneOffsetMinutes: doc.tzOffset,
+        child: doc.child,
+        disclaimer: doc.disclaimer,
+        threads: doc.threads
+    }, null, 2);
+}
+
+/**
+ * Split a reply's Markdown into blocks PDFKit can lay out
+ * Covers what OMaa writes: headings, lists, quotes, code, tables, paragraphs
+ */
+function markdownBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let code = null;
+
+    const flush = () => {
+        if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+        paragraph = [];
+    };
+
+    markdown.split('\n').forEach(line => {
+        if (code) {
+            if (/^\s*```/.test(line)) {
+                blocks.push({ type: 'code', text: code.join('\n') });
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+
+        let match;
+        if (/^\s*```/.test(line)) {
+            flush();
+            code = [];
+        } else if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+        } else if ((match = line.match(/^\s*#{1,6}\s+(.*)$/))) {
+            flush();
+            blocks.push({ type: 'heading', text: match[1] });
+        } else if ((match = line.match(/^(\s*)[-*+]\s+(.*)$/))) {
+            flush();
+            blocks.push({ type: 'list', marker: '•', indent: Math.floor(match[1].length / 2), text: match[2] });
+        } else if ((match = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/))) {
+            flush();
+            blocks.push({ type: 'list', marker: `${match[2]}.`, indent: Math.floor(match[1].length / 2), text: match[3] });
+        } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+            flush();
+            blocks.push({ type: 'quote', text: match[1] });
+        } else if (/^\s*\|/.test(line)) {
+            flush();
+            // Separator rows (|---|:--:|) carry no text
+            if (!/^\s*\|?[\s:|-]+\|?\s*$/.test(line)) {
+                const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+                blocks.push({ type: 'paragraph', text: cells.join('  ·  ') });
+            }
+        } else {
+            paragraph.push(line.trim());
+        }
+    });
+
+    if (code) blocks.push({ type: 'code', text: code.join('\n') });
+    flush();
+    return blocks;
+}
+
+/**
+ * Split inline Markdown into runs of plain, bold and italic text
+ */
+function inlineRuns(text) {
+    const plain = text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+        .replace(/`([^`]+)`/g, '$1');
+
+    const runs = [];
+    const pattern = /(\*\*|__)(.+?)\1|(\*|_)(\S(?:.*?\S)?)\3/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(plain))) {
+        if (match.index > last) runs.push({ font: 'regular', text: plain.slice(last, match.index) });
+        runs.push(match[2] ? { font: 'bold', text: match[2] } : { font: 'italic', text: match[4] });
+        last = pattern.lastIndex;
+    }
+    if (last < plain.length) runs.push({ font: 'regular', text: plain.slice(last) });
+    return runs.length ? runs : [{ font: 'regular', text: plain }];
+}
+
+/**
+ * Write a line of inline runs at the current position
+ */
+function writeRuns(pdf, runs, options = {}) {
+    runs.forEach((run, index) => {
+        pdf.font(run.font).text(run.text, {
+            ...options,
+            continued: index < runs.length - 1
+        });
+    });
+}
+
+/**
+ * Write one message's content
+ */
+function writeContent(pdf, content, role) {
+    const blocks = role === 'assistant'
+        ? markdownBlocks(content)
+        : content.split(/\n{2,}/).map(text => ({ type: 'paragraph', text: text.trim(), raw: true }));
+
+    blocks.forEach(block => {
+        pdf.fontSize(10.5).fillColor(COLORS.text);
+
+        if (block.type === 'heading') {
+            pdf.moveDown(0.2);
+            writeRuns(pdf, [{ font: 'bold', text: block.text.replace(/[*_`]/g, '') }]);
+        } else if (block.type === 'list') {
+            const indent = 12 + block.indent * 14;
+            pdf.font('regular').text(block.marker, pdf.page.margins.left + indent, pdf.y, { continued: false, lineBreak: false });
+            pdf.moveUp();
+            writeRuns(pdf, inlineRuns(block.text), { indent: indent + 14 });
+            pdf.x = pdf.page.margins.left;
+        } else if (block.type === 'quote') {
+            pdf.fillColor(COLORS.muted);
+            writeRuns(pdf, inlineRuns(block.text), { indent: 14 });
+        } else if (block.type === 'code') {
+            pdf.font('mono').fontSize(9).text(block.text, { indent: 14 });
+        } else {
+            writeRuns(pdf, block.raw ? [{ font: 'regular', text: block.text }] : inlineRuns(block.text));
+        }
+        pdf.moveDown(0.35);
+    });
+}
+
+/**
+ * Render an export as a PDF
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(doc) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: 'LETTER',
+            margins: { top: 54, bottom: 64, left: 60, right: 60 },
+            bufferPages: true,
+            info: { Title: doc.title, Author: 'OMaa', Creator: 'OMaa' }
+        });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        Object.entries(FONTS).forEach(([name, file]) => pdf.registerFont(name, file));
+        const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+
+        // Title and disclaimer
+        pdf.font('bold').fontSize(18).fillColor(COLORS.accent).text(doc.title);
+        pdf.font('regular').fontSize(9.5).fillColor(COLORS.muted)
+            .text(`Exported ${formatTimestamp(doc.exportedAt, doc.tzOffset)} · Messages from ${describeRange(doc.range)}`);
+        pdf.moveDown(0.8);
+
+        const disclaimerTop = pdf.y;
+        pdf.font('italic').fontSize(9).fillColor(COLORS.text);
+        const disclaimerHeight = pdf.heightOfString(doc.disclaimer, { width: width - 20 });
+        pdf.rect(pdf.page.margins.left, disclaimerTop, width, disclaimerHeight + 16).fill(COLORS.panel);
+        pdf.fillColor(COLORS.text).text(doc.disclaimer, pdf.page.margins.left + 10, disclaimerTop + 8, { width: width - 20 });
+        pdf.x = pdf.page.margins.left;
+        pdf.y = disclaimerTop + disclaimerHeight + 16;
+        pdf.moveDown(1);
+
+        // Child header
+        if (doc.child) {
+            pdf.font('bold').fontSize(13).fillColor(COLORS.accent).text('Child');
+            pdf.moveDown(0.3);
+            childLines(doc.child).forEach(([label, value]) => {
+                pdf.fontSize(10.5).fillColor(COLORS.text);
+                writeRuns(pdf, [{ font: 'bold', text: `${label}: ` }, { font: 'regular', text: value }]);
+            });
+            pdf.moveDown(1);
+        }
+
+        // Conversations
+        doc.threads.forEach(thread => {
+            if (pdf.y > pdf.page.height - 160) pdf.addPage();
+
+            pdf.font('bold').fontSize(13).fillColor(COLORS.accent).text(thread.title);
+            pdf.moveTo(pdf.page.margins.left, pdf.y + 2).lineTo(pdf.page.margins.left + width, pdf.y + 2)
+                .lineWidth(0.5).strokeColor(COLORS.muted).stroke();
+            pdf.moveDown(0.6);
+
+            thread.messages.forEach(msg => {
+                if (pdf.y > pdf.page.height - 120) pdf.addPage();
+
+                pdf.fontSize(10).fillColor(msg.role === 'assistant' ? COLORS.accent : COLORS.text);
+                writeRuns(pdf, [
+                    { font: 'bold', text: SPEAKERS[msg.role] },
+                    { font: 'regular', text: msg.createdAt ? `  ${formatTimestamp(msg.createdAt, doc.tzOffset)}` : '' }
+                ]);
+                pdf.moveDown(0.2);
+                writeContent(pdf, msg.content, msg.role);
+                pdf.moveDown(0.5);
+            });
+            pdf.moveDown(0.6);
+        });
+
+        // Footer on every page: the disclaimer's first sentence and page numbers
+        const { start, count } = pdf.bufferedPageRange();
+        for (let i = start; i < start + count; i++) {
+            pdf.switchToPage(i);
+            const bottom = pdf.page.margins.bottom;
+            pdf.page.margins.bottom = 0;
+            pdf.font('regular').fontSize(8).fillColor(COLORS.muted).text(
+                `Not medical advice. Discuss health concerns with your pediatrician.   Page ${i - start + 1} of ${count}`,
+                pdf.page.margins.left,
+                pdf.page.height - bottom + 24,
+                { width, align: 'center', lineBreak: false }
+            );
+            pdf.page.margins.bottom = bottom;
+        }
+
+        pdf.end();
+    });
+}
+
+/**
+ * Whether the PDF fonts and layout can show every script in an export
+ */
+function canRenderPdf(doc) {
+    const text = [
+        doc.title,
+        ...(doc.child ? childLines(doc.child).map(([, value]) => value) : []),
+        ...doc.threads.flatMap(thread => [thread.title, ...thread.messages.map(msg => msg.content)])
+    ];
+    return !text.some(value => PDF_UNSUPPORTED_SCRIPTS.test(value));
+}
+
+/**
+ * Render a prepared export in a format
+ * A PDF the fonts can't show is rendered as Markdown instead; `format` is what was rendered.
+ * @param {Object} doc - From prepareExport
+ * @param {string} requested - 'pdf', 'markdown' or 'json'
+ * @returns {Promise<{ body: Buffer|string, contentType: string, filename: string, format: string }>}
+ */
+async function renderExport(doc, requested) {
+    const format = requested === 'pdf' && !canRenderPdf(doc) ? 'markdown' : requested;
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const body = format === 'pdf' ? await toPdf(doc) : format === 'markdown' ? toMarkdown(doc) : toJson(doc);
+    const date = formatTimestamp(doc.exportedAt, doc.tzOffset).slice(0, 10);
+
+    return { body, contentType, filename: `omaa-conversations-${date}.${extension}`, format };
+}
+
+/**
+ * Whether a format can be exported
+ */
+function isExportFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+module.exports = {
+    prepareExport,
+    renderExport,
+    isExportFormat
+};
@@ -0,0 +1,116 @@
+/**
+ * Local Data Store for OMaa
+ * =========================
+ *
+ * A small file-backed store: each collection is a JSON file of records keyed
+ * by ID, kept in memory and rewritten atomically (write to a temp file, then
+ * rename) on every change. Writes are synchronous, so a single server
+ * process never interleaves them.
+ *
+ * Files live in DATA_DIR (default: ./data). server.js only serves an
+ * allowlist of static files, so nothing in it is reachable over HTTP.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+class JsonCollection {
+    constructor(name) {
+        this.name = name;
+        this.file = path.join(DATA_DIR, `${name}.json`);
+        this.records = this.load();
+    }
+
+    /**
+     * Load records from disk
+     */
+    load() {
+        // IDs come from outside (webhook bodies, clients), so records has no
+        // prototype for an ID like `__proto__` to reach
+        const records = Object.create(null);
+        try {
+            return Object.assign(records, JSON.parse(fs.readFileSync(this.file, 'utf8')));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Failed to load ${this.name} store:`, e.message);
+                // Keep the unreadable file around instead of overwriting it on the next save
+                fs.renameSync(this.file, `${this.file}.corrupt-${Date.now()}`);
+            }
+            return records;
+        }
+    }
+
+    /**
+     * Write all records to disk atomically
+     */
+    save() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.records, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    get(id) {
+        return this.records[id] || null;
+    }
+
+    has(id) {
+        return id in this.records;
+    }
+
+    set(id, record) {
+        this.records[id] = record;
+        this.save();
+        return record;
+    }
+
+    delete(id) {
+        if (!this.has(id)) return false;
+        delete this.records[id];
+        this.save();
+        return true;
+    }
+
+    /**
+     * Delete every record matching a predicate, writing the file once
+     * @returns {number} how many were deleted
+     */
+    deleteWhere(predicate) {
+        const ids = Object.keys(this.records).filter(id => predicate(this.records[id]));
+        ids.forEach(id => delete this.records[id]);
+        if (ids.length) this.save();
+        return ids.length;
+    }
+
+    values() {
+        return Object.values(this.records);
+    }
+
+    find(predicate) {
+        return this.values().find(predicate) || null;
+    }
+
+    filter(predicate) {
+        return this.values().filter(predicate);
+    }
+}
+
+const collections = new Map();
+
+/**
+ * Get a collection by name, loading it on first use
+ */
+function getCollection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, new JsonCollection(name));
+    }
+    return collections.get(name);
+}
+
+module.exports = {
+    DATA_DIR,
+    JsonCollection,
+    getCollection
+};
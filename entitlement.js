@@ -0,0 +1,123 @@
+/**
+ * Entitlement for OMaa
+ * ====================
+ *
+ * Resolves a signed-in subscriber's Stripe customer to their access and
+ * guards paid API routes with it. Lookups read the webhook-fed subscription
+ * store first and only fall back to Stripe for customers it hasn't seen.
+ * Results are cached for a short TTL.
+ *
+ * Clients identify themselves with `Authorization: Bearer <token>`, a
+ * session token from auth-sessions.js.
+ *
+ * Denied requests get a structured body the chat page maps to its modals:
+ *   403 { code: 'not_enrolled' }        -> enrollment modal (with sign-in)
+ *   402 { code: 'subscription_ended' }  -> paywall modal
+ */
+
+const { getCustomerAccess, saveSubscription } = require('./subscription-store');
+const { getSessionCustomer } = require('./auth-sessions');
+
+const ENTITLEMENT_CACHE_TTL_MS = parseInt(process.env.ENTITLEMENT_CACHE_TTL_MS || '60000', 10);
+
+const accessCache = new Map();
+
+/**
+ * Look up a customer's subscription access
+ * Reads the webhook-fed store first and only asks Stripe when nothing is stored,
+ * saving what Stripe returns so the next lookup is local.
+ * Throws if Stripe can't be reached; customers without a subscription resolve to { valid: false }
+ */
+async function fetchCustomerAccess(stripe, customerId) {
+    const stored = getCustomerAccess(customerId);
+    if (stored) return stored;
+
+    const { data } = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 10 });
+    data.forEach(subscription => saveSubscription(subscription));
+
+    return getCustomerAccess(customerId) || {
+        valid: false,
+        error: 'No subscription found'
+    };
+}
+
+/**
+ * Resolve a customer's access, using the cache when it's fresh
+ */
+async function resolveCustomerAccess(stripe, customerId) {
+    const cached = accessCache.get(customerId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.access;
+    }
+
+    const access = await fetchCustomerAccess(stripe, customerId);
+    accessCache.set(customerId, { access, expiresAt: Date.now() + ENTITLEMENT_CACHE_TTL_MS });
+    return access;
+}
+
+/**
+ * Drop cached access for a customer (or for every customer when omitted)
+ */
+function invalidateAccess(customerId) {
+    if (customerId) {
+        accessCache.delete(customerId);
+    } else {
+        accessCache.clear();
+    }
+}
+
+/**
+ * Read the caller's session token from the request
+ */
+function getRequestToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Express middleware that only lets active (trialing or paid) subscribers through
+ * On success the access data is available as req.entitlement
+ * @param {Object} [options]
+ * @param {boolean} [options.allowEnded=false] - Also let ended subscriptions through, for
+ *   routes a former subscriber still needs (downloading or deleting their data)
+ */
+function requireEntitlement(stripe, { allowEnded = false } = {}) {
+    return async (req, res, next) => {
+        if (!stripe) {
+            return res.status(503).json({ error: 'Stripe not configured', code: 'billing_unavailable' });
+        }
+
+        const customerId = getSessionCustomer(getRequestToken(req));
+
+        if (!customerId) {
+            return res.status(403).json({ error: 'Please enroll or sign in to start chatting', code: 'not_enrolled' });
+        }
+
+        let access;
+
+        try {
+            access = await resolveCustomerAccess(stripe, customerId);
+        } catch (error) {
+            console.error('Entitlement check error:', error.message);
+            return res.status(503).json({ error: 'Unable to verify your subscription right now', code: 'verification_failed' });
+        }
+
+        if (!access.valid) {
+            return res.status(403).json({ error: access.error || 'Please enroll to start chatting', code: 'not_enrolled' });
+        }
+
+        if (!access.canChat && !allowEnded) {
+            return res.status(402).json({ error: 'Your subscription has ended', code: 'subscription_ended', status: access.status });
+        }
+
+        req.entitlement = access;
+        next();
+    };
+}
+
+module.exports = {
+    resolveCustomerAccess,
+    invalidateAccess,
+    getRequestToken,
+    requireEntitlement
+};
@@ -0,0 +1,274 @@
+/**
+ * Gift Subscriptions for OMaa
+ * ===========================
+ *
+ * Someone buys 3, 6 or 12 months of MoM with a one-time payment and gets a
+ * code to pass on. The recipient redeems it for a subscription whose free
+ * period covers the gift, with no card needed. Both steps finish in Stripe
+ * Checkout, and the webhook handler records them:
+ *
+ * - a completed gift purchase issues the code (the purchaser's confirmation
+ *   page can also issue it, in case the webhook is late)
+ * - a completed redemption marks the gift redeemed
+ * - an expired redemption checkout frees the code again
+ *
+ * While a redemption checkout is open the code is held for it, and redeeming
+ * again returns the same checkout, so one gift can't become two subscriptions.
+ * When the gift runs out the subscription is canceled, unless the recipient
+ * has added a card by then.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+
+// One-time Stripe prices for each gift length
+// Environment variables: STRIPE_GIFT_PRICE_ID_3M, STRIPE_GIFT_PRICE_ID_6M, STRIPE_GIFT_PRICE_ID_12M
+const GIFT_PRICE_IDS = {
+    3: () => process.env.STRIPE_GIFT_PRICE_ID_3M,
+    6: () => process.env.STRIPE_GIFT_PRICE_ID_6M,
+    12: () => process.env.STRIPE_GIFT_PRICE_ID_12M
+};
+
+// Codes avoid look-alike characters (0/O, 1/I/L) since they are read aloud and retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+// How long a redemption checkout stays open, holding the code (Stripe's minimum is 30 minutes)
+const REDEMPTION_HOLD_SECONDS = 30 * 60;
+// Hold while the redemption checkout is being created
+const PENDING_HOLD_SECONDS = 60;
+
+const gifts = getCollection('gifts');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Stripe price ID for a gift length in months, or null when not offered
+ */
+function getGiftPriceId(months) {
+    return GIFT_PRICE_IDS[months] ? GIFT_PRICE_IDS[months]() || null : null;
+}
+
+/**
+ * A new random code, formatted XXXX-XXXX-XXXX
+ */
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(/.{4}/g).join('-');
+}
+
+/**
+ * A code as typed (any case, with or without dashes) in stored form
+ */
+function normalizeCode(input) {
+    const chars = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === CODE_LENGTH ? chars.match(/.{4}/g).join('-') : null;
+}
+
+/**
+ * Start a Stripe Checkout for buying a gift
+ * @returns {Promise<{ error: string|null, url: string }>}
+ */
+async function createPurchaseCheckout(stripe, months, baseUrl) {
+    const priceId = getGiftPriceId(months);
+    if (!priceId) {
+        return { error: 'Gifts are 3, 6 or 12 months' };
+    }
+
+    const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        mode: 'payment',
+        line_items: [{
+            price: priceId,
+            quantity: 1,
+        }],
+        metadata: { kind: 'gift', months: String(months) },
+        success_url: `${baseUrl}/momai-index.html?gift_session={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${baseUrl}/momai-index.html#gift`,
+    });
+    return { error: null, url: session.url };
+}
+
+/**
+ * Issue the code for a paid gift purchase (once per purchase)
+ * @param {Object} session - Stripe checkout session
+ * @returns {Object|null} the gift, or null when the session isn't a paid gift purchase
+ */
+function issueGift(session) {
+    if (session.metadata?.kind !== 'gift' || session.payment_status !== 'paid') {
+        return null;
+    }
+
+    const existing = gifts.find(gift => gift.purchaseSessionId === session.id);
+    if (existing) return existing;
+
+    let code;
+    do {
+        code = generateCode();
+    } while (gifts.has(code));
+
+    return gifts.set(code, {
+        id: code,
+        months: Number(session.metadata.months),
+        purchaseSessionId: session.id,
+        purchasedAt: new Date().toISOString(),
+        redemption: null,
+        redeemedAt: null,
+        customerId: null,
+        subscriptionId: null
+    });
+}
+
+/**
+ * The code for a gift purchase, issuing it if the webhook hasn't yet
+ * @returns {Promise<{ code: string, months: number }|null>} null when the session isn't a paid gift purchase
+ */
+async function getPurchase(stripe, sessionId) {
+    let gift = gifts.find(record => record.purchaseSessionId === sessionId);
+
+    if (!gift) {
+        gift = issueGift(await stripe.checkout.sessions.retrieve(sessionId));
+        if (!gift) return null;
+    }
+    return { code: gift.id, months: gift.months };
+}
+
+/**
+ * Start a Stripe Checkout that turns a gift code into a subscription
+ * @returns {Promise<{ error: string|null, url: string }>}
+ */
+async function redeemGift(stripe, input, { priceId, baseUrl }) {
+    const code = normalizeCode(input);
+    const gift = code && gifts.get(code);
+
+    if (!gift) {
+        return { error: "We couldn't find that gift code. Please check it and try again." };
+    }
+    if (gift.redeemedAt) {
+        return { error: 'This gift code has already been redeemed' };
+    }
+
+    const hold = gift.redemption;
+    if (hold && hold.expiresAt > nowSeconds()) {
+        if (hold.url) return { error: null, url: hold.url };
+        return { error: 'This gift is being redeemed right now. Please try again in a minute.' };
+    }
+
+    // The last checkout may have completed without its webhook arriving
+    if (hold?.checkoutSessionId) {
+        const previous = await stripe.checkout.sessions.retrieve(hold.checkoutSessionId);
+        if (previous.status === 'complete') {
+            applyCompletedCheckout(previous);
+            return { error: 'This gift code has already been redeemed' };
+        }
+    }
+
+    gifts.set(code, { ...gift, redemption: { expiresAt: nowSeconds() + PENDING_HOLD_SECONDS } });
+
+    // The gift pays for a free period of the gift's length on the regular plan
+    const giftEnd = new Date();
+    giftEnd.setMonth(giftEnd.getMonth() + gift.months);
+    const expiresAt = nowSeconds() + REDEMPTION_HOLD_SECONDS;
+
+    let session;
+    try {
+        session = await stripe.checkout.sessions.create({
+            mode: 'subscription',
+            line_items: [{
+                price: priceId,
+                quantity: 1,
+            }],
+            payment_method_collection: 'if_required',
+            subscription_data: {
+                trial_end: Math.floor(giftEnd.getTime() / 1000),
+                trial_settings: { end_behavior: { missing_payment_method: 'cancel' } },
+                metadata: { giftCode: code }
+            },
+            metadata: { kind: 'gift_redemption', giftCode: code },
+            expires_at: expiresAt,
+            success_url: `${baseUrl}/chat.html?session_id={CHECKOUT_SESSION_ID}&status=success`,
+            cancel_url: `${baseUrl}/chat.html?gift=${code}`,
+        });
+    } catch (error) {
+        gifts.set(code, { ...gifts.get(code), redemption: null });
+        throw error;
+    }
+
+    gifts.set(code, {
+        ...gifts.get(code),
+        redemption: { checkoutSessionId: session.id, url: session.url, expiresAt }
+    });
+    return { error: null, url: session.url };
+}
+
+/**
+ * Record a completed gift checkout (purchase or redemption) from the webhook
+ * @returns {boolean} whether a gift was written
+ */
+function applyCompletedCheckout(session) {
+    if (session.metadata?.kind === 'gift') {
+        return !!issueGift(session);
+    }
+    if (session.metadata?.kind !== 'gift_redemption') {
+        return false;
+    }
+
+    const gift = gifts.get(session.metadata.giftCode);
+    if (!gift || gift.redeemedAt) {
+        console.error('Gift redemption for an unknown or redeemed code:', session.id);
+        return false;
+    }
+
+    gifts.set(gift.id, {
+        ...gift,
+        redemption: null,
+        redeemedAt: new Date().toISOString(),
+        customerId: session.customer,
+        subscriptionId: session.subscription || null
+    });
+    return true;
+}
+
+/**
+ * Free a gift's code when its redemption checkout expired unused
+ * @returns {boolean} whether a gift was written
+ */
+function applyExpiredCheckout(session) {
+    if (session.metadata?.kind !== 'gift_redemption') return false;
+
+    const gift = gifts.get(session.metadata.giftCode);
+    if (!gift || gift.redemption?.checkoutSessionId !== session.id) return false;
+
+    gifts.set(gift.id, { ...gift, redemption: null });
+    return true;
+}
+
+/**
+ * Gifts a customer redeemed, for their account export
+ */
+function getRedeemedGifts(customerId) {
+    return gifts.filter(gift => gift.customerId === customerId)
+        .map(({ id, months, redeemedAt, subscriptionId }) => ({ code: id, months, redeemedAt, subscriptionId }));
+}
+
+/**
+ * Unlink redeemed gifts from a customer whose data is deleted
+ * The gift records stay, marked redeemed, so a code can't be issued or redeemed again.
+ * @returns {number} how many were unlinked
+ */
+function scrubRedeemedGifts(customerId) {
+    const redeemed = gifts.filter(gift => gift.customerId === customerId);
+    redeemed.forEach(gift => gifts.set(gift.id, { ...gift, customerId: null, subscriptionId: null }));
+    return redeemed.length;
+}
+
+module.exports = {
+    createPurchaseCheckout,
+    getPurchase,
+    redeemGift,
+    applyCompletedCheckout,
+    applyExpiredCheckout,
+    getRedeemedGifts,
+    scrubRedeemedGifts
+};
@@ -0,0 +1,212 @@
+/**
+ * Internationalization for OMaa
+ * =============================
+ *
+ * Shows the pages in the parent's language and tells the chat which language
+ * MoM should answer in.
+ *
+ * - The language is the one chosen in settings, else the first of the
+ *   browser's preferred languages we know, else English.
+ * - Interface text comes from locale bundles (locales/<code>.json). Strings a
+ *   bundle lacks, and languages without a bundle yet, fall back to English,
+ *   so parents can get replies in more languages than the interface covers.
+ * - Markup is translated through attributes holding bundle keys:
+ *     data-i18n="key"               text content
+ *     data-i18n-html="key"          HTML content (our own bundle strings only)
+ *     data-i18n-placeholder="key"   placeholder
+ *     data-i18n-title="key"         title
+ *     data-i18n-alt="key"           alt text
+ * - Strings may contain {name} placeholders. Plural strings are objects of
+ *   Intl.PluralRules categories ({ one, other, ... }) chosen by `count`.
+ * - Right-to-left languages set dir="rtl" on <html>.
+ *
+ * Every <select data-language-select> on the page becomes a language picker.
+ */
+
+const I18N_LANGUAGES = [
+    { code: 'en', name: 'English', bundle: true },
+    { code: 'es', name: 'Español', bundle: true },
+    { code: 'zh', name: '中文', bundle: true },
+    { code: 'ar', name: 'العربية', bundle: true, dir: 'rtl' },
+    { code: 'vi', name: 'Tiếng Việt' },
+    { code: 'tl', name: 'Tagalog' },
+    { code: 'fr', name: 'Français' },
+    { code: 'ht', name: 'Kreyòl ayisyen' },
+    { code: 'pt', name: 'Português' },
+    { code: 'ru', name: 'Русский' },
+    { code: 'uk', name: 'Українська' },
+    { code: 'ko', name: '한국어' },
+    { code: 'hi', name: 'हिन्दी' },
+    { code: 'bn', name: 'বাংলা' },
+    { code: 'ur', name: 'اردو', dir: 'rtl' },
+    { code: 'fa', name: 'فارسی', dir: 'rtl' },
+    { code: 'so', name: 'Soomaali' },
+    { code: 'pl', name: 'Polski' }
+];
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+const I18N_STORAGE_KEY = 'omaa_language';
+
+class I18nService {
+    constructor() {
+        this.language = I18N_DEFAULT_LANGUAGE;
+        this.messages = {};
+        this.fallback = {};
+        // Resolves once the bundles are loaded and the page is translated
+        this.ready = this.init();
+    }
+
+    /**
+     * Pick the language, load its bundle and translate the page
+     */
+    async init() {
+        this.language = this.detectLanguage();
+        const info = this.getLanguageInfo();
+
+        const [fallback, messages] = await Promise.all([
+            this.loadBundle(I18N_DEFAULT_LANGUAGE),
+            info.bundle && info.code !== I18N_DEFAULT_LANGUAGE ? this.loadBundle(info.code) : null
+        ]);
+        this.fallback = fallback || {};
+        this.messages = messages || this.fallback;
+
+        // The interface is only right-to-left when it is actually shown in that language
+        document.documentElement.lang = info.bundle ? info.code : I18N_DEFAULT_LANGUAGE;
+        document.documentElement.dir = info.bundle && info.dir === 'rtl' ? 'rtl' : 'ltr';
+
+        this.translatePage();
+        this.setUpLanguageSelects();
+    }
+
+    /**
+     * The saved choice, else the browser's first supported language
+     */
+    detectLanguage() {
+        const saved = localStorage.getItem(I18N_STORAGE_KEY);
+        if (saved && this.isSupported(saved)) return saved;
+
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        const match = preferred
+            .filter(Boolean)
+            .map(tag => tag.toLowerCase().split('-')[0])
+            .find(code => this.isSupported(code));
+        return match || I18N_DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Whether a language code is one we offer
+     */
+    isSupported(code) {
+        return I18N_LANGUAGES.some(language => language.code === code);
+    }
+
+    /**
+     * The current language's entry in I18N_LANGUAGES
+     */
+    getLanguageInfo(code = this.language) {
+        return I18N_LANGUAGES.find(language => language.code === code) || I18N_LANGUAGES[0];
+    }
+
+    /**
+     * Save a language choice and reload the page in it
+     * @param {string|null} code - null to go back to the browser's language
+     */
+    setLanguage(code) {
+        if (code && this.isSupported(code)) {
+            localStorage.setItem(I18N_STORAGE_KEY, code);
+        } else {
+            localStorage.removeItem(I18N_STORAGE_KEY);
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Fetch a locale bundle; null if it can't be loaded
+     */
+    async loadBundle(code) {
+        try {
+            const response = await fetch(`/locales/${code}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to load the ${code} locale bundle:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Look up a dotted key in a bundle
+     */
+    lookup(bundle, key) {
+        return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), bundle);
+    }
+
+    /**
+     * Translate a key, filling in {placeholders} from vars
+     * Falls back to English, then to the key itself.
+     * @param {string} key - e.g. 'reminders.saved'
+     * @param {Object} [vars] - Placeholder values; `count` also picks the plural form
+     */
+    t(key, vars = {}) {
+        let value = this.lookup(this.messages, key);
+        if (value === undefined) value = this.lookup(this.fallback, key);
+        if (value === undefined) return key;
+
+        if (typeof value === 'object') {
+            const category = new Intl.PluralRules(this.getLocale()).select(vars.count ?? 0);
+            value = value[category] ?? value.other ?? '';
+        }
+
+        return String(value).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            vars[name] !== undefined ? String(vars[name]) : placeholder
+        );
+    }
+
+    /**
+     * Locale for dates and numbers (the interface language)
+     */
+    getLocale() {
+        return document.documentElement.lang || I18N_DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Translate the data-i18n attributes in a part of the page
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = this.t(el.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-alt]').forEach(el => {
+            el.alt = this.t(el.dataset.i18nAlt);
+        });
+    }
+
+    /**
+     * Fill and wire every language picker on the page
+     */
+    setUpLanguageSelects() {
+        const saved = localStorage.getItem(I18N_STORAGE_KEY);
+
+        document.querySelectorAll('select[data-language-select]').forEach(select => {
+            select.innerHTML = '';
+            select.add(new Option(this.t('language.automatic'), ''));
+            I18N_LANGUAGES.forEach(language => {
+                select.add(new Option(language.name, language.code));
+            });
+            select.value = saved && this.isSupported(saved) ? saved : '';
+            select.addEventListener('change', () => this.setLanguage(select.value || null));
+        });
+    }
+}
+
+// Create global instance
+const i18n = new I18nService();
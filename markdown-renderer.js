@@ -0,0 +1,420 @@
+/**
+ * Markdown Renderer for OMaa
+ * ==========================
+ *
+ * Turns model replies into DOM for the chat page: headings, paragraphs,
+ * nested lists, blockquotes, tables, fenced and inline code, links, bold,
+ * italic and strikethrough.
+ *
+ * Nothing is ever assigned through innerHTML. The parser builds elements
+ * directly, raw HTML in a reply stays plain text, and the result is passed
+ * through an allowlist sanitizer (tags, attributes, link protocols) before
+ * it reaches the page.
+ *
+ * While a reply streams in, render() is called with the partial text. The
+ * new tree is patched into the existing one, so unchanged paragraphs keep
+ * their nodes (no flicker, text selection survives) and unfinished inline
+ * markers are closed so half-written **bold** doesn't flash as asterisks.
+ */
+
+// Allowed tags and, for each, the attributes it may keep
+const MARKDOWN_ALLOWED_TAGS = {
+    P: [], BR: [], HR: [],
+    H3: [], H4: [], H5: [], H6: [],
+    STRONG: [], EM: [], DEL: [], CODE: [], PRE: [],
+    UL: [], OL: ['start'], LI: [],
+    BLOCKQUOTE: [],
+    A: ['href', 'title', 'target', 'rel'],
+    TABLE: [], THEAD: [], TBODY: [], TR: [], TH: ['align'], TD: ['align']
+};
+
+const MARKDOWN_SAFE_URL = /^(https?:|mailto:|tel:)/i;
+
+const MD_FENCE = /^\s*(`{3,}|~{3,})/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s{0,3}>/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Code spans, links, bare URLs, bold, strikethrough, italic
+const MD_INLINE = /`([^`]+)`|\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])|\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|~~(?=\S)(.+?)~~|\*(?=[^\s*])(.+?)\*|(?<![\w])_(?=[^\s_])(.+?)_(?![\w])/;
+
+class MarkdownRenderer {
+    /**
+     * Render Markdown into a container, reusing the nodes that haven't changed
+     * @param {HTMLElement} container
+     * @param {string} markdown
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - The text is still streaming in
+     */
+    render(container, markdown, { partial = false } = {}) {
+        const text = partial ? this.closeOpenMarkers(markdown) : markdown;
+        const fragment = document.createDocumentFragment();
+
+        this.parseBlocks(text.replace(/\r\n?/g, '\n').split('\n'))
+            .forEach(node => fragment.appendChild(node));
+
+        this.sanitize(fragment);
+        this.patch(container, fragment);
+    }
+
+    /**
+     * Close a trailing unfinished code span or bold/italic marker in partial text
+     */
+    closeOpenMarkers(markdown) {
+        // Inside an unclosed code fence everything is literal anyway
+        const fences = markdown.match(/^\s*(`{3,}|~{3,})/gm) || [];
+        if (fences.length % 2) return markdown;
+
+        const lastBlock = markdown.slice(markdown.lastIndexOf('\n\n') + 1);
+        let suffix = '';
+
+        if ((lastBlock.match(/`/g) || []).length % 2) suffix = '`';
+        if (!suffix) {
+            const withoutCode = lastBlock.replace(/`[^`]*`/g, '').replace(/^\s*[-*+]\s+/gm, '');
+            if ((withoutCode.match(/\*\*/g) || []).length % 2) suffix += '**';
+            if ((withoutCode.replace(/\*\*/g, '').match(/(^|[^*])\*(?!\*)/g) || []).length % 2) suffix = `*${suffix}`;
+        }
+        return markdown.replace(/\s*$/, '') + suffix;
+    }
+
+    /**
+     * Parse lines into block elements
+     * @returns {Node[]}
+     */
+    parseBlocks(lines) {
+        const nodes = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(MD_FENCE);
+            if (fence) {
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const pre = document.createElement('pre');
+                pre.appendChild(this.createElement('code', codeLines.join('\n')));
+                nodes.push(pre);
+                continue;
+            }
+
+            const heading = line.match(MD_HEADING);
+            if (heading) {
+                // Headings stay small inside a chat bubble: # becomes h3
+                const level = Math.min(heading[1].length + 2, 6);
+                const element = document.createElement(`h${level}`);
+                this.parseInline(heading[2], element);
+                nodes.push(element);
+                i++;
+                continue;
+            }
+
+            if (MD_RULE.test(line)) {
+                nodes.push(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (MD_QUOTE.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length && MD_QUOTE.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                const quote = document.createElement('blockquote');
+                this.parseBlocks(quoteLines).forEach(node => quote.appendChild(node));
+                nodes.push(quote);
+                continue;
+            }
+
+            if (MD_LIST_ITEM.test(line)) {
+                const { list, next } = this.parseList(lines, i);
+                nodes.push(list);
+                i = next;
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const { table, next } = this.parseTable(lines, i);
+                nodes.push(table);
+                i = next;
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraphLines = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            const paragraph = document.createElement('p');
+            this.parseInline(paragraphLines.join('\n'), paragraph);
+            nodes.push(paragraph);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Whether a line starts a block other than a paragraph
+     */
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) ||
+            MD_QUOTE.test(line) || MD_LIST_ITEM.test(line) || this.isTableStart(lines, i);
+    }
+
+    isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+            MD_TABLE_SEPARATOR.test(lines[i + 1]);
+    }
+
+    /**
+     * Parse a list starting at lines[start]; deeper-indented lines belong to the item above
+     * @returns {{ list: HTMLElement, next: number }}
+     */
+    parseList(lines, start) {
+        const first = lines[start].match(MD_LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+
+        if (ordered && parseInt(first[2], 10) !== 1) {
+            list.setAttribute('start', String(parseInt(first[2], 10)));
+        }
+
+        let i = start;
+        while (i < lines.length) {
+            const match = lines[i].match(MD_LIST_ITEM);
+            if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+            const contentIndent = indent + match[2].length + 1;
+            const itemLines = [match[3]];
+            i++;
+
+            while (i < lines.length) {
+                const next = lines[i];
+                const nextIndent = next.match(/^\s*/)[0].length;
+
+                if (!next.trim()) {
+                    // A blank line only continues the item if indented content follows
+                    const following = lines.slice(i + 1).find(l => l.trim());
+                    if (!following || following.match(/^\s*/)[0].length <= indent) break;
+                    itemLines.push('');
+                } else if (nextIndent > indent) {
+                    itemLines.push(next.slice(Math.min(nextIndent, contentIndent)));
+                } else if (itemLines[itemLines.length - 1] !== '' && !this.startsBlock(lines, i)) {
+                    // Lazy continuation of the item's text
+                    itemLines.push(next.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const item = document.createElement('li');
+            const children = this.parseBlocks(itemLines);
+            const tight = !itemLines.includes('');
+
+            children.forEach(child => {
+                // Tight lists keep item text inline rather than in paragraphs
+                if (tight && child.nodeName === 'P') {
+                    while (child.firstChild) item.appendChild(child.firstChild);
+                } else {
+                    item.appendChild(child);
+                }
+            });
+            list.appendChild(item);
+
+            // Blank lines between items keep the list going
+            while (i < lines.length && !lines[i].trim()) {
+                const following = lines.slice(i).find(l => l.trim());
+                const followingItem = following && following.match(MD_LIST_ITEM);
+                if (!followingItem || followingItem[1].length !== indent) break;
+                i++;
+            }
+        }
+
+        return { list, next: i };
+    }
+
+    /**
+     * Parse a table starting at lines[start] (header row, separator row, body rows)
+     * @returns {{ table: HTMLElement, next: number }}
+     */
+    parseTable(lines, start) {
+        const splitRow = (line) => line.trim()
+            .replace(/^\|/, '')
+            .replace(/(^|[^\\])\|$/, '$1')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+        const headers = splitRow(lines[start]);
+        const aligns = splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            return null;
+        });
+
+        const buildRow = (cells, tag) => {
+            const row = document.createElement('tr');
+            headers.forEach((_, index) => {
+                const cell = document.createElement(tag);
+                if (aligns[index]) cell.setAttribute('align', aligns[index]);
+                this.parseInline(cells[index] || '', cell);
+                row.appendChild(cell);
+            });
+            return row;
+        };
+
+        const table = document.createElement('table');
+        const head = document.createElement('thead');
+        head.appendChild(buildRow(headers, 'th'));
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            body.appendChild(buildRow(splitRow(lines[i]), 'td'));
+            i++;
+        }
+        if (body.childNodes.length) table.appendChild(body);
+
+        return { table, next: i };
+    }
+
+    /**
+     * Parse inline Markdown into a parent element
+     */
+    parseInline(text, parent) {
+        let rest = text;
+
+        while (rest) {
+            const match = rest.match(MD_INLINE);
+            if (!match) {
+                this.appendText(parent, rest);
+                break;
+            }
+
+            this.appendText(parent, rest.slice(0, match.index));
+            rest = rest.slice(match.index + match[0].length);
+
+            const [, code, linkText, linkUrl, linkTitle, bareUrl, bold, boldAlt, strike, italic, italicAlt] = match;
+
+            if (code !== undefined) {
+                parent.appendChild(this.createElement('code', code));
+            } else if (linkText !== undefined) {
+                const link = document.createElement('a');
+                link.setAttribute('href', linkUrl);
+                if (linkTitle) link.setAttribute('title', linkTitle);
+                this.parseInline(linkText, link);
+                parent.appendChild(link);
+            } else if (bareUrl !== undefined) {
+                const link = this.createElement('a', bareUrl);
+                link.setAttribute('href', bareUrl);
+                parent.appendChild(link);
+            } else {
+                const tag = bold || boldAlt ? 'strong' : strike ? 'del' : 'em';
+                const element = document.createElement(tag);
+                this.parseInline(bold || boldAlt || strike || italic || italicAlt, element);
+                parent.appendChild(element);
+            }
+        }
+    }
+
+    /**
+     * Append text, turning line breaks into <br>
+     */
+    appendText(parent, text) {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) parent.appendChild(document.createElement('br'));
+            if (part) parent.appendChild(document.createTextNode(part));
+        });
+    }
+
+    createElement(tag, text) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Enforce the allowlist: unknown tags are unwrapped, unknown attributes
+     * dropped, and links limited to safe protocols and opened safely
+     */
+    sanitize(root) {
+        [...root.querySelectorAll('*')].forEach(element => {
+            const allowedAttributes = MARKDOWN_ALLOWED_TAGS[element.nodeName];
+
+            if (!allowedAttributes) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+
+            [...element.attributes].forEach(attribute => {
+                if (!allowedAttributes.includes(attribute.name)) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+
+            if (element.nodeName === 'A') {
+                const href = (element.getAttribute('href') || '').trim();
+                if (!MARKDOWN_SAFE_URL.test(href)) {
+                    element.replaceWith(...element.childNodes);
+                    return;
+                }
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    /**
+     * Bring target's children in line with source's, touching only what changed
+     */
+    patch(target, source) {
+        const nextNodes = [...source.childNodes];
+
+        nextNodes.forEach((node, index) => {
+            const current = target.childNodes[index];
+
+            if (!current) {
+                target.appendChild(node);
+            } else if (current.isEqualNode(node)) {
+                // Unchanged: keep the existing node
+            } else if (current.nodeType === Node.TEXT_NODE && node.nodeType === Node.TEXT_NODE) {
+                current.nodeValue = node.nodeValue;
+            } else if (current.nodeType === Node.ELEMENT_NODE && current.nodeName === node.nodeName) {
+                [...current.attributes].forEach(attribute => {
+                    if (!node.hasAttribute(attribute.name)) current.removeAttribute(attribute.name);
+                });
+                [...node.attributes].forEach(attribute => {
+                    current.setAttribute(attribute.name, attribute.value);
+                });
+                this.patch(current, node);
+            } else {
+                target.replaceChild(node, current);
+            }
+        });
+
+        while (target.childNodes.length > nextNodes.length) {
+            target.removeChild(target.lastChild);
+        }
+    }
+}
+
+// Create global instance
+const markdownRenderer = new MarkdownRenderer();
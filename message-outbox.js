@@ -0,0 +1,87 @@
+/**
+ * Message Outbox for OMaa
+ * =======================
+ *
+ * Queues chat messages written without a connection, in IndexedDB, until
+ * they can be sent. The message itself stays in its thread's history, marked
+ * pending; an outbox entry records which message to send and in what order.
+ */
+
+const OUTBOX_DB = {
+    NAME: 'omaa',
+    VERSION: 1,
+    STORE: 'outbox'
+};
+
+class MessageOutbox {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the outbox store on first use
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OUTBOX_DB.NAME, OUTBOX_DB.VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OUTBOX_DB.STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one request against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - Given the store, returns an IDBRequest
+     */
+    async request(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_DB.STORE, mode);
+            const request = run(transaction.objectStore(OUTBOX_DB.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queue a message
+     * @param {Object} entry - { id, threadId, createdAt } of the message in its thread
+     */
+    add(entry) {
+        return this.request('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Queued messages, oldest first
+     */
+    async getAll() {
+        const entries = await this.request('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Take a message out of the queue (sent, or given up on)
+     */
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Empty the queue
+     */
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
+
+// Create global instance
+const messageOutbox = new MessageOutbox();
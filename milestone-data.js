@@ -0,0 +1,173 @@
+/**
+ * Developmental Milestones for OMaa
+ * =================================
+ *
+ * Age-banded milestone checklist, adapted from the CDC's "Learn the Signs.
+ * Act Early." milestones (2022). Each milestone is listed at the age most
+ * children (about 3 in 4) reach it, so a child who hasn't reached one by the
+ * next checkpoint age is worth mentioning to their pediatrician.
+ *
+ * Milestone IDs are stored with a child's check-offs: never reuse or rename
+ * one. To add a milestone, add it to its age band with a new ID.
+ */
+
+const MILESTONE_DOMAINS = {
+    social: 'Social and emotional',
+    language: 'Language and communication',
+    cognitive: 'Learning and thinking',
+    motor: 'Movement and physical'
+};
+
+// Checkpoint ages in months, each with the milestones typical by then
+const MILESTONE_BANDS = [
+    {
+        months: 2,
+        milestones: [
+            { id: 'm2-calms', domain: 'social', title: 'Calms down when spoken to or picked up' },
+            { id: 'm2-smiles', domain: 'social', title: 'Smiles when you talk to or smile at them' },
+            { id: 'm2-coos', domain: 'language', title: 'Makes sounds other than crying' },
+            { id: 'm2-watches', domain: 'cognitive', title: 'Watches you as you move' },
+            { id: 'm2-head-up', domain: 'motor', title: 'Holds head up when on tummy' },
+            { id: 'm2-moves-limbs', domain: 'motor', title: 'Moves both arms and both legs' }
+        ]
+    },
+    {
+        months: 4,
+        milestones: [
+            { id: 'm4-chuckles', domain: 'social', title: 'Chuckles when you try to make them laugh' },
+            { id: 'm4-cooing', domain: 'language', title: 'Makes cooing sounds like "oooo" and "aahh"' },
+            { id: 'm4-turns-to-voice', domain: 'language', title: 'Turns head toward the sound of your voice' },
+            { id: 'm4-looks-at-hands', domain: 'cognitive', title: 'Looks at their hands with interest' },
+            { id: 'm4-head-steady', domain: 'motor', title: 'Holds head steady without support when held' },
+            { id: 'm4-pushes-up', domain: 'motor', title: 'Pushes up onto elbows or forearms when on tummy' }
+        ]
+    },
+    {
+        months: 6,
+        milestones: [
+            { id: 'm6-knows-familiar', domain: 'social', title: 'Knows familiar people' },
+            { id: 'm6-laughs', domain: 'social', title: 'Laughs' },
+            { id: 'm6-turn-taking', domain: 'language', title: 'Takes turns making sounds with you' },
+            { id: 'm6-raspberries', domain: 'language', title: 'Blows "raspberries"' },
+            { id: 'm6-reaches', domain: 'cognitive', title: 'Reaches to grab a toy they want' },
+            { id: 'm6-rolls', domain: 'motor', title: 'Rolls from tummy to back' },
+            { id: 'm6-leans-on-hands', domain: 'motor', title: 'Leans on hands to support themselves when sitting' }
+        ]
+    },
+    {
+        months: 9,
+        milestones: [
+            { id: 'm9-stranger-wary', domain: 'social', title: 'Is shy, clingy or fearful around strangers' },
+            { id: 'm9-reacts-to-leaving', domain: 'social', title: 'Reacts when you leave (looks, reaches for you or cries)' },
+            { id: 'm9-babbles', domain: 'language', title: 'Makes different sounds like "mamamama" and "babababa"' },
+            { id: 'm9-lifts-arms', domain: 'language', title: 'Lifts arms up to be picked up' },
+            { id: 'm9-looks-for-objects', domain: 'cognitive', title: 'Looks for objects when dropped out of sight' },
+            { id: 'm9-bangs-things', domain: 'cognitive', title: 'Bangs two things together' },
+            { id: 'm9-sits-up', domain: 'motor', title: 'Gets to a sitting position by themselves' },
+            { id: 'm9-sits-unsupported', domain: 'motor', title: 'Sits without support' }
+        ]
+    },
+    {
+        months: 12,
+        milestones: [
+            { id: 'm12-plays-games', domain: 'social', title: 'Plays games with you, like pat-a-cake' },
+            { id: 'm12-waves', domain: 'language', title: 'Waves "bye-bye"' },
+            { id: 'm12-says-mama', domain: 'language', title: 'Calls a parent "mama", "dada" or another special name' },
+            { id: 'm12-understands-no', domain: 'language', title: 'Understands "no" (pauses or stops when you say it)' },
+            { id: 'm12-container', domain: 'cognitive', title: 'Puts something in a container, like a block in a cup' },
+            { id: 'm12-pulls-to-stand', domain: 'motor', title: 'Pulls up to stand' },
+            { id: 'm12-cruises', domain: 'motor', title: 'Walks holding on to furniture' },
+            { id: 'm12-pincer', domain: 'motor', title: 'Picks things up between thumb and pointer finger' }
+        ]
+    },
+    {
+        months: 15,
+        milestones: [
+            { id: 'm15-shows-objects', domain: 'social', title: 'Shows you an object they like' },
+            { id: 'm15-first-words', domain: 'language', title: 'Tries to say one or two words besides "mama" or "dada"' },
+            { id: 'm15-points-to-ask', domain: 'language', title: 'Points to ask for something or to get help' },
+            { id: 'm15-uses-objects', domain: 'cognitive', title: 'Tries to use things the right way, like a phone, cup or book' },
+            { id: 'm15-first-steps', domain: 'motor', title: 'Takes a few steps on their own' },
+            { id: 'm15-finger-feeds', domain: 'motor', title: 'Uses fingers to feed themselves some food' }
+        ]
+    },
+    {
+        months: 18,
+        milestones: [
+            { id: 'm18-checks-in', domain: 'social', title: 'Moves away from you, but looks to make sure you are close by' },
+            { id: 'm18-three-words', domain: 'language', title: 'Tries to say three or more words besides "mama" or "dada"' },
+            { id: 'm18-follows-directions', domain: 'language', title: 'Follows one-step directions without gestures, like "give it to me"' },
+            { id: 'm18-copies-chores', domain: 'cognitive', title: 'Copies you doing chores, like sweeping' },
+            { id: 'm18-walks', domain: 'motor', title: 'Walks without holding on to anyone or anything' },
+            { id: 'm18-open-cup', domain: 'motor', title: 'Drinks from a cup without a lid, and may spill sometimes' },
+            { id: 'm18-spoon', domain: 'motor', title: 'Tries to use a spoon' }
+        ]
+    },
+    {
+        months: 24,
+        milestones: [
+            { id: 'm24-notices-upset', domain: 'social', title: 'Notices when others are hurt or upset' },
+            { id: 'm24-points-in-book', domain: 'language', title: 'Points to things in a book when you ask' },
+            { id: 'm24-two-words', domain: 'language', title: 'Says at least two words together, like "more milk"' },
+            { id: 'm24-two-hands', domain: 'cognitive', title: 'Holds something in one hand while using the other' },
+            { id: 'm24-kicks', domain: 'motor', title: 'Kicks a ball' },
+            { id: 'm24-runs', domain: 'motor', title: 'Runs' },
+            { id: 'm24-stairs', domain: 'motor', title: 'Walks up a few stairs, with or without help' }
+        ]
+    },
+    {
+        months: 30,
+        milestones: [
+            { id: 'm30-plays-alongside', domain: 'social', title: 'Plays next to other children and sometimes plays with them' },
+            { id: 'm30-fifty-words', domain: 'language', title: 'Says about 50 words' },
+            { id: 'm30-names-in-book', domain: 'language', title: 'Names things in a book when you point and ask' },
+            { id: 'm30-pretends', domain: 'cognitive', title: 'Uses things to pretend, like feeding a block to a doll' },
+            { id: 'm30-undresses', domain: 'motor', title: 'Takes some clothes off by themselves' },
+            { id: 'm30-jumps', domain: 'motor', title: 'Jumps off the ground with both feet' }
+        ]
+    },
+    {
+        months: 36,
+        milestones: [
+            { id: 'm36-joins-play', domain: 'social', title: 'Notices other children and joins them to play' },
+            { id: 'm36-conversation', domain: 'language', title: 'Talks with you using at least two back-and-forth exchanges' },
+            { id: 'm36-says-name', domain: 'language', title: 'Says their first name when asked' },
+            { id: 'm36-draws-circle', domain: 'cognitive', title: 'Draws a circle when you show them how' },
+            { id: 'm36-strings-beads', domain: 'motor', title: 'Strings items together, like large beads' },
+            { id: 'm36-dresses', domain: 'motor', title: 'Puts on some clothes by themselves' }
+        ]
+    },
+    {
+        months: 48,
+        milestones: [
+            { id: 'm48-comforts', domain: 'social', title: 'Comforts others who are hurt or sad' },
+            { id: 'm48-sentences', domain: 'language', title: 'Says sentences with four or more words' },
+            { id: 'm48-tells-day', domain: 'language', title: 'Talks about at least one thing that happened during the day' },
+            { id: 'm48-colors', domain: 'cognitive', title: 'Names a few colors of items' },
+            { id: 'm48-draws-person', domain: 'cognitive', title: 'Draws a person with three or more body parts' },
+            { id: 'm48-catches', domain: 'motor', title: 'Catches a large ball most of the time' },
+            { id: 'm48-pours', domain: 'motor', title: 'Serves themselves food or pours water, with adult supervision' }
+        ]
+    },
+    {
+        months: 60,
+        milestones: [
+            { id: 'm60-takes-turns', domain: 'social', title: 'Follows rules or takes turns when playing games with other children' },
+            { id: 'm60-tells-story', domain: 'language', title: 'Tells a story they heard or made up with at least two events' },
+            { id: 'm60-answers-about-book', domain: 'language', title: 'Answers simple questions about a book or story' },
+            { id: 'm60-counts', domain: 'cognitive', title: 'Counts to 10' },
+            { id: 'm60-writes-letters', domain: 'cognitive', title: 'Writes some letters in their name' },
+            { id: 'm60-buttons', domain: 'motor', title: 'Buttons some buttons' },
+            { id: 'm60-hops', domain: 'motor', title: 'Hops on one foot' }
+        ]
+    }
+];
+
+// Age after the last band by which its milestones are worth raising
+const FINAL_CHECKPOINT_MONTHS = 72;
+
+module.exports = {
+    MILESTONE_DOMAINS,
+    MILESTONE_BANDS,
+    FINAL_CHECKPOINT_MONTHS
+};
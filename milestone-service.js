@@ -0,0 +1,96 @@
+/**
+ * Milestone Service for OMaa
+ * ==========================
+ *
+ * Loads the selected child's developmental milestone checklist and records
+ * check-offs. Statuses (achieved, upcoming, current, overdue, later) are
+ * worked out by the server from the child's age.
+ */
+
+class MilestoneService {
+    constructor() {
+        this.checklist = null;
+    }
+
+    /**
+     * Call the milestones API with the subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `API error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Load a child's checklist
+     */
+    async load(childId) {
+        this.checklist = await this.request('GET', `/api/children/${encodeURIComponent(childId)}/milestones`);
+        return this.checklist;
+    }
+
+    /**
+     * Get the loaded checklist
+     */
+    getChecklist() {
+        return this.checklist;
+    }
+
+    /**
+     * Get a milestone from the loaded checklist
+     */
+    getMilestone(id) {
+        return this.checklist?.milestones.find(milestone => milestone.id === id) || null;
+    }
+
+    /**
+     * Check off a milestone (achievedOn defaults to today), or change its date
+     */
+    async check(childId, milestoneId, achievedOn = this.today()) {
+        const milestone = await this.request(
+            'PUT',
+            `/api/children/${encodeURIComponent(childId)}/milestones/${encodeURIComponent(milestoneId)}`,
+            { achievedOn }
+        );
+        this.replace(milestone);
+        return milestone;
+    }
+
+    /**
+     * Undo a check-off
+     */
+    async uncheck(childId, milestoneId) {
+        await this.request(
+            'DELETE',
+            `/api/children/${encodeURIComponent(childId)}/milestones/${encodeURIComponent(milestoneId)}`
+        );
+        return this.load(childId);
+    }
+
+    /**
+     * Today's date here (YYYY-MM-DD), not in UTC
+     */
+    today() {
+        const now = new Date();
+        return new Date(now - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    }
+
+    replace(milestone) {
+        if (!this.checklist) return;
+        this.checklist.milestones = this.checklist.milestones.map(m => m.id === milestone.id ? milestone : m);
+    }
+}
+
+// Create global instance
+const milestoneService = new MilestoneService();
@@ -0,0 +1,218 @@
+/**
+ * Milestone Checklist for OMaa
+ * ============================
+ *
+ * Parents check off developmental milestones (milestone-data.js) for each
+ * child, with the date it happened. Each milestone gets a status from the
+ * child's age:
+ *   achieved  checked off by the parent
+ *   upcoming  typical within the next 2 months
+ *   current   typical by now; many children are still working on it
+ *   overdue   not checked off by the next checkpoint age - worth raising
+ *             with the pediatrician
+ *   later     further ahead
+ *
+ * Children born 3 or more weeks early (birth date before due date) are
+ * measured by corrected age until they turn 2, as pediatricians do.
+ *
+ * Check-offs are stored per Stripe customer in the local data store.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+const childProfiles = require('./child-profiles');
+const { MILESTONE_DOMAINS, MILESTONE_BANDS, FINAL_CHECKPOINT_MONTHS } = require('./milestone-data');
+
+const checks = getCollection('milestone-checks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.4375;
+
+// How far ahead a milestone shows as upcoming
+const UPCOMING_WINDOW_MONTHS = 2;
+
+// Most milestones listed per status in the chat context
+const MAX_PROMPT_MILESTONES = 8;
+
+// Chat questions that get the child's milestone progress as context
+const MILESTONE_TOPICS = /\b(milestones?|develop(ment|mental|ing)?|delay(ed)?|behind|on track|crawl(s|ing)?|walk(s|ing)?|roll(s|ing)? over|sit(s|ting)? up|stand(s|ing)?|talk(s|ing)?|words?|speech|babbl(e|es|ing)|point(s|ing)?|wave(s|ing)?|smil(e|es|ing)|eye contact|motor)\b/i;
+
+// Every milestone with its band's age and the checkpoint age after it
+const MILESTONES = MILESTONE_BANDS.flatMap((band, index) => band.milestones.map(milestone => ({
+    ...milestone,
+    typicalMonths: band.months,
+    checkpointMonths: MILESTONE_BANDS[index + 1]?.months || FINAL_CHECKPOINT_MONTHS
+})));
+
+const MILESTONES_BY_ID = new Map(MILESTONES.map(milestone => [milestone.id, milestone]));
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * A child's age in (fractional) months for milestones, or null before birth
+ * @returns {{ months: number, corrected: boolean }|null}
+ */
+function milestoneAge(profile, now = new Date()) {
+    if (!profile.birthDate) return null;
+
+    const birth = Date.parse(`${profile.birthDate}T00:00:00Z`);
+    const months = (now - birth) / DAY_MS / AVERAGE_MONTH_DAYS;
+
+    if (profile.dueDate) {
+        const earlyDays = (Date.parse(`${profile.dueDate}T00:00:00Z`) - birth) / DAY_MS;
+        if (earlyDays >= 21 && months < 24) {
+            return { months: Math.max(0, months - earlyDays / AVERAGE_MONTH_DAYS), corrected: true };
+        }
+    }
+    return { months, corrected: false };
+}
+
+function milestoneStatus(milestone, ageMonths, achievedOn) {
+    if (achievedOn) return 'achieved';
+    if (ageMonths >= milestone.checkpointMonths) return 'overdue';
+    if (ageMonths >= milestone.typicalMonths) return 'current';
+    if (ageMonths >= milestone.typicalMonths - UPCOMING_WINDOW_MONTHS) return 'upcoming';
+    return 'later';
+}
+
+const checkKey = (childId, milestoneId) => `${childId}:${milestoneId}`;
+
+/**
+ * A child's milestone checklist
+ * @returns {Object|null} null when the child isn't the customer's
+ */
+function getChecklist(customerId, childId, now = new Date()) {
+    const profile = childProfiles.getProfile(customerId, childId);
+    if (!profile) return null;
+
+    const age = milestoneAge(profile, now);
+    const achieved = new Map(checks
+        .filter(check => check.customerId === customerId && check.childId === childId)
+        .map(check => [check.milestoneId, check.achievedOn]));
+
+    const milestones = MILESTONES.map(milestone => {
+        const achievedOn = achieved.get(milestone.id) || null;
+        return {
+            id: milestone.id,
+            domain: milestone.domain,
+            domainLabel: MILESTONE_DOMAINS[milestone.domain],
+            title: milestone.title,
+            typicalMonths: milestone.typicalMonths,
+            checkpointMonths: milestone.checkpointMonths,
+            achievedOn,
+            status: age ? milestoneStatus(milestone, age.months, achievedOn) : (achievedOn ? 'achieved' : 'later')
+        };
+    });
+
+    return {
+        childId,
+        ageMonths: age ? Math.round(age.months * 10) / 10 : null,
+        correctedAge: !!age?.corrected,
+        milestones
+    };
+}
+
+/**
+ * Check off a milestone for a child
+ * @returns {{ error: string|null, milestone: Object|null }} milestone is null when the child isn't found
+ */
+function checkMilestone(customerId, childId, milestoneId, { achievedOn } = {}) {
+    const profile = childProfiles.getProfile(customerId, childId);
+    if (!profile) return { error: null, milestone: null };
+
+    if (!MILESTONES_BY_ID.has(milestoneId)) {
+        return { error: 'Unknown milestone' };
+    }
+
+    const date = achievedOn || new Date().toISOString().slice(0, 10);
+    // A day of slack: the parent's local date can be ahead of UTC
+    if (!isDateString(date) || Date.parse(date) > Date.now() + DAY_MS) {
+        return { error: 'Please give the date as YYYY-MM-DD, not in the future' };
+    }
+    if (profile.birthDate && date < profile.birthDate) {
+        return { error: 'That date is before the birth date' };
+    }
+
+    const key = checkKey(childId, milestoneId);
+    const existing = checks.get(key);
+    checks.set(key, {
+        id: existing?.id || `ms_${crypto.randomUUID()}`,
+        customerId,
+        childId,
+        milestoneId,
+        achievedOn: date,
+        createdAt: existing?.createdAt || new Date().toISOString()
+    });
+
+    return {
+        error: null,
+        milestone: getChecklist(customerId, childId).milestones.find(m => m.id === milestoneId)
+    };
+}
+
+/**
+ * Undo a check-off
+ */
+function uncheckMilestone(customerId, childId, milestoneId) {
+    const key = checkKey(childId, milestoneId);
+    const check = checks.get(key);
+    if (!check || check.customerId !== customerId) return false;
+    return checks.delete(key);
+}
+
+/**
+ * Delete every check-off for a child (when the child's profile is deleted)
+ */
+function deleteChildChecks(customerId, childId) {
+    checks
+        .filter(check => check.customerId === customerId && check.childId === childId)
+        .forEach(check => checks.delete(checkKey(childId, check.milestoneId)));
+}
+
+/**
+ * Whether a chat message is about development or a milestone
+ */
+function isMilestoneQuestion(text) {
+    return MILESTONE_TOPICS.test(text || '');
+}
+
+/**
+ * Describe a child's milestone progress for the system prompt
+ * @returns {string|null} null before birth
+ */
+function describeMilestonesForPrompt(customerId, childId) {
+    const checklist = getChecklist(customerId, childId);
+    if (!checklist || checklist.ageMonths === null) return null;
+
+    // Closest to the child's age first; long-past ones were most likely just never checked off
+    const titles = (status) => checklist.milestones
+        .filter(m => m.status === status)
+        .sort((a, b) => b.typicalMonths - a.typicalMonths)
+        .slice(0, MAX_PROMPT_MILESTONES)
+        .map(m => `${m.title} (typical by ${m.typicalMonths} months)`);
+
+    const recent = checklist.milestones
+        .filter(m => m.achievedOn)
+        .sort((a, b) => b.achievedOn.localeCompare(a.achievedOn))
+        .slice(0, 5)
+        .map(m => `${m.title} (${m.achievedOn})`);
+
+    const lines = [`- Age for milestones: ${checklist.ageMonths} months${checklist.correctedAge ? ' (corrected for prematurity)' : ''}`];
+    const overdue = titles('overdue');
+    const current = titles('current');
+
+    lines.push(`- Recently checked off: ${recent.length ? recent.join('; ') : 'nothing yet'}`);
+    if (current.length) lines.push(`- Typical by now, not checked off yet: ${current.join('; ')}`);
+    if (overdue.length) lines.push(`- Past the next checkpoint, not checked off: ${overdue.join('; ')}`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    getChecklist,
+    checkMilestone,
+    uncheckMilestone,
+    deleteChildChecks,
+    isMilestoneQuestion,
+    describeMilestonesForPrompt
+};
@@ -0,0 +1,307 @@
+/**
+ * Output Policy for OMaa
+ * ======================
+ *
+ * Every assistant reply is reviewed before the parent keeps it, so a reply
+ * can't diagnose, recommend a prescription dose or otherwise break the
+ * "never diagnose" guideline in the system prompt.
+ *
+ * Checkers are pluggable, like provider adapters. Each one looks at a reply
+ * and returns a verdict:
+ *   pass     - nothing to do
+ *   disclaim - keep the reply and append the checker's disclaimer
+ *   block    - withhold the reply and regenerate it with a policy reminder
+ *
+ * Built-in checkers:
+ *   rules          - keyword/regex rules for clear violations
+ *   medical_claims - heuristics for medication, dosing and absolute claims
+ *   policy_model   - optional model review (OUTPUT_POLICY_MODEL_CHECK=true)
+ *
+ * Environment variables (all optional):
+ *   OUTPUT_POLICY_MAX_REGENERATIONS  attempts after a block (default: 1)
+ *   OUTPUT_POLICY_MODEL_CHECK        set to 'true' to enable the model review
+ *   OUTPUT_POLICY_MODEL_TIMEOUT_MS   time box for the model review (default: 5000)
+ *
+ * Streamed replies are screened as they arrive: text reaches the parent a
+ * sentence at a time, only once no checker would block the reply so far.
+ *
+ * Interventions are logged with the checker and rule that fired, never the reply text.
+ */
+
+const { completeWithFailover } = require('./provider-failover');
+const { buildPolicyCheckMessages, buildPolicyRetryMessages } = require('./system-prompts');
+
+const MAX_REGENERATIONS = parseInt(process.env.OUTPUT_POLICY_MAX_REGENERATIONS || '1', 10);
+const POLICY_MODEL_CHECK = process.env.OUTPUT_POLICY_MODEL_CHECK === 'true';
+const POLICY_MODEL_TIMEOUT_MS = parseInt(process.env.OUTPUT_POLICY_MODEL_TIMEOUT_MS || '5000', 10);
+
+const ACTION_RANK = { pass: 0, disclaim: 1, block: 2 };
+
+const MEDICAL_DISCLAIMER = "_This is general information, not medical advice. Please check with your pediatrician or pharmacist before giving any medicine, and trust your instincts if something doesn't feel right._";
+
+// Shown when every regeneration was blocked too
+const FALLBACK_REPLY = "That's a really important question, and it's one I want to be careful with. The right answer depends on your child's age, weight and health history, so your pediatrician or pharmacist is the best person to ask - many offer a nurse line for exactly this. If you're worried right now, please call them or your local urgent care line. I'm here for everything else along the way.";
+
+const PRESCRIPTION_DRUGS = 'amoxicillin|augmentin|azithromycin|cephalexin|cefdinir|clindamycin|prednisolone|prednisone|dexamethasone|ondansetron|zofran|codeine|tramadol|oxycodone|hydrocodone|diazepam|lorazepam|clonidine|methylphenidate|ritalin|adderall|sertraline|fluoxetine|albuterol|epinephrine|nystatin|fluconazole';
+const OTC_DRUGS = 'ibuprofen|acetaminophen|paracetamol|tylenol|motrin|advil|calpol|nurofen|benadryl|diphenhydramine|cetirizine|zyrtec|loratadine|claritin|melatonin|gripe water|simethicone|antibiotics?';
+const DOSE = '\\d+(\\.\\d+)?\\s?(mg|mcg|ml|milligrams?|micrograms?|millilit(er|re)s?|teaspoons?|tsp|drops?)\\b';
+const PROFESSIONAL = /\b(pediatrician|paediatrician|doctor|pharmacist|gp|nurse line|health ?care provider|midwife)\b/i;
+
+const POLICY_RULES = [
+    {
+        id: 'prescription_dose',
+        action: 'block',
+        pattern: new RegExp(`\\b(${PRESCRIPTION_DRUGS})\\b[^.\\n]{0,80}\\b${DOSE}|\\b${DOSE}[^.\\n]{0,80}\\b(${PRESCRIPTION_DRUGS})\\b`, 'i')
+    },
+    {
+        id: 'weight_based_dosing',
+        action: 'block',
+        pattern: /\b\d+(\.\d+)?\s?(mg|mcg)\s?\/\s?kg\b|\bper (kilo(gram)?|kg|pound|lb) of (body ?)?weight\b/i
+    },
+    {
+        id: 'definitive_diagnosis',
+        action: 'block',
+        pattern: /\b(definitely|certainly|clearly|almost certainly|without a doubt) (has|have|is suffering from|is showing signs of) (an? )?([a-z-]+ ){0,2}(infection|disease|disorder|syndrome|deficiency|allergy|autism|adhd|asthma|eczema|reflux|[a-z]+itis)\b|\b(my diagnosis is|i (can )?diagnose|i('m| am) diagnosing)\b/i
+    },
+    {
+        id: 'stop_prescribed_treatment',
+        action: 'block',
+        pattern: /\b(stop|skip|quit) (giving|taking) (the |your |their )?(prescribed|prescription) (medicine|medication|treatment)\b/i
+    }
+];
+
+/**
+ * Keyword/regex rules for clear policy violations
+ */
+const rulesChecker = {
+    id: 'rules',
+    partial: true,
+    check(content) {
+        const rule = POLICY_RULES.find(r => r.pattern.test(content));
+        return rule ? { action: rule.action, rule: rule.id } : { action: 'pass' };
+    }
+};
+
+/**
+ * Heuristics for medical claims that are fine to make with a disclaimer
+ */
+const medicalClaimsChecker = {
+    id: 'medical_claims',
+    partial: true,
+    check(content) {
+        // The reply already points the parent to a professional
+        if (PROFESSIONAL.test(content)) return { action: 'pass' };
+
+        if (new RegExp(`\\b${DOSE}`, 'i').test(content)) {
+            return { action: 'disclaim', rule: 'dose_without_referral', disclaimer: MEDICAL_DISCLAIMER };
+        }
+        if (new RegExp(`\\b(${OTC_DRUGS}|${PRESCRIPTION_DRUGS})\\b`, 'i').test(content)) {
+            return { action: 'disclaim', rule: 'medication_without_referral', disclaimer: MEDICAL_DISCLAIMER };
+        }
+        if (/\b(100% safe|completely safe|guaranteed to|will cure|cures)\b/i.test(content)) {
+            return { action: 'disclaim', rule: 'absolute_claim', disclaimer: MEDICAL_DISCLAIMER };
+        }
+        return { action: 'pass' };
+    }
+};
+
+/**
+ * Optional model review for what the rules can't phrase-match
+ * Skipped when disabled; a failed or timed-out review passes the reply
+ */
+const policyModelChecker = {
+    id: 'policy_model',
+    enabled: POLICY_MODEL_CHECK,
+    async check(content, { provider }) {
+        if (!POLICY_MODEL_CHECK) return { action: 'pass' };
+
+        try {
+            const response = await completeWithFailover(provider, buildPolicyCheckMessages(content), {
+                signal: AbortSignal.timeout(POLICY_MODEL_TIMEOUT_MS)
+            });
+            const result = JSON.parse(response.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
+            const usage = { provider: response.provider, usage: response.usage };
+
+            if (result.verdict === 'block' || result.verdict === 'disclaim') {
+                return {
+                    action: result.verdict,
+                    rule: typeof result.rule === 'string' ? result.rule.slice(0, 40) : 'model_flagged',
+                    disclaimer: MEDICAL_DISCLAIMER,
+                    ...usage
+                };
+            }
+            return { action: 'pass', ...usage };
+        } catch (error) {
+            console.error('Output policy model check failed:', error.message);
+            return { action: 'pass' };
+        }
+    }
+};
+
+// Checker registry, run in registration order
+const checkers = new Map();
+
+/**
+ * Register an output checker, replacing any checker with the same id
+ * A checker is { id, check(content, context) } returning (or resolving to)
+ * { action: 'pass'|'disclaim'|'block', rule?, disclaimer? }
+ * Set `partial: true` when check() is synchronous and can judge a reply that is
+ * still streaming in, and `enabled: false` when the checker is switched off.
+ */
+function registerChecker(checker) {
+    checkers.set(checker.id, checker);
+}
+
+/**
+ * List registered checker ids
+ */
+function listCheckers() {
+    return [...checkers.keys()];
+}
+
+/**
+ * Run every checker over a reply
+ * @returns {Promise<{ action: string, interventions: Object[], disclaimers: string[], usage: Object[] }>}
+ */
+async function reviewReply(content, context = {}) {
+    const interventions = [];
+    const disclaimers = [];
+    const usage = [];
+    let action = 'pass';
+
+    for (const checker of checkers.values()) {
+        const verdict = await checker.check(content, context);
+
+        if (verdict.usage) usage.push({ provider: verdict.provider, usage: verdict.usage });
+        if (!verdict.action || verdict.action === 'pass') continue;
+
+        interventions.push({ checker: checker.id, rule: verdict.rule || 'unspecified', action: verdict.action });
+        if (verdict.disclaimer && !disclaimers.includes(verdict.disclaimer)) {
+            disclaimers.push(verdict.disclaimer);
+        }
+        if (ACTION_RANK[verdict.action] > ACTION_RANK[action]) {
+            action = verdict.action;
+        }
+    }
+
+    return { action, interventions, disclaimers, usage };
+}
+
+/**
+ * Where a streamed reply can be cut: the end of its last complete sentence or line
+ */
+function lastSentenceEnd(text) {
+    let end = 0;
+    for (const match of text.matchAll(/[.!?]\s|\n/g)) {
+        end = match.index + match[0].length;
+    }
+    return end;
+}
+
+/**
+ * Relay a streamed reply only as far as the checkers have cleared it
+ * Complete sentences are passed on while no checker would block the text so
+ * far; once one would, nothing more of this attempt is relayed. A checker that
+ * can only judge the finished reply (the model review) holds back the whole
+ * stream, and the reply arrives with the final response instead.
+ * @returns {Function} onDelta for one provider call
+ */
+function createStreamScreen(onDelta) {
+    const active = [...checkers.values()].filter(checker => checker.enabled !== false);
+    const holdAll = active.some(checker => !checker.partial);
+    let text = '';
+    let relayed = 0;
+    let blocked = false;
+
+    return (delta) => {
+        text += delta;
+        if (holdAll || blocked) return;
+
+        if (active.some(checker => checker.check(text, {}).action === 'block')) {
+            blocked = true;
+            return;
+        }
+
+        const end = lastSentenceEnd(text);
+        if (end > relayed) {
+            onDelta(text.slice(relayed, end));
+            relayed = end;
+        }
+    };
+}
+
+function logInterventions(interventions, outcome) {
+    console.warn('Output policy intervened:', outcome,
+        interventions.map(i => `${i.checker}:${i.rule}(${i.action})`).join(', '));
+}
+
+/**
+ * Generate a reply that passes the output policy
+ * Blocked replies are regenerated with a policy reminder, up to
+ * OUTPUT_POLICY_MAX_REGENERATIONS times, then replaced by a safe fallback.
+ *
+ * @param {Function} generate - (messages, { onDelta }) => Promise<response>; one provider call
+ * @param {Array} messages - Provider messages, system prompt first
+ * @param {Object} options
+ * @param {string} options.provider - Provider to use for the optional model review
+ * @param {Function} [options.onDelta] - Streams each attempt's text once the checkers have cleared it
+ * @param {Function} [options.onRegenerate] - Called before each regeneration (e.g. to reset a stream)
+ * @param {Function} [options.onUsage] - Called with (provider, usage) for model review calls
+ * @returns {Promise<Object>} the final response, with content and a `moderation` report
+ */
+async function generateWithPolicy(generate, messages, { provider, onDelta, onRegenerate, onUsage } = {}) {
+    const allInterventions = [];
+    let attemptMessages = messages;
+
+    for (let attempt = 0; attempt <= MAX_REGENERATIONS; attempt++) {
+        const response = await generate(attemptMessages, {
+            onDelta: onDelta && createStreamScreen(onDelta)
+        });
+        const review = await reviewReply(response.content, { provider });
+
+        if (onUsage) review.usage.forEach(entry => onUsage(entry.provider, entry.usage));
+        allInterventions.push(...review.interventions);
+
+        if (review.action === 'block') {
+            logInterventions(review.interventions, `blocked attempt ${attempt + 1}`);
+
+            if (attempt < MAX_REGENERATIONS) {
+                if (onRegenerate) onRegenerate();
+                const blockedRules = review.interventions.filter(i => i.action === 'block').map(i => i.rule);
+                attemptMessages = buildPolicyRetryMessages(messages, blockedRules);
+                continue;
+            }
+            return {
+                ...response,
+                content: FALLBACK_REPLY,
+                moderation: { action: 'fallback', interventions: allInterventions }
+            };
+        }
+
+        if (review.action === 'disclaim') {
+            logInterventions(review.interventions, 'disclaimer added');
+        }
+
+        return {
+            ...response,
+            content: review.disclaimers.length
+                ? `${response.content}\n\n${review.disclaimers.join('\n\n')}`
+                : response.content,
+            moderation: {
+                action: attempt > 0 ? 'regenerated' : review.action,
+                interventions: allInterventions
+            }
+        };
+    }
+}
+
+registerChecker(rulesChecker);
+registerChecker(medicalClaimsChecker);
+registerChecker(policyModelChecker);
+
+module.exports = {
+    registerChecker,
+    listCheckers,
+    reviewReply,
+    generateWithPolicy
+};
@@ -0,0 +1,295 @@
+/**
+ * Provider Failover for OMaa
+ * ==========================
+ *
+ * Wraps the provider registry with:
+ * - retries with exponential backoff on transient errors (429, 5xx, timeouts)
+ * - a circuit breaker per provider, so a provider that keeps failing is
+ *   skipped for a cooldown period instead of slowing every request down
+ * - failover to the next healthy provider in AI_PROVIDER_ORDER
+ *
+ * Environment variables (all optional):
+ *   AI_PROVIDER_ORDER         comma-separated provider ids (default: openai,anthropic,deepseek)
+ *   AI_RETRY_ATTEMPTS         retries per provider after the first try (default: 2)
+ *   AI_RETRY_BASE_DELAY_MS    first backoff delay, doubled each retry (default: 500)
+ *   AI_REQUEST_TIMEOUT_MS     per-attempt timeout; for streamed calls, the longest wait
+ *                             for the next fragment (default: 30000)
+ *   AI_BREAKER_THRESHOLD      consecutive failures before a breaker opens (default: 5)
+ *   AI_BREAKER_COOLDOWN_MS    how long an open breaker rejects calls (default: 30000)
+ */
+
+const { ProviderError, getProvider, listProviders, chatCompletion } = require('./ai-providers');
+
+const FAILOVER_CONFIG = {
+    order: (process.env.AI_PROVIDER_ORDER || 'openai,anthropic,deepseek')
+        .split(',').map(id => id.trim()).filter(Boolean),
+    retryAttempts: parseInt(process.env.AI_RETRY_ATTEMPTS || '2', 10),
+    retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500', 10),
+    retryMaxDelayMs: 8000,
+    requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '30000', 10),
+    breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD || '5', 10),
+    breakerCooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS || '30000', 10)
+};
+
+/**
+ * Circuit breaker for one provider
+ * closed -> open after `threshold` consecutive failures,
+ * open -> half-open after `cooldownMs`, letting a single probe request through,
+ * half-open -> closed on success or back to open on failure
+ */
+class CircuitBreaker {
+    constructor({ threshold, cooldownMs }) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request may be sent now
+     */
+    canRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.probeInFlight) return false;
+            this.probeInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.probeInFlight = false;
+
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Release a half-open probe that ended without a verdict (e.g. the client aborted)
+     */
+    releaseProbe() {
+        this.probeInFlight = false;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+const breakers = new Map();
+
+function getBreaker(providerId) {
+    if (!breakers.has(providerId)) {
+        breakers.set(providerId, new CircuitBreaker({
+            threshold: FAILOVER_CONFIG.breakerThreshold,
+            cooldownMs: FAILOVER_CONFIG.breakerCooldownMs
+        }));
+    }
+    return breakers.get(providerId);
+}
+
+/**
+ * Whether an error is worth retrying on the same provider
+ */
+function isTransientError(error) {
+    if (error.timeout) return true;
+    if (error.status) return error.status === 429 || error.status >= 500;
+    // fetch rejects with a TypeError on network failures (DNS, reset connections)
+    return error.name === 'TypeError';
+}
+
+/**
+ * Whether another provider could succeed where this one failed
+ * Bad requests (4xx other than auth and rate limits) would fail everywhere
+ */
+function shouldFailOver(error) {
+    if (isTransientError(error)) return true;
+    return !error.status || error.status === 401 || error.status === 403;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/**
+ * Run one provider call with a timeout, honouring the caller's abort signal
+ * A streamed call only times out when no fragment arrives for the timeout,
+ * so a long reply that keeps flowing is never cut off.
+ */
+async function callWithTimeout(adapter, messages, { signal, onDelta, ...options }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const startTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, FAILOVER_CONFIG.requestTimeoutMs);
+    };
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    startTimer();
+
+    const relay = onDelta && ((text) => {
+        startTimer();
+        onDelta(text);
+    });
+
+    try {
+        return await chatCompletion(adapter, messages, { ...options, onDelta: relay, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new ProviderError(`${adapter.name} timed out`, { provider: adapter.id });
+            timeoutError.timeout = true;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Retry a call with exponential backoff while its errors are transient
+ * canRetry() lets the caller veto a retry (e.g. once streamed text reached the client)
+ */
+async function withRetry(call, { signal, canRetry = () => true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await call();
+        } catch (error) {
+            const retriesLeft = attempt < FAILOVER_CONFIG.retryAttempts;
+            if (signal?.aborted || !retriesLeft || !isTransientError(error) || !canRetry()) {
+                throw error;
+            }
+
+            const delay = Math.min(
+                FAILOVER_CONFIG.retryBaseDelayMs * 2 ** attempt,
+                FAILOVER_CONFIG.retryMaxDelayMs
+            );
+            // Jitter keeps many clients from retrying in lockstep
+            await sleep(delay / 2 + Math.random() * delay / 2, signal);
+        }
+    }
+}
+
+/**
+ * Providers to try for a request: the requested one, then the configured order
+ */
+function getFailoverChain(requestedId) {
+    const ids = [requestedId, ...FAILOVER_CONFIG.order.filter(id => id !== requestedId)];
+
+    return ids
+        .map(id => getProvider(id))
+        .filter(adapter => adapter && adapter.isConfigured());
+}
+
+/**
+ * Run a chat completion, retrying and failing over across providers
+ * The result's `provider` is the provider that actually answered; `fallbackFrom`
+ * is set when that differs from the requested one.
+ * Streaming calls never fail over once text has been sent to the client.
+ */
+async function completeWithFailover(requestedId, messages, { onDelta, signal, model } = {}) {
+    const chain = getFailoverChain(requestedId);
+    let lastError = null;
+
+    for (const adapter of chain) {
+        const breaker = getBreaker(adapter.id);
+
+        if (!breaker.canRequest()) {
+            lastError = lastError || new ProviderError(`${adapter.name} is temporarily unavailable`, {
+                provider: adapter.id,
+                status: 503
+            });
+            continue;
+        }
+
+        let streamed = false;
+        const relay = onDelta && ((text) => {
+            streamed = true;
+            onDelta(text);
+        });
+
+        try {
+            const response = await withRetry(() => callWithTimeout(adapter, messages, {
+                onDelta: relay,
+                signal,
+                // A specific model only makes sense for the provider it was chosen for
+                model: adapter.id === requestedId ? model : undefined
+            }), { signal, canRetry: () => !streamed });
+
+            breaker.recordSuccess();
+
+            if (adapter.id !== requestedId) {
+                console.warn(`Served by ${adapter.id} after ${requestedId} failed`);
+                return { ...response, fallbackFrom: requestedId };
+            }
+            return response;
+        } catch (error) {
+            if (signal?.aborted) {
+                breaker.releaseProbe();
+                throw error;
+            }
+
+            if (shouldFailOver(error)) {
+                breaker.recordFailure();
+            } else {
+                breaker.releaseProbe();
+            }
+
+            lastError = error;
+            console.error(`Provider ${adapter.id} failed:`, error.message);
+
+            if (streamed || !shouldFailOver(error)) {
+                throw error;
+            }
+        }
+    }
+
+    throw lastError || new ProviderError('No AI provider is configured');
+}
+
+/**
+ * Breaker state for every registered provider, for /api/health
+ */
+function getBreakerStates() {
+    return Object.fromEntries(
+        listProviders().map(adapter => [adapter.id, getBreaker(adapter.id).getState()])
+    );
+}
+
+module.exports = {
+    CircuitBreaker,
+    completeWithFailover,
+    getBreakerStates,
+    isTransientError
+};
@@ -0,0 +1,166 @@
+/**
+ * Web Push for OMaa
+ * =================
+ *
+ * Stores each subscriber's browser push subscriptions and sends
+ * notifications to them with VAPID (no third-party push service account
+ * needed).
+ *
+ * VAPID keys come from the environment; without them a key pair is
+ * generated on first start and kept in DATA_DIR/vapid-keys.json. Keep that
+ * file: new keys invalidate every existing browser subscription.
+ *
+ * Environment variables (all optional):
+ *   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY  key pair (generate with `npx web-push generate-vapid-keys`)
+ *   VAPID_SUBJECT                        contact for push services (default: mailto:support@omaa.mom)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const { DATA_DIR, getCollection } = require('./data-store');
+
+const subscriptions = getCollection('push-subscriptions');
+
+const VAPID_KEYS_FILE = path.join(DATA_DIR, 'vapid-keys.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:support@omaa.mom';
+
+// Push services drop undelivered notifications after this long (seconds)
+const NOTIFICATION_TTL = 12 * 60 * 60;
+
+/**
+ * Load the VAPID key pair, generating and saving one on first use
+ */
+function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(VAPID_KEYS_FILE, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const keys = webpush.generateVAPIDKeys();
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(VAPID_KEYS_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    console.log('Generated VAPID keys in', VAPID_KEYS_FILE);
+    return keys;
+}
+
+const vapidKeys = loadVapidKeys();
+webpush.setVapidDetails(VAPID_SUBJECT, vapidKeys.publicKey, vapidKeys.privateKey);
+
+/**
+ * Public key browsers need to subscribe (applicationServerKey)
+ */
+function getPublicKey() {
+    return vapidKeys.publicKey;
+}
+
+// Push services of the major browsers; the server POSTs to these endpoints, so
+// anything else (internal hosts, arbitrary sites) is refused
+const PUSH_SERVICE_HOSTS = [
+    /^fcm\.googleapis\.com$/,                          // Chrome, Edge, Opera
+    /^([a-z0-9-]+\.)*push\.services\.mozilla\.com$/,   // Firefox
+    /^([a-z0-9-]+\.)+push\.apple\.com$/,               // Safari
+    /^([a-z0-9-]+\.)+notify\.windows\.com$/            // Windows (WNS)
+];
+
+/**
+ * Whether an endpoint points at a known push service over HTTPS
+ */
+function isPushServiceEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (e) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+    return PUSH_SERVICE_HOSTS.some(pattern => pattern.test(url.hostname));
+}
+
+const subscriptionId = (endpoint) => crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+
+/**
+ * Save a browser's push subscription (PushSubscription#toJSON) for a customer
+ * @returns {{ error: string|null }}
+ */
+function saveSubscription(customerId, subscription = {}) {
+    const { endpoint, keys } = subscription;
+
+    if (typeof endpoint !== 'string' || !isPushServiceEndpoint(endpoint)) {
+        return { error: 'Invalid push subscription' };
+    }
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+        return { error: 'Invalid push subscription' };
+    }
+
+    const id = subscriptionId(endpoint);
+    subscriptions.set(id, {
+        id,
+        customerId,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        createdAt: subscriptions.get(id)?.createdAt || new Date().toISOString()
+    });
+    return { error: null };
+}
+
+/**
+ * Remove a browser's push subscription
+ */
+function removeSubscription(customerId, endpoint) {
+    const id = typeof endpoint === 'string' ? subscriptionId(endpoint) : null;
+    const subscription = id && subscriptions.get(id);
+    if (!subscription || subscription.customerId !== customerId) return false;
+    return subscriptions.delete(id);
+}
+
+/**
+ * Whether a customer has any browser subscribed
+ */
+function hasSubscriptions(customerId) {
+    return subscriptions.values().some(s => s.customerId === customerId);
+}
+
+/**
+ * Send a notification to every browser a customer has subscribed
+ * Subscriptions the push service reports as gone are removed.
+ * @param {Object} payload - { title, body, url, tag } read by the service worker
+ * @returns {Promise<number>} how many browsers accepted it
+ */
+async function sendToCustomer(customerId, payload) {
+    const targets = subscriptions.filter(s => s.customerId === customerId && isPushServiceEndpoint(s.endpoint));
+
+    const results = await Promise.all(targets.map(async (subscription) => {
+        try {
+            await webpush.sendNotification(
+                { endpoint: subscription.endpoint, keys: subscription.keys },
+                JSON.stringify(payload),
+                { TTL: NOTIFICATION_TTL }
+            );
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                subscriptions.delete(subscription.id);
+            } else {
+                console.error('Push failed:', error.statusCode || '', error.message);
+            }
+            return false;
+        }
+    }));
+
+    return results.filter(Boolean).length;
+}
+
+module.exports = {
+    getPublicKey,
+    saveSubscription,
+    removeSubscription,
+    hasSubscriptions,
+    sendToCustomer
+};
@@ -0,0 +1,155 @@
+/**
+ * Reminder Service for OMaa
+ * =========================
+ *
+ * Manages the parent's reminders (stored server-side and sent as push
+ * notifications) and this browser's push subscription. Notifications are
+ * shown by the service worker (sw.js), which opens the chat when one is
+ * clicked.
+ */
+
+class ReminderService {
+    constructor() {
+        this.reminders = [];
+    }
+
+    /**
+     * Call the reminders API with the subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `API error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Load reminders from the server
+     */
+    async load() {
+        const data = await this.request('GET', '/api/reminders');
+        this.reminders = data.reminders || [];
+        return this.reminders;
+    }
+
+    /**
+     * Get the loaded reminders
+     */
+    getReminders() {
+        return this.reminders;
+    }
+
+    /**
+     * Create a reminder, or update it when an ID is given
+     */
+    async saveReminder(details, id = null) {
+        const reminder = id
+            ? await this.request('PUT', `/api/reminders/${encodeURIComponent(id)}`, details)
+            : await this.request('POST', '/api/reminders', details);
+
+        await this.load();
+        return reminder;
+    }
+
+    /**
+     * Delete a reminder
+     */
+    async deleteReminder(id) {
+        await this.request('DELETE', `/api/reminders/${encodeURIComponent(id)}`);
+        await this.load();
+    }
+
+    /**
+     * Add reminders for a child's upcoming vaccine visits
+     * @returns {Promise<Object[]>} the reminders added
+     */
+    async addVaccineReminders(childId) {
+        const data = await this.request('POST', '/api/reminders/vaccines', {
+            childId,
+            tzOffset: new Date().getTimezoneOffset()
+        });
+        await this.load();
+        return data.reminders || [];
+    }
+
+    /**
+     * Whether this browser can receive push notifications
+     */
+    isPushSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    /**
+     * Register the service worker (safe to call more than once)
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return null;
+        return navigator.serviceWorker.register('/sw.js');
+    }
+
+    /**
+     * 'unsupported', 'denied', 'enabled' or 'disabled'
+     */
+    async getPushStatus() {
+        if (!this.isPushSupported()) return 'unsupported';
+        if (Notification.permission === 'denied') return 'denied';
+
+        const registration = await navigator.serviceWorker.getRegistration('/');
+        const subscription = registration && await registration.pushManager.getSubscription();
+        return subscription && Notification.permission === 'granted' ? 'enabled' : 'disabled';
+    }
+
+    /**
+     * Ask for permission and subscribe this browser to push notifications
+     */
+    async enablePush() {
+        if (await Notification.requestPermission() !== 'granted') {
+            throw new Error(i18n.t('reminders.pushBlocked'));
+        }
+
+        const registration = await this.registerServiceWorker();
+        await navigator.serviceWorker.ready;
+
+        const { publicKey } = await this.request('GET', '/api/push/public-key');
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.decodeKey(publicKey)
+            });
+
+        await this.request('POST', '/api/push/subscriptions', subscription.toJSON());
+    }
+
+    /**
+     * Stop push notifications in this browser
+     */
+    async disablePush() {
+        const registration = await navigator.serviceWorker.getRegistration('/');
+        const subscription = registration && await registration.pushManager.getSubscription();
+        if (!subscription) return;
+
+        await this.request('DELETE', '/api/push/subscriptions', { endpoint: subscription.endpoint }).catch(() => {});
+        await subscription.unsubscribe();
+    }
+
+    /**
+     * Decode a base64url VAPID key for pushManager.subscribe
+     */
+    decodeKey(base64url) {
+        const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
+
+// Create global instance
+const reminderService = new ReminderService();
@@ -0,0 +1,331 @@
+/**
+ * Reminders for OMaa
+ * ==================
+ *
+ * One-off and repeating reminders - medication doses, vaccine appointments,
+ * routine nudges - delivered as Web Push notifications, so OMaa can reach a
+ * parent who isn't on the chat page.
+ *
+ * A reminder stores its next due time (`dueAt`). The scheduler in server.js
+ * calls sendDueReminders() every minute: due reminders are pushed to the
+ * customer's browsers, then repeating ones move to their next time and
+ * one-off ones are marked done. Reminders found more than an hour late
+ * (e.g. after downtime) are skipped rather than sent in a burst.
+ *
+ * Vaccine reminders can be seeded for a child from the vaccine schedule
+ * (vaccine-schedule.js), one per upcoming well-child visit.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+const childProfiles = require('./child-profiles');
+const { hasActiveSubscription } = require('./subscription-store');
+const { sendToCustomer } = require('./push-notifications');
+const { getVaccineSchedule } = require('./vaccine-schedule');
+const { parseTzOffset } = require('./tracker');
+
+const reminders = getCollection('reminders');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_REMINDERS_PER_CUSTOMER = 100;
+const MAX_LATENESS_MS = 60 * MINUTE_MS;
+
+const REMINDER_KINDS = ['medication', 'vaccine', 'routine', 'other'];
+
+const REPEAT_UNITS = {
+    hour: 60 * MINUTE_MS,
+    day: 24 * 60 * MINUTE_MS,
+    week: 7 * 24 * 60 * MINUTE_MS
+};
+
+// Seeded vaccine reminders go out at this local hour, a week before the visit
+const VACCINE_REMINDER_HOUR = 9;
+const VACCINE_REMINDER_LEAD_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const isTimestamp = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+/**
+ * Validate and normalize reminder input from a client
+ * @returns {{ error: string|null, value: Object }}
+ */
+function validateReminder(input = {}, { allowPast = false } = {}) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title || title.length > 80) {
+        return { error: 'Please give the reminder a title (up to 80 characters)' };
+    }
+    if (!REMINDER_KINDS.includes(input.kind)) {
+        return { error: 'Reminder type must be medication, vaccine, routine or other' };
+    }
+    if (!isTimestamp(input.dueAt)) {
+        return { error: 'Please give a date and time for the reminder' };
+    }
+
+    let repeat = null;
+    if (input.repeat) {
+        const every = Number(input.repeat.every);
+        if (!REPEAT_UNITS[input.repeat.unit] || !Number.isInteger(every) || every < 1 || every > 30) {
+            return { error: 'Repeat must be every 1 to 30 hours, days or weeks' };
+        }
+        repeat = { every, unit: input.repeat.unit };
+    }
+
+    if (!repeat && !allowPast && Date.parse(input.dueAt) < Date.now() - MINUTE_MS) {
+        return { error: 'That time has already passed' };
+    }
+
+    let endsAt = null;
+    if (repeat && input.endsAt) {
+        if (!isTimestamp(input.endsAt) || Date.parse(input.endsAt) <= Date.parse(input.dueAt)) {
+            return { error: 'The end date must be after the first reminder' };
+        }
+        endsAt = new Date(input.endsAt).toISOString();
+    }
+
+    return {
+        error: null,
+        value: {
+            kind: input.kind,
+            title,
+            notes: typeof input.notes === 'string' ? input.notes.trim().slice(0, 300) : '',
+            dueAt: new Date(input.dueAt).toISOString(),
+            repeat,
+            endsAt
+        }
+    };
+}
+
+/**
+ * Reminder as returned by the API
+ */
+function toResponse(reminder) {
+    const { customerId, ...publicReminder } = reminder;
+    return publicReminder;
+}
+
+/**
+ * List a customer's reminders, active ones first, soonest first
+ */
+function listReminders(customerId) {
+    return reminders
+        .filter(r => r.customerId === customerId)
+        .sort((a, b) => (b.active - a.active) || a.dueAt.localeCompare(b.dueAt))
+        .map(toResponse);
+}
+
+/**
+ * Get one of a customer's reminders (raw record), or null
+ */
+function getReminder(customerId, id) {
+    const reminder = reminders.get(id);
+    return reminder && reminder.customerId === customerId ? reminder : null;
+}
+
+/**
+ * Create a reminder, optionally for one of the customer's children
+ * @returns {{ error: string|null, reminder: Object }}
+ */
+function createReminder(customerId, input = {}) {
+    if (input.childId && !childProfiles.getProfile(customerId, input.childId)) {
+        return { error: 'Child profile not found' };
+    }
+    if (reminders.filter(r => r.customerId === customerId).length >= MAX_REMINDERS_PER_CUSTOMER) {
+        return { error: `You can have up to ${MAX_REMINDERS_PER_CUSTOMER} reminders` };
+    }
+
+    const { error, value } = validateReminder(input);
+    if (error) return { error };
+
+    const id = `rem_${crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const reminder = reminders.set(id, {
+        id,
+        customerId,
+        childId: input.childId || null,
+        ...value,
+        active: true,
+        lastSentAt: null,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    return { error: null, reminder: toResponse(reminder) };
+}
+
+/**
+ * Update a reminder; fields not given keep their current values
+ * Saving a reminder makes it active again.
+ * @returns {{ error: string|null, reminder: Object|null }} reminder is null when not found
+ */
+function updateReminder(customerId, id, input = {}) {
+    const existing = getReminder(customerId, id);
+    if (!existing) return { error: null, reminder: null };
+
+    // A one-off reminder that already went off can still be renamed or paused;
+    // only a new time has to be in the future
+    const timeChanged = ('dueAt' in input && Date.parse(input.dueAt) !== Date.parse(existing.dueAt)) ||
+        ('repeat' in input && JSON.stringify(input.repeat || null) !== JSON.stringify(existing.repeat || null));
+
+    const { error, value } = validateReminder({ ...existing, ...input }, { allowPast: !timeChanged });
+    if (error) return { error };
+
+    const reminder = reminders.set(id, {
+        ...existing,
+        ...value,
+        active: input.active === false ? false : true,
+        updatedAt: new Date().toISOString()
+    });
+    return { error: null, reminder: toResponse(reminder) };
+}
+
+/**
+ * Delete a reminder
+ */
+function deleteReminder(customerId, id) {
+    if (!getReminder(customerId, id)) return false;
+    return reminders.delete(id);
+}
+
+/**
+ * Delete every reminder for a child (when the child's profile is deleted)
+ */
+function deleteChildReminders(customerId, childId) {
+    reminders
+        .filter(r => r.customerId === customerId && r.childId === childId)
+        .forEach(r => reminders.delete(r.id));
+}
+
+/**
+ * Add reminders for a child's upcoming well-child vaccine visits
+ * Visits already seeded for the child, or already past, are skipped.
+ * @param {Object} [options] - { tzOffset } parent's offset from UTC in minutes (Date#getTimezoneOffset)
+ * @returns {{ error: string|null, reminders: Object[]|null }} reminders is null when the child isn't found
+ */
+function seedVaccineReminders(customerId, childId, { tzOffset = 0 } = {}) {
+    const profile = childProfiles.getProfile(customerId, childId);
+    if (!profile) return { error: null, reminders: null };
+    if (!profile.birthDate) {
+        return { error: 'Vaccine reminders need a birth date' };
+    }
+
+    const offset = parseTzOffset(tzOffset);
+    const seeded = new Set(reminders
+        .filter(r => r.customerId === customerId && r.childId === childId && r.vaccineVisitId)
+        .map(r => r.vaccineVisitId));
+
+    const created = [];
+    getVaccineSchedule().forEach(visit => {
+        if (seeded.has(visit.id)) return;
+
+        const visitDate = new Date(`${profile.birthDate}T00:00:00Z`);
+        visitDate.setUTCMonth(visitDate.getUTCMonth() + visit.months);
+        const visitDay = visitDate.getTime() + VACCINE_REMINDER_HOUR * 60 * MINUTE_MS + offset * MINUTE_MS;
+
+        // A week ahead leaves time to book; closer visits get a reminder on the day
+        const dueAt = [visitDay - VACCINE_REMINDER_LEAD_MS, visitDay].find(time => time > Date.now());
+        if (!dueAt) return;
+
+        const { error, reminder } = createReminder(customerId, {
+            childId,
+            kind: 'vaccine',
+            title: `Vaccines: ${visit.label}`,
+            notes: `Due around ${visitDate.toISOString().slice(0, 10)}: ${visit.vaccines.join(', ')}. ` +
+                'Book or confirm the visit with your pediatrician, who may adjust the schedule.',
+            dueAt: new Date(dueAt).toISOString()
+        });
+        if (error) return;
+
+        reminders.set(reminder.id, { ...reminders.get(reminder.id), vaccineVisitId: visit.id });
+        created.push({ ...reminder, vaccineVisitId: visit.id });
+    });
+
+    return { error: null, reminders: created };
+}
+
+/**
+ * Next due time of a repeating reminder after `now`, or null when it has ended
+ */
+function nextDueAt(reminder, now) {
+    if (!reminder.repeat) return null;
+
+    const step = reminder.repeat.every * REPEAT_UNITS[reminder.repeat.unit];
+    const dueAt = Date.parse(reminder.dueAt);
+    const next = dueAt + (Math.floor((now - dueAt) / step) + 1) * step;
+
+    return reminder.endsAt && next > Date.parse(reminder.endsAt) ? null : next;
+}
+
+/**
+ * Notification shown for a reminder; clicking it opens the chat
+ */
+function notificationPayload(reminder) {
+    const child = reminder.childId ? childProfiles.getProfile(reminder.customerId, reminder.childId) : null;
+    const defaultBody = {
+        medication: 'Time for the next dose.',
+        vaccine: 'A vaccine visit is coming up.',
+        routine: 'Just a gentle nudge.',
+        other: 'Reminder from MoM.'
+    }[reminder.kind];
+
+    return {
+        title: child ? `${child.name}: ${reminder.title}` : reminder.title,
+        body: reminder.notes || defaultBody,
+        url: `/chat.html?reminder=${encodeURIComponent(reminder.id)}`,
+        tag: reminder.id
+    };
+}
+
+let sending = false;
+
+/**
+ * Send every due reminder and schedule the next occurrence
+ * @returns {Promise<number>} how many reminders were due
+ */
+async function sendDueReminders(now = Date.now()) {
+    // A slow run must not overlap the next one and send twice
+    if (sending) return 0;
+    sending = true;
+
+    try {
+        const due = reminders.filter(r => r.active && Date.parse(r.dueAt) <= now);
+
+        for (const reminder of due) {
+            const onTime = now - Date.parse(reminder.dueAt) <= MAX_LATENESS_MS;
+            let sent = false;
+
+            if (onTime && hasActiveSubscription(reminder.customerId)) {
+                sent = await sendToCustomer(reminder.customerId, notificationPayload(reminder)) > 0;
+            }
+
+            // The reminder may have been edited, paused or deleted during the push
+            const current = reminders.get(reminder.id);
+            if (!current) continue;
+
+            const lastSentAt = sent ? new Date(now).toISOString() : current.lastSentAt;
+            if (current.dueAt !== reminder.dueAt) {
+                reminders.set(current.id, { ...current, lastSentAt });
+                continue;
+            }
+
+            const next = nextDueAt(current, now);
+            reminders.set(current.id, {
+                ...current,
+                dueAt: next ? new Date(next).toISOString() : current.dueAt,
+                active: current.active && !!next,
+                lastSentAt
+            });
+        }
+        return due.length;
+    } finally {
+        sending = false;
+    }
+}
+
+module.exports = {
+    listReminders,
+    createReminder,
+    updateReminder,
+    deleteReminder,
+    deleteChildReminders,
+    seedVaccineReminders,
+    sendDueReminders
+};
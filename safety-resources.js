@@ -0,0 +1,89 @@
+/**
+ * Safety Resources for OMaa
+ * =========================
+ *
+ * Emergency numbers and crisis hotlines shown on the safety card, by region
+ * (ISO 3166 country code). The chat page sends the parent's region; unknown
+ * regions fall back to SAFETY_DEFAULT_REGION, then to the international list.
+ *
+ * To add a region, add an entry with an `emergency` number and the
+ * `medical` and `mentalHealth` resources to list for each kind of alert.
+ */
+
+const SAFETY_RESOURCES = {
+    US: {
+        emergency: '911',
+        medical: [
+            { name: 'Poison Control', phone: '1-800-222-1222', description: 'Swallowed or touched something harmful' }
+        ],
+        mentalHealth: [
+            { name: '988 Suicide & Crisis Lifeline', phone: '988', text: '988', description: 'Call or text, 24/7' },
+            { name: 'National Maternal Mental Health Hotline', phone: '1-833-852-6262', text: '1-833-852-6262', description: 'Call or text 1-833-TLC-MAMA, 24/7' },
+            { name: 'Postpartum Support International', phone: '1-800-944-4773', description: 'HelpLine for new and expecting parents' }
+        ]
+    },
+    CA: {
+        emergency: '911',
+        medical: [],
+        mentalHealth: [
+            { name: '9-8-8 Suicide Crisis Helpline', phone: '988', text: '988', description: 'Call or text, 24/7' }
+        ]
+    },
+    GB: {
+        emergency: '999',
+        medical: [
+            { name: 'NHS 111', phone: '111', description: 'Urgent medical help that is not life-threatening' }
+        ],
+        mentalHealth: [
+            { name: 'Samaritans', phone: '116 123', description: 'Free, 24/7' },
+            { name: 'NHS 111 (option 2)', phone: '111', description: 'Urgent mental health support' }
+        ]
+    },
+    AU: {
+        emergency: '000',
+        medical: [
+            { name: 'Poisons Information Centre', phone: '13 11 26', description: '24/7' }
+        ],
+        mentalHealth: [
+            { name: 'Lifeline', phone: '13 11 14', description: '24/7 crisis support' },
+            { name: 'PANDA', phone: '1300 726 306', description: 'Perinatal anxiety and depression helpline' }
+        ]
+    },
+    IN: {
+        emergency: '112',
+        medical: [],
+        mentalHealth: [
+            { name: 'Tele-MANAS', phone: '14416', description: 'Free mental health helpline, 24/7' }
+        ]
+    },
+    INTL: {
+        emergency: null,
+        medical: [],
+        mentalHealth: [
+            { name: 'Find A Helpline', url: 'https://findahelpline.com', description: 'Free crisis lines in your country' }
+        ]
+    }
+};
+
+const SAFETY_DEFAULT_REGION = (process.env.SAFETY_DEFAULT_REGION || 'US').toUpperCase();
+
+/**
+ * Resolve a region code to one we have resources for
+ */
+function resolveRegion(region) {
+    const code = typeof region === 'string' ? region.toUpperCase() : '';
+    if (SAFETY_RESOURCES[code]) return code;
+    return SAFETY_RESOURCES[SAFETY_DEFAULT_REGION] ? SAFETY_DEFAULT_REGION : 'INTL';
+}
+
+/**
+ * Get the resources to show for a region
+ */
+function getSafetyResources(region) {
+    const code = resolveRegion(region);
+    return { region: code, ...SAFETY_RESOURCES[code] };
+}
+
+module.exports = {
+    getSafetyResources
+};
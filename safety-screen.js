@@ -0,0 +1,149 @@
+/**
+ * Safety Screening for OMaa
+ * =========================
+ *
+ * Runs ahead of the model on every chat message to catch medical
+ * emergencies and mental-health crises:
+ * - local rules (regular expressions) always run and cost nothing
+ * - an optional model check (SAFETY_MODEL_CHECK=true) classifies what the
+ *   rules can't phrase-match; it is time-boxed and ignored if it fails
+ *
+ * Detections come back as a structured safety payload the chat page renders
+ * as an emergency/hotline card:
+ *   action 'replace' - medical emergency: show the card instead of a reply,
+ *                      because the parent should be calling for help now
+ *   action 'prepend' - crisis or urgent concern: show the card above
+ *                      OMaa's reply, which is still generated
+ *
+ * Only rule IDs are logged, never the message text.
+ */
+
+const { completeWithFailover } = require('./provider-failover');
+const { getSafetyResources } = require('./safety-resources');
+const { buildSafetyCheckMessages } = require('./system-prompts');
+
+const SAFETY_MODEL_CHECK = process.env.SAFETY_MODEL_CHECK === 'true';
+const SAFETY_MODEL_TIMEOUT_MS = parseInt(process.env.SAFETY_MODEL_TIMEOUT_MS || '5000', 10);
+
+const SEVERITY_RANK = { none: 0, urgent: 1, emergency: 2 };
+
+const SAFETY_RULES = [
+    // Medical emergencies: act now
+    { id: 'not_breathing', category: 'medical_emergency', severity: 'emergency', pattern: /\b(not|isn'?t|stopped|can'?t|cannot|struggling to|trouble)\s+breath(ing|e)\b/i },
+    { id: 'turning_blue', category: 'medical_emergency', severity: 'emergency', pattern: /\b(turn(ing|ed)|going|gone|looks?|lips?( are)?|face( is)?)\s+(blue|purple|gr[ae]y)\b/i },
+    { id: 'unresponsive', category: 'medical_emergency', severity: 'emergency', pattern: /\b(unresponsive|unconscious|won'?t wake|can'?t wake|not waking|passed out|went limp|is limp|floppy and)\b/i },
+    { id: 'choking', category: 'medical_emergency', severity: 'emergency', pattern: /\b(is|s|he'?s|she'?s|they'?re|baby'?s?)\s+choking\b|\bchoking (right )?now\b/i },
+    { id: 'seizure_now', category: 'medical_emergency', severity: 'emergency', pattern: /\b(having|had) (a )?(seizure|convulsion|fit)\b|\b(is|started) (seizing|convulsing|shaking uncontrollably)\b/i },
+    { id: 'swallowed_hazard', category: 'medical_emergency', severity: 'emergency', pattern: /\b(swallowed|ate|drank|licked)\b.{0,30}\b(button battery|battery|batteries|magnets?|bleach|detergent|laundry pod|dishwasher pod|medicine|pills?|tablets?|poison|chemicals?)\b/i },
+    { id: 'severe_bleeding', category: 'medical_emergency', severity: 'emergency', pattern: /\b(won'?t stop bleeding|bleeding (heavily|a lot|everywhere)|lots of blood)\b/i },
+    { id: 'head_injury', category: 'medical_emergency', severity: 'urgent', pattern: /\b(fell|fall|hit|bumped).{0,40}\bhead\b.{0,60}\b(vomit|throw(ing)? up|sleepy|drowsy|confused)/i },
+    { id: 'newborn_fever', category: 'medical_emergency', severity: 'urgent', pattern: /\b(newborn|\d\s*(day|week)s?[- ]old|[12]\s*months?[- ]old)\b.{0,60}\b(fever|temperature|temp)\b/i },
+    { id: 'dehydration', category: 'medical_emergency', severity: 'urgent', pattern: /\bno wet diapers?\b|\bhasn'?t (peed|wet a diaper)\b/i },
+
+    // Mental-health crises: reach out now
+    { id: 'suicidal', category: 'mental_health_crisis', severity: 'urgent', pattern: /\b(kill(ing)? myself|end(ing)? my life|suicid(e|al)|want to die|better off (dead|without me)|don'?t want to (be alive|live|wake up)|no reason to live)\b/i },
+    { id: 'self_harm', category: 'mental_health_crisis', severity: 'urgent', pattern: /\b(hurt(ing)?|harm(ing)?|cut(ting)?) myself\b|\bself[- ]harm/i },
+    { id: 'harm_to_child', category: 'mental_health_crisis', severity: 'urgent', pattern: /\b(hurt|harm|shake|smother|kill)(ing)? (my|the) (baby|child|son|daughter|kids?|newborn)\b|\bthoughts of (hurting|harming)\b/i },
+    { id: 'psychosis', category: 'mental_health_crisis', severity: 'urgent', pattern: /\b(hearing voices|voices (are )?telling me|seeing things that aren'?t there)\b/i }
+];
+
+const SAFETY_MESSAGES = {
+    medical_emergency: {
+        emergency: {
+            title: 'This may be a medical emergency',
+            message: 'Please call emergency services right now. If your child is not breathing or is unresponsive, start infant or child CPR if you know how, and the dispatcher will guide you. If this has already passed and your little one is okay now, tell me more and I will help you think through next steps.'
+        },
+        urgent: {
+            title: 'Please get medical advice today',
+            message: 'What you describe can need prompt medical attention. Call your pediatrician or an urgent care line now, and go to the emergency room or call emergency services if things get worse.'
+        }
+    },
+    mental_health_crisis: {
+        urgent: {
+            title: "You don't have to carry this alone",
+            message: 'What you are feeling matters, and help is available right now. Please reach out to one of these lines, or call emergency services if you might act on these thoughts or your child is in danger.'
+        }
+    }
+};
+
+/**
+ * Match the local rules against a message
+ */
+function checkRules(text) {
+    return SAFETY_RULES.filter(rule => rule.pattern.test(text));
+}
+
+/**
+ * Ask a model to classify a message; returns null when disabled or on any failure
+ */
+async function checkWithModel(provider, text) {
+    if (!SAFETY_MODEL_CHECK) return null;
+
+    try {
+        const response = await completeWithFailover(provider, buildSafetyCheckMessages(text), {
+            signal: AbortSignal.timeout(SAFETY_MODEL_TIMEOUT_MS)
+        });
+        const result = JSON.parse(response.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
+
+        if (!SAFETY_MESSAGES[result.category] || !SEVERITY_RANK[result.severity]) {
+            return { category: 'none', severity: 'none', usage: response.usage, provider: response.provider };
+        }
+        return { category: result.category, severity: result.severity, usage: response.usage, provider: response.provider };
+    } catch (error) {
+        console.error('Safety model check failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Screen a parent's message before it reaches the model
+ * @param {string} text - The latest user message
+ * @param {Object} options
+ * @param {string} options.provider - Provider to use for the optional model check
+ * @param {string} [options.region] - Region code for the resources to show
+ * @returns {Promise<{ safety: Object|null, modelCheck: Object|null }>} safety is null when nothing was detected
+ */
+async function screenMessage(text, { provider, region }) {
+    const matches = checkRules(text);
+    const modelCheck = await checkWithModel(provider, text);
+
+    const candidates = matches.map(rule => ({ category: rule.category, severity: rule.severity, source: 'rules' }));
+    if (modelCheck && modelCheck.severity !== 'none') {
+        candidates.push({ category: modelCheck.category, severity: modelCheck.severity, source: 'model' });
+    }
+    if (candidates.length === 0) {
+        return { safety: null, modelCheck };
+    }
+
+    // The most severe detection decides the card; medical emergencies win ties
+    const top = candidates.sort((a, b) =>
+        SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+        (a.category === 'medical_emergency' ? -1 : 1)
+    )[0];
+
+    const severityMessages = SAFETY_MESSAGES[top.category];
+    const copy = severityMessages[top.severity] || severityMessages.urgent;
+    const resources = getSafetyResources(region);
+
+    console.warn('Safety screen triggered:', top.category, top.severity,
+        matches.map(rule => rule.id).join(',') || '(model)');
+
+    return {
+        modelCheck,
+        safety: {
+            category: top.category,
+            severity: top.severity,
+            action: top.category === 'medical_emergency' && top.severity === 'emergency' ? 'replace' : 'prepend',
+            region: resources.region,
+            title: copy.title,
+            message: copy.message,
+            emergencyNumber: resources.emergency,
+            resources: top.category === 'mental_health_crisis' ? resources.mentalHealth : resources.medical,
+            rules: matches.map(rule => rule.id)
+        }
+    };
+}
+
+module.exports = {
+    screenMessage
+};
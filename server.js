@@ -6,43 +6,169 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { getProvider, listProviders } = require('./ai-providers');
+const { completeWithFailover, getBreakerStates } = require('./provider-failover');
+const { buildChatMessages, buildTitleMessages, buildSummaryMessages } = require('./system-prompts');
+const { resolveCustomerAccess, invalidateAccess, getRequestToken, requireEntitlement } = require('./entitlement');
+const authSessions = require('./auth-sessions');
+const { processStripeEvent } = require('./subscription-store');
+const { limitByIp, limitByCustomer, recordUsage, getDailyUsage, getUsageSummary } = require('./usage-meter');
+const childProfiles = require('./child-profiles');
+const { screenMessage } = require('./safety-screen');
+const { generateWithPolicy } = require('./output-policy');
+const attachments = require('./attachments');
+const tracker = require('./tracker');
+const milestones = require('./milestones');
+const reminders = require('./reminders');
+const pushNotifications = require('./push-notifications');
+const conversationExport = require('./conversation-export');
+const accountData = require('./account-data');
+const billing = require('./billing');
+const campaigns = require('./campaigns');
+const gifts = require('./gifts');
+const { MAX_SPEECH_CHARS, getSpeechProvider, receiveAudio } = require('./speech-providers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How often the reminder scheduler looks for due reminders
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+
 // Initialize Stripe
 const stripe = process.env.STRIPE_SECRET_KEY
     ? require('stripe')(process.env.STRIPE_SECRET_KEY)
     : null;
 
+// Behind a load balancer, trust its X-Forwarded-For so per-IP rate limits see real clients
+// TRUST_PROXY takes a hop count or an Express trust proxy setting (e.g. 'loopback')
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', isNaN(trustProxy) ? trustProxy : Number(trustProxy));
+}
+
 // Middleware
 app.use(cors());
 
 // Raw body parser for Stripe webhooks (must be before express.json)
 app.use('/api/webhook/stripe', express.raw({ type: 'application/json' }));
 
+// Exports carry whole conversation histories, well past the default 100kb body limit,
+// but stay small enough to render without stalling other requests
+app.use('/api/export', express.json({ limit: '2mb' }), (error, req, res, next) => {
+    if (error.type !== 'entity.too.large') return next(error);
+    res.status(413).json({ error: 'That is too many messages for one export. Please choose a shorter date range.' });
+});
+
 app.use(express.json());
-app.use(express.static(path.join(__dirname)));
 
-// AI Chat endpoint
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { messages, provider = 'openai' } = req.body;
+// Static files are served from an allowlist, never the whole app directory,
+// which also holds the server code and (by default) the data store
+const PUBLIC_FILES = new Set([
+    'index.html', 'momai-index.html', 'chat.html',
+    'privacy-policy.html', 'return-policy.html', 'terms-of-service.html',
+    'styles.css', 'manifest.webmanifest', 'sw.js',
+    'app.js', 'chat.js', 'config.js', 'i18n.js', 'markdown-renderer.js', 'message-outbox.js',
+    'ai-service.js', 'account-service.js', 'child-profile-service.js', 'milestone-service.js',
+    'reminder-service.js', 'subscription-service.js', 'tracker-service.js', 'voice-service.js'
+]);
+const PUBLIC_DIRS = ['icons', 'locales'];
+
+PUBLIC_DIRS.forEach(dir => app.use(`/${dir}`, express.static(path.join(__dirname, dir))));
+app.get('/:file', (req, res, next) => {
+    if (!PUBLIC_FILES.has(req.params.file)) return next();
+    res.sendFile(path.join(__dirname, req.params.file));
+});
 
-        if (!messages || !Array.isArray(messages)) {
-            return res.status(400).json({ error: 'Messages array is required' });
-        }
+// AI Chat endpoint (active subscribers only)
+// Pass `stream: true` to receive the reply as Server-Sent Events instead of one JSON body
+app.post('/api/chat', limitByIp(), requireEntitlement(stripe), limitByCustomer(), async (req, res) => {
+    const { messages, summary, childId, region, tzOffset, language, provider = 'openai', model, stream = false } = req.body;
 
-        let response;
+    if (!messages || !Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Messages array is required' });
+    }
 
-        if (provider === 'openai') {
-            response = await callOpenAI(messages);
-        } else if (provider === 'anthropic') {
-            response = await callAnthropic(messages);
-        } else {
-            return res.status(400).json({ error: 'Invalid provider' });
-        }
+    const adapter = getProvider(provider);
+
+    if (!adapter) {
+        return res.status(400).json({ error: 'Invalid provider' });
+    }
+
+    // The server owns the system prompt; client-supplied system messages are dropped
+    const { customerId } = req.entitlement;
+
+    // Screen the parent's latest message for emergencies and crises before the model sees it
+    const latestMessage = [...messages].reverse()
+        .find(msg => msg?.role === 'user' && typeof msg.content === 'string')?.content || '';
+    const { safety, modelCheck } = await screenMessage(latestMessage, { provider: adapter.id, region });
+
+    if (modelCheck?.usage) {
+        recordUsage(customerId, modelCheck.provider, modelCheck.usage);
+    }
+
+    // The selected child's profile is looked up here, never taken from the client
+    const childProfile = childId ? childProfiles.getProfile(customerId, childId) : null;
+    const child = childProfile ? childProfiles.describeChildForPrompt(childProfile) : null;
+
+    // Feeding, sleep and diaper questions get the child's recent tracker log
+    const trackerLog = childProfile && tracker.isTrackerQuestion(latestMessage)
+        ? tracker.describeTrackerForPrompt(customerId, childProfile.id, { tzOffset })
+        : null;
+    const milestoneProgress = childProfile && milestones.isMilestoneQuestion(latestMessage)
+        ? milestones.describeMilestonesForPrompt(customerId, childProfile.id)
+        : null;
+
+    const { messages: builtMessages, promptVersion, strippedCount } = buildChatMessages(messages, {
+        summary,
+        child,
+        tracker: trackerLog,
+        milestones: milestoneProgress,
+        safety,
+        language
+    });
+    const chatMessages = attachments.resolveAttachments(customerId, builtMessages);
+
+    if (strippedCount > 0) {
+        console.warn(`Dropped ${strippedCount} client message(s) with a disallowed role`);
+    }
 
+    // Retries and fails over to other providers; the response reports who answered.
+    // Replies go through the output policy, which may add a disclaimer or regenerate.
+    // A medical emergency gets the safety card's guidance instead of a model reply.
+    const callProvider = safety?.action === 'replace'
+        ? async () => ({ content: safety.message, provider: 'safety', promptVersion, safety })
+        : async (providerMessages, { onDelta, onRegenerate, ...options } = {}) => {
+            const generate = async (attemptMessages, { onDelta: screenedDelta } = {}) => {
+                const response = await completeWithFailover(adapter.id, attemptMessages, {
+                    ...options,
+                    onDelta: screenedDelta,
+                    model
+                });
+                recordUsage(customerId, response.provider, response.usage);
+                return response;
+            };
+
+            const response = await generateWithPolicy(generate, providerMessages, {
+                provider: adapter.id,
+                onDelta,
+                onRegenerate,
+                onUsage: (provider, usage) => recordUsage(customerId, provider, usage)
+            });
+
+            return {
+                ...response,
+                promptVersion,
+                safety,
+                softLimitReached: getDailyUsage(customerId).softLimitReached
+            };
+        };
+
+    if (stream) {
+        return streamChat(req, res, callProvider, chatMessages, { safety });
+    }
+
+    try {
+        const response = await callProvider(chatMessages);
         res.json(response);
     } catch (error) {
         console.error('API Error:', error.message);
@@ -50,78 +176,483 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
-// OpenAI API call
-async function callOpenAI(messages) {
-    const apiKey = process.env.OPENAI_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('OpenAI API key not configured');
-    }
+/**
+ * Relay a provider stream to the client as Server-Sent Events
+ * Emits a `safety` event first when the safety screen fired, then `delta` events
+ * with each fragment the output policy has cleared, then a single `done` or
+ * `error` event. A `reset` event means the output policy withheld the reply and
+ * a new one follows; `done` always carries the final content.
+ */
+async function streamChat(req, res, callProvider, messages, { safety } = {}) {
+    const controller = new AbortController();
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-            messages: messages,
-            max_tokens: 1024,
-            temperature: 0.7
-        })
+    // Stop paying for tokens nobody will read if the parent leaves the page
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
     });
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'OpenAI API error');
+    // Show the safety card before the reply starts streaming
+    if (safety) {
+        sendEvent(res, { type: 'safety', safety });
     }
 
-    const data = await response.json();
-    return {
-        content: data.choices[0].message.content,
-        provider: 'openai'
-    };
+    try {
+        const response = await callProvider(messages, {
+            signal: controller.signal,
+            onDelta: (text) => sendEvent(res, { type: 'delta', content: text }),
+            onRegenerate: () => sendEvent(res, { type: 'reset' })
+        });
+        sendEvent(res, { type: 'done', ...response });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('API Stream Error:', error.message);
+        sendEvent(res, { type: 'error', error: error.message || 'Failed to get AI response' });
+    }
+
+    res.end();
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
 }
 
-// Anthropic API call
-async function callAnthropic(messages) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('Anthropic API key not configured');
-    }
-
-    // Convert messages format for Anthropic
-    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-    const chatMessages = messages.filter(m => m.role !== 'system');
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-            model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
-            max_tokens: 1024,
-            system: systemMessage,
-            messages: chatMessages
-        })
+// Title a conversation thread from its first exchange
+app.post('/api/chat/title', limitByIp(), requireEntitlement(stripe), limitByCustomer(), async (req, res) => {
+    const { messages, language, provider = 'openai' } = req.body;
+
+    if (!messages || !Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Messages array is required' });
+    }
+
+    const adapter = getProvider(provider);
+
+    if (!adapter) {
+        return res.status(400).json({ error: 'Invalid provider' });
+    }
+
+    try {
+        const response = await completeWithFailover(adapter.id, buildTitleMessages(messages, { language }));
+        recordUsage(req.entitlement.customerId, response.provider, response.usage);
+
+        const title = response.content.trim().replace(/^["']+|["'.!?]+$/g, '').slice(0, 80);
+        res.json({ title });
+    } catch (error) {
+        console.error('Title Error:', error.message);
+        res.status(500).json({ error: 'Failed to generate a title' });
+    }
+});
+
+// Fold older conversation turns into a running summary
+app.post('/api/chat/summarize', limitByIp(), requireEntitlement(stripe), limitByCustomer(), async (req, res) => {
+    const { messages, previousSummary, provider = 'openai' } = req.body;
+
+    if (!messages || !Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Messages array is required' });
+    }
+
+    const adapter = getProvider(provider);
+
+    if (!adapter) {
+        return res.status(400).json({ error: 'Invalid provider' });
+    }
+
+    try {
+        const response = await completeWithFailover(adapter.id, buildSummaryMessages(previousSummary, messages));
+        recordUsage(req.entitlement.customerId, response.provider, response.usage);
+
+        res.json({ summary: response.content.trim() });
+    } catch (error) {
+        console.error('Summary Error:', error.message);
+        res.status(500).json({ error: 'Failed to summarize the conversation' });
+    }
+});
+
+// Child profiles (per customer)
+app.get('/api/children', requireEntitlement(stripe), (req, res) => {
+    res.json({ children: childProfiles.listProfiles(req.entitlement.customerId) });
+});
+
+app.post('/api/children', requireEntitlement(stripe), (req, res) => {
+    const { error, profile } = childProfiles.createProfile(req.entitlement.customerId, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(profile);
+});
+
+app.put('/api/children/:id', requireEntitlement(stripe), (req, res) => {
+    const { error, profile } = childProfiles.updateProfile(req.entitlement.customerId, req.params.id, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!profile) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.json(profile);
+});
+
+app.delete('/api/children/:id', requireEntitlement(stripe), (req, res) => {
+    if (!childProfiles.deleteProfile(req.entitlement.customerId, req.params.id)) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    tracker.deleteChildEntries(req.entitlement.customerId, req.params.id);
+    milestones.deleteChildChecks(req.entitlement.customerId, req.params.id);
+    reminders.deleteChildReminders(req.entitlement.customerId, req.params.id);
+    res.json({ deleted: true });
+});
+
+// Milestone checklist (per child)
+app.get('/api/children/:id/milestones', requireEntitlement(stripe), (req, res) => {
+    const checklist = milestones.getChecklist(req.entitlement.customerId, req.params.id);
+
+    if (!checklist) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.json(checklist);
+});
+
+app.put('/api/children/:id/milestones/:milestoneId', requireEntitlement(stripe), (req, res) => {
+    const { error, milestone } = milestones.checkMilestone(
+        req.entitlement.customerId, req.params.id, req.params.milestoneId, req.body
+    );
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!milestone) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.json(milestone);
+});
+
+app.delete('/api/children/:id/milestones/:milestoneId', requireEntitlement(stripe), (req, res) => {
+    if (!milestones.uncheckMilestone(req.entitlement.customerId, req.params.id, req.params.milestoneId)) {
+        return res.status(404).json({ error: 'Milestone not checked off' });
+    }
+    res.json({ deleted: true });
+});
+
+// Activity tracker: feeds, sleep and diapers (per customer)
+app.get('/api/tracker/entries', requireEntitlement(stripe), (req, res) => {
+    const { childId, from, to, type } = req.query;
+    const entries = tracker.listEntries(req.entitlement.customerId, childId, { from, to, type });
+
+    if (!entries) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.json({ entries });
+});
+
+app.post('/api/tracker/entries', requireEntitlement(stripe), (req, res) => {
+    const { error, entry } = tracker.createEntry(req.entitlement.customerId, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(entry);
+});
+
+app.put('/api/tracker/entries/:id', requireEntitlement(stripe), (req, res) => {
+    const { error, entry } = tracker.updateEntry(req.entitlement.customerId, req.params.id, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!entry) {
+        return res.status(404).json({ error: 'Tracker entry not found' });
+    }
+    res.json(entry);
+});
+
+app.delete('/api/tracker/entries/:id', requireEntitlement(stripe), (req, res) => {
+    if (!tracker.deleteEntry(req.entitlement.customerId, req.params.id)) {
+        return res.status(404).json({ error: 'Tracker entry not found' });
+    }
+    res.json({ deleted: true });
+});
+
+app.get('/api/tracker/summary', requireEntitlement(stripe), (req, res) => {
+    const { childId, period, date, tzOffset } = req.query;
+    const { error, summary } = tracker.getSummary(req.entitlement.customerId, childId, { period, date, tzOffset });
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!summary) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.json(summary);
+});
+
+// Reminders (per customer), delivered by Web Push
+app.get('/api/reminders', requireEntitlement(stripe), (req, res) => {
+    res.json({ reminders: reminders.listReminders(req.entitlement.customerId) });
+});
+
+app.post('/api/reminders', requireEntitlement(stripe), (req, res) => {
+    const { error, reminder } = reminders.createReminder(req.entitlement.customerId, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(reminder);
+});
+
+app.put('/api/reminders/:id', requireEntitlement(stripe), (req, res) => {
+    const { error, reminder } = reminders.updateReminder(req.entitlement.customerId, req.params.id, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!reminder) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+    res.json(reminder);
+});
+
+app.delete('/api/reminders/:id', requireEntitlement(stripe), (req, res) => {
+    if (!reminders.deleteReminder(req.entitlement.customerId, req.params.id)) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+    res.json({ deleted: true });
+});
+
+// Add reminders for a child's upcoming vaccine visits
+app.post('/api/reminders/vaccines', requireEntitlement(stripe), (req, res) => {
+    const { childId, tzOffset } = req.body;
+    const { error, reminders: created } = reminders.seedVaccineReminders(req.entitlement.customerId, childId, { tzOffset });
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!created) {
+        return res.status(404).json({ error: 'Child profile not found' });
+    }
+    res.status(201).json({ reminders: created });
+});
+
+// Web Push subscriptions
+app.get('/api/push/public-key', (req, res) => {
+    res.json({ publicKey: pushNotifications.getPublicKey() });
+});
+
+app.post('/api/push/subscriptions', requireEntitlement(stripe), (req, res) => {
+    const { error } = pushNotifications.saveSubscription(req.entitlement.customerId, req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json({ subscribed: true });
+});
+
+app.delete('/api/push/subscriptions', requireEntitlement(stripe), (req, res) => {
+    if (!pushNotifications.removeSubscription(req.entitlement.customerId, req.body.endpoint)) {
+        return res.status(404).json({ error: 'Push subscription not found' });
+    }
+    res.json({ deleted: true });
+});
+
+// Chat attachments (per customer)
+app.post('/api/attachments', limitByIp(), requireEntitlement(stripe), attachments.receiveUpload(), async (req, res) => {
+    try {
+        const { error, code, attachment } = await attachments.saveAttachment(req.entitlement.customerId, req.file);
+
+        if (error) {
+            return res.status(code === 'unsupported_type' ? 415 : 400).json({ error, code });
+        }
+        res.status(201).json(attachment);
+    } catch (error) {
+        console.error('Attachment Error:', error.message);
+        res.status(500).json({ error: 'Failed to save the attachment' });
+    }
+});
+
+app.get('/api/attachments/:id/:variant(file|thumbnail)', requireEntitlement(stripe), (req, res) => {
+    const attachment = attachments.getAttachment(req.entitlement.customerId, req.params.id);
+    const thumbnail = req.params.variant === 'thumbnail';
+
+    if (!attachment || (thumbnail && !attachment.hasThumbnail)) {
+        return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set({
+        'Content-Type': thumbnail ? 'image/jpeg' : attachment.mimeType,
+        'Cache-Control': 'private, max-age=86400',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Disposition': attachment.kind === 'image' || thumbnail ? 'inline' : 'attachment'
     });
+    res.send(attachments.readAttachmentFile(attachment, { thumbnail }));
+});
+
+// Voice input: transcribe a recording (field `audio`) to text
+app.post('/api/transcribe', limitByIp(), requireEntitlement(stripe), receiveAudio(), limitByCustomer(), async (req, res) => {
+    const speech = getSpeechProvider();
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'Anthropic API error');
+    if (!speech || !speech.isConfigured()) {
+        return res.status(503).json({ error: 'Voice input is not available right now', code: 'speech_unavailable' });
     }
 
-    const data = await response.json();
-    return {
-        content: data.content[0].text,
-        provider: 'anthropic'
-    };
-}
+    try {
+        const language = typeof req.body.language === 'string' ? req.body.language.slice(0, 2).toLowerCase() : undefined;
+        const { text } = await speech.transcribe(req.file.buffer, { mimeType: req.file.mimetype, language });
+        res.json({ text });
+    } catch (error) {
+        console.error('Transcription Error:', error.message);
+        res.status(502).json({ error: "Sorry, I couldn't make out that recording. Could you try again?" });
+    }
+});
+
+// Read-aloud: synthesize a reply's text to audio
+app.post('/api/speech', limitByIp(), requireEntitlement(stripe), limitByCustomer(), async (req, res) => {
+    const speech = getSpeechProvider();
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Text is required' });
+    }
+    if (!speech || !speech.isConfigured() || !speech.synthesize) {
+        return res.status(503).json({ error: 'Read-aloud is not available right now', code: 'speech_unavailable' });
+    }
+
+    try {
+        const { audio, mimeType } = await speech.synthesize(text.trim().slice(0, MAX_SPEECH_CHARS));
+        res.set({ 'Content-Type': mimeType, 'Cache-Control': 'no-store' });
+        res.send(audio);
+    } catch (error) {
+        console.error('Speech Error:', error.message);
+        res.status(502).json({ error: 'Failed to read the reply aloud' });
+    }
+});
+
+// Export conversations (sent by the client, which keeps chat history) as PDF, Markdown or JSON
+app.post('/api/export', limitByIp(), requireEntitlement(stripe), async (req, res) => {
+    const { format = 'pdf' } = req.body;
+
+    if (!conversationExport.isExportFormat(format)) {
+        return res.status(400).json({ error: 'Format must be pdf, markdown or json' });
+    }
+
+    const { error, document } = conversationExport.prepareExport(req.entitlement.customerId, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const rendered = await conversationExport.renderExport(document, format);
+        res.set({
+            'Content-Type': rendered.contentType,
+            'Content-Disposition': `attachment; filename="${rendered.filename}"`,
+            // Differs from the requested format when a PDF fell back to Markdown
+            'X-Export-Format': rendered.format,
+            'Cache-Control': 'no-store'
+        });
+        res.send(rendered.body);
+    } catch (error) {
+        console.error('Export Error:', error.message);
+        res.status(500).json({ error: 'Failed to create the export' });
+    }
+});
+
+// Current customer's token usage and limits
+app.get('/api/usage', requireEntitlement(stripe), (req, res) => {
+    res.json(getUsageSummary(req.entitlement.customerId));
+});
+
+// Account data: download everything stored for the subscriber, or erase it
+// Former subscribers keep these rights, so ended subscriptions are let through
+app.get('/api/account/export', limitByIp(), requireEntitlement(stripe, { allowEnded: true }), (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(accountData.exportAccountData(req.entitlement.customerId));
+});
+
+app.post('/api/account/delete', limitByIp(), requireEntitlement(stripe, { allowEnded: true }), async (req, res) => {
+    const { confirm, cancelSubscription = false } = req.body;
+
+    if (confirm !== 'DELETE') {
+        return res.status(400).json({ error: 'Please type DELETE to confirm' });
+    }
+
+    try {
+        const record = await accountData.deleteAccountData(stripe, req.entitlement.customerId, {
+            cancelSubscription: cancelSubscription === true
+        });
+        console.log('Account data deleted:', record.id);
+
+        // Deletion signed every device out; drop the cached access with it
+        invalidateAccess(req.entitlement.customerId);
+        res.json({ deleted: true, subscriptionCanceled: record.subscriptionCanceled });
+    } catch (error) {
+        console.error('Account Deletion Error:', error.message);
+        res.status(502).json({ error: "We couldn't cancel your subscription, so nothing was deleted. Please try again." });
+    }
+});
+
+// Billing: plan details, the Stripe billing portal, and switching plans
+// Former subscribers can still reach the portal to see invoices or fix a failed payment
+app.get('/api/billing/subscription', requireEntitlement(stripe, { allowEnded: true }), async (req, res) => {
+    try {
+        res.json(await billing.getSubscriptionDetails(stripe, req.entitlement.subscriptionId));
+    } catch (error) {
+        console.error('Billing Details Error:', error.message);
+        res.status(502).json({ error: "We couldn't load your subscription. Please try again." });
+    }
+});
+
+app.post('/api/billing-portal', limitByIp(), requireEntitlement(stripe, { allowEnded: true }), async (req, res) => {
+    try {
+        const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+        const url = await billing.createPortalSession(stripe, req.entitlement.customerId, `${baseUrl}/chat.html?billing=return`);
+        res.json({ url });
+    } catch (error) {
+        console.error('Billing Portal Error:', error.message);
+        res.status(502).json({ error: "We couldn't open the billing portal. Please try again." });
+    }
+});
+
+app.post('/api/billing/plan/preview', limitByIp(), requireEntitlement(stripe), async (req, res) => {
+    try {
+        const { error, preview } = await billing.previewPlanChange(stripe, req.entitlement.subscriptionId, req.body.plan);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(preview);
+    } catch (error) {
+        console.error('Plan Preview Error:', error.message);
+        res.status(502).json({ error: "We couldn't price the new plan. Please try again." });
+    }
+});
+
+app.post('/api/billing/plan', limitByIp(), requireEntitlement(stripe), async (req, res) => {
+    const { plan, prorationDate } = req.body;
+
+    try {
+        const { error, subscription } = await billing.changePlan(stripe, req.entitlement.subscriptionId, plan, prorationDate);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        invalidateAccess(req.entitlement.customerId);
+        res.json(subscription);
+    } catch (error) {
+        console.error('Plan Change Error:', error.message);
+        if (error.type === 'StripeCardError') {
+            return res.status(402).json({ error: 'Your card was declined, so your plan was not changed. You can update your card in the billing portal.', code: 'card_declined' });
+        }
+        res.status(502).json({ error: "We couldn't change your plan. Please try again." });
+    }
+});
 
 // Stripe: Create Checkout Session
 app.post('/api/create-checkout-session', async (req, res) => {
@@ -131,18 +662,19 @@ app.post('/api/create-checkout-session', async (req, res) => {
 
     try {
         const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-        const { plan } = req.body; // 'monthly' or 'annual'
+        const { plan, campaign, promoCode } = req.body; // plan: 'monthly' or 'annual'
 
         // Use annual price if specified, otherwise default to monthly
-        // Environment variables: STRIPE_PRICE_ID (monthly), STRIPE_ANNUAL_PRICE_ID (annual)
-        const priceId = plan === 'annual'
-            ? (process.env.STRIPE_ANNUAL_PRICE_ID || process.env.STRIPE_PRICE_ID_A_72)
-            : (process.env.STRIPE_PRICE_ID || process.env.STRIPE_PRICE_ID_M_699);
+        const priceId = billing.getPriceId(plan === 'annual' ? 'annual' : 'monthly');
 
         if (!priceId) {
             return res.status(500).json({ error: 'Price ID not configured' });
         }
 
+        // Trial length and discount depend on the partner campaign or promo code in the link
+        const terms = await campaigns.getCheckoutTerms(stripe, { campaign, promoCode });
+        const metadata = terms.campaign ? { campaign: terms.campaign } : {};
+
         const session = await stripe.checkout.sessions.create({
             payment_method_types: ['card'],
             mode: 'subscription',
@@ -151,8 +683,14 @@ app.post('/api/create-checkout-session', async (req, res) => {
                 quantity: 1,
             }],
             subscription_data: {
-                trial_period_days: 7,
+                ...(terms.trialDays > 0 ? { trial_period_days: terms.trialDays } : {}),
+                metadata
             },
+            // Stripe takes either a discount or a promotion code field, not both
+            ...(terms.promotionCodeId
+                ? { discounts: [{ promotion_code: terms.promotionCodeId }] }
+                : { allow_promotion_codes: true }),
+            metadata,
             success_url: `${baseUrl}/chat.html?session_id={CHECKOUT_SESSION_ID}&status=success`,
             cancel_url: `${baseUrl}/?status=cancelled`,
         });
@@ -164,76 +702,162 @@ app.post('/api/create-checkout-session', async (req, res) => {
     }
 });
 
-// Stripe: Verify Session - Check if user has valid subscription
-app.get('/api/verify-session', async (req, res) => {
+// Gifts: buy months of MoM for someone, and redeem a gift code
+app.post('/api/gifts/checkout', limitByIp(), async (req, res) => {
     if (!stripe) {
-        return res.status(500).json({ valid: false, error: 'Stripe not configured' });
+        return res.status(500).json({ error: 'Stripe not configured' });
     }
 
-    const { session_id } = req.query;
+    try {
+        const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+        const { error, url } = await gifts.createPurchaseCheckout(stripe, Number(req.body.months), baseUrl);
 
-    if (!session_id) {
-        return res.json({
-            valid: false,
-            error: 'No session ID provided'
-        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({ url });
+    } catch (error) {
+        console.error('Gift Checkout Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/gifts/purchases/:sessionId', limitByIp(), async (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ error: 'Stripe not configured' });
     }
 
     try {
-        // Get the checkout session
-        const session = await stripe.checkout.sessions.retrieve(session_id);
+        const purchase = await gifts.getPurchase(stripe, req.params.sessionId);
 
-        if (!session.customer) {
-            return res.json({
-                valid: false,
-                error: 'No customer found for this session'
-            });
+        if (!purchase) {
+            return res.status(404).json({ error: 'Gift purchase not found or not paid' });
         }
+        res.set('Cache-Control', 'no-store');
+        res.json(purchase);
+    } catch (error) {
+        console.error('Gift Purchase Error:', error.message);
+        res.status(404).json({ error: 'Gift purchase not found or not paid' });
+    }
+});
 
-        // Get subscription status
-        if (!session.subscription) {
-            return res.json({
-                valid: false,
-                error: 'No subscription found'
-            });
+app.post('/api/gifts/redeem', limitByIp(), async (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ error: 'Stripe not configured' });
+    }
+
+    const priceId = billing.getPriceId('monthly');
+    if (!priceId) {
+        return res.status(500).json({ error: 'Price ID not configured' });
+    }
+
+    try {
+        const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+        const { error, url } = await gifts.redeemGift(stripe, req.body.code, { priceId, baseUrl });
+
+        if (error) {
+            return res.status(400).json({ error });
         }
+        res.json({ url });
+    } catch (error) {
+        console.error('Gift Redemption Error:', error.message);
+        res.status(500).json({ error: "We couldn't redeem your gift right now. Please try again." });
+    }
+});
 
-        const subscription = await stripe.subscriptions.retrieve(session.subscription);
-        const isTrialing = subscription.status === 'trialing';
-        const isActive = subscription.status === 'active';
-        const isPaid = isActive && !isTrialing;
+// Sign-in: session tokens from a finished checkout or an emailed magic link
+// The token is bound to the Stripe customer and sent as `Authorization: Bearer <token>`
+app.post('/api/auth/checkout', limitByIp(), async (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ error: 'Stripe not configured' });
+    }
 
-        // Allow chat for both trial and paid users (no message limit)
-        const canChat = isTrialing || isActive;
+    try {
+        const { error, token, customerId } = await authSessions.exchangeCheckoutSession(stripe, req.body.sessionId);
 
-        res.json({
-            valid: true,
-            customerId: session.customer,
-            subscriptionId: subscription.id,
-            status: subscription.status,
-            isTrialing,
-            isPaid,
-            canChat,
-            trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null
-        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({ token, access: await resolveCustomerAccess(stripe, customerId) });
     } catch (error) {
-        console.error('Verify session error:', error);
-        res.json({
-            valid: false,
-            error: error.message
-        });
+        console.error('Checkout Sign-in Error:', error.message);
+        res.status(503).json({ error: 'Unable to verify your subscription right now' });
     }
 });
 
+app.post('/api/auth/magic-link', limitByIp(), (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ error: 'Stripe not configured' });
+    }
+
+    const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+    const { error } = authSessions.sendMagicLink(stripe, {
+        email: req.body.email,
+        language: req.body.language,
+        baseUrl
+    });
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    // The same answer, just as fast, whether or not the address has an account
+    res.json({ sent: true });
+});
+
+app.post('/api/auth/magic-link/verify', limitByIp(), async (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ error: 'Stripe not configured' });
+    }
+
+    const { error, token, customerId } = authSessions.redeemMagicLink(req.body.token);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json({ token, access: await resolveCustomerAccess(stripe, customerId) });
+    } catch (error) {
+        console.error('Magic Link Sign-in Error:', error.message);
+        // Signed in all the same; the app checks access again when it can
+        res.json({ token, access: null });
+    }
+});
+
+// The signed-in subscriber's access (what the chat page checks on load)
+app.get('/api/auth/session', async (req, res) => {
+    if (!stripe) {
+        return res.status(500).json({ valid: false, error: 'Stripe not configured' });
+    }
+
+    const customerId = authSessions.getSessionCustomer(getRequestToken(req));
+
+    if (!customerId) {
+        return res.status(401).json({ valid: false, error: 'Please sign in again', code: 'signed_out' });
+    }
+
+    try {
+        res.json(await resolveCustomerAccess(stripe, customerId));
+    } catch (error) {
+        console.error('Session access error:', error);
+        res.status(503).json({ valid: false, error: 'Unable to verify your subscription right now' });
+    }
+});
+
+app.delete('/api/auth/session', (req, res) => {
+    authSessions.revokeSession(getRequestToken(req));
+    res.json({ signedOut: true });
+});
+
 // Stripe: Get Subscription Status (legacy endpoint for compatibility)
 app.get('/api/subscription-status', async (req, res) => {
     if (!stripe) {
         return res.json({ status: 'no_stripe', canChat: false });
     }
 
-    const { session_id } = req.query;
+    const customerId = authSessions.getSessionCustomer(getRequestToken(req));
 
-    if (!session_id) {
+    if (!customerId) {
         return res.json({
             status: 'no_subscription',
             canChat: false
@@ -241,23 +865,21 @@ app.get('/api/subscription-status', async (req, res) => {
     }
 
     try {
-        const session = await stripe.checkout.sessions.retrieve(session_id);
+        const access = await resolveCustomerAccess(stripe, customerId);
 
-        if (!session.subscription) {
+        if (!access.valid) {
             return res.json({
                 status: 'no_subscription',
                 canChat: false
             });
         }
 
-        const subscription = await stripe.subscriptions.retrieve(session.subscription);
-
         res.json({
-            status: subscription.status,
-            canChat: ['trialing', 'active'].includes(subscription.status),
-            trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
-            currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-            subscriptionId: subscription.id
+            status: access.status,
+            canChat: access.canChat,
+            trialEnd: access.trialEnd,
+            currentPeriodEnd: access.currentPeriodEnd,
+            subscriptionId: access.subscriptionId
         });
     } catch (error) {
         console.error('Subscription status error:', error);
@@ -278,38 +900,39 @@ app.post('/api/webhook/stripe', async (req, res) => {
     const sig = req.headers['stripe-signature'];
     const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+    // Events grant access and issue gift codes, so unsigned ones are never trusted
+    if (!webhookSecret) {
+        console.error('Webhook rejected: STRIPE_WEBHOOK_SECRET is not set');
+        return res.status(503).json({ error: 'Webhook signing secret not configured' });
+    }
+
     let event;
 
     try {
-        if (webhookSecret) {
-            event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-        } else {
-            event = JSON.parse(req.body);
-        }
+        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
     } catch (err) {
         console.error('Webhook signature verification failed:', err.message);
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle events
-    switch (event.type) {
-        case 'checkout.session.completed':
-            console.log('Checkout completed:', event.data.object.id);
-            break;
-        case 'customer.subscription.updated':
-            console.log('Subscription updated:', event.data.object.id, event.data.object.status);
-            break;
-        case 'customer.subscription.deleted':
-            console.log('Subscription deleted:', event.data.object.id);
-            break;
-        case 'invoice.payment_succeeded':
-            console.log('Payment succeeded:', event.data.object.id);
-            break;
-        case 'invoice.payment_failed':
-            console.log('Payment failed:', event.data.object.id);
-            break;
-        default:
-            console.log('Unhandled event type:', event.type);
+    // Persist the event; safe to receive the same event more than once
+    let result;
+
+    try {
+        result = processStripeEvent(event);
+    } catch (error) {
+        console.error('Webhook processing failed:', event.id, error.message);
+        return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+
+    if (result.duplicate) {
+        console.log('Duplicate event ignored:', event.type, event.id);
+    } else if (result.applied) {
+        console.log('Event stored:', event.type, event.data.object.id);
+        // Cached entitlements may now be wrong
+        invalidateAccess();
+    } else {
+        console.log('Event not applied (stale or unhandled):', event.type, event.id);
     }
 
     res.json({ received: true });
@@ -319,10 +942,11 @@ app.post('/api/webhook/stripe', async (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        providers: {
-            openai: !!process.env.OPENAI_API_KEY,
-            anthropic: !!process.env.ANTHROPIC_API_KEY
-        },
+        providers: Object.fromEntries(
+            listProviders().map(adapter => [adapter.id, adapter.isConfigured()])
+        ),
+        breakers: getBreakerStates(),
+        speech: !!getSpeechProvider()?.isConfigured(),
         stripe: !!stripe
     });
 });
@@ -352,8 +976,21 @@ app.get('*', (req, res) => {
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`OMaa server running on port ${PORT}`);
-    console.log(`OpenAI configured: ${!!process.env.OPENAI_API_KEY}`);
-    console.log(`Anthropic configured: ${!!process.env.ANTHROPIC_API_KEY}`);
-});
+// Run directly (npm start) the server listens; tests require it for the app
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`OMaa server running on port ${PORT}`);
+        listProviders().forEach(adapter => {
+            console.log(`${adapter.name} configured: ${adapter.isConfigured()}`);
+        });
+
+        // Reminder scheduler: pushes due reminders to subscribers' browsers
+        setInterval(() => {
+            reminders.sendDueReminders().catch(error => {
+                console.error('Reminder run failed:', error.message);
+            });
+        }, REMINDER_CHECK_INTERVAL_MS).unref();
+    });
+}
+
+module.exports = app;
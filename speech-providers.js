@@ -0,0 +1,162 @@
+/**
+ * Speech Provider Adapters for OMaa
+ * =================================
+ *
+ * Speech-to-text (voice input) and text-to-speech (read-aloud replies) go
+ * through adapters in their own registry, the same way chat providers do in
+ * ai-providers.js, so the endpoints never depend on one vendor's API.
+ *
+ * An adapter has: id, name, isConfigured(), transcribe(audio, options) and,
+ * optionally, synthesize(text, options). Any OpenAI-compatible speech API
+ * can be registered with createOpenAISpeechAdapter.
+ *
+ * Environment variables (all optional):
+ *   SPEECH_PROVIDER          adapter used by the endpoints (default: openai)
+ *   OPENAI_TRANSCRIBE_MODEL  speech-to-text model (default: whisper-1)
+ *   OPENAI_TTS_MODEL         text-to-speech model (default: tts-1)
+ *   OPENAI_TTS_VOICE         text-to-speech voice (default: nova)
+ *   TRANSCRIBE_MAX_BYTES     largest accepted recording (default: 10 MB)
+ */
+
+const multer = require('multer');
+const { ProviderError } = require('./ai-providers');
+
+const SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'openai';
+const TRANSCRIBE_MAX_BYTES = parseInt(process.env.TRANSCRIBE_MAX_BYTES || String(10 * 1024 * 1024), 10);
+
+// Longest text read aloud in one request (the OpenAI speech API limit)
+const MAX_SPEECH_CHARS = 4096;
+
+const AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/aac'];
+
+const AUDIO_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'mp4',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/aac': 'aac'
+};
+
+/**
+ * Adapter for OpenAI's audio API and anything that speaks it
+ */
+function createOpenAISpeechAdapter(settings) {
+    const { id, name, baseUrl, apiKeyEnv } = settings;
+
+    const request = async (path, init) => {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+            ...init,
+            headers: { ...init.headers, Authorization: `Bearer ${process.env[apiKeyEnv]}` }
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            throw new ProviderError(body?.error?.message || `${name} speech API error`, { provider: id, status: response.status });
+        }
+        return response;
+    };
+
+    return {
+        id,
+        name,
+
+        isConfigured() {
+            return !!process.env[apiKeyEnv];
+        },
+
+        async transcribe(audio, { mimeType, language, signal } = {}) {
+            // Strip codec parameters such as "audio/webm;codecs=opus"
+            const baseType = (mimeType || '').split(';')[0];
+            const form = new FormData();
+            form.append('file', new Blob([audio], { type: baseType }), `recording.${AUDIO_EXTENSIONS[baseType] || 'webm'}`);
+            form.append('model', settings.transcribeModel);
+            if (language) form.append('language', language);
+
+            const response = await request('/audio/transcriptions', { method: 'POST', body: form, signal });
+            const data = await response.json();
+            return { text: (data.text || '').trim() };
+        },
+
+        async synthesize(text, { signal } = {}) {
+            const response = await request('/audio/speech', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: settings.ttsModel,
+                    voice: settings.ttsVoice,
+                    input: text,
+                    response_format: 'mp3'
+                }),
+                signal
+            });
+            return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg' };
+        }
+    };
+}
+
+// Speech provider registry
+const speechProviders = new Map();
+
+/**
+ * Register a speech adapter, replacing any adapter with the same id
+ */
+function registerSpeechProvider(adapter) {
+    speechProviders.set(adapter.id, adapter);
+}
+
+/**
+ * Get the speech adapter for the endpoints (SPEECH_PROVIDER), or null
+ */
+function getSpeechProvider(id = SPEECH_PROVIDER) {
+    return speechProviders.get(id) || null;
+}
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TRANSCRIBE_MAX_BYTES, files: 1 }
+}).single('audio');
+
+/**
+ * Express middleware parsing a recording upload (field `audio`) into req.file
+ */
+function receiveAudio() {
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    error: 'That recording is too long for me. Could you say it in a shorter message?',
+                    code: 'audio_too_large'
+                });
+            }
+            if (error) {
+                return res.status(400).json({ error: 'Please send one recording', code: 'invalid_upload' });
+            }
+
+            const baseType = (req.file?.mimetype || '').split(';')[0];
+            if (!req.file || !AUDIO_TYPES.includes(baseType)) {
+                return res.status(415).json({ error: "I couldn't read that recording format", code: 'unsupported_type' });
+            }
+            next();
+        });
+    };
+}
+
+registerSpeechProvider(createOpenAISpeechAdapter({
+    id: 'openai',
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    transcribeModel: process.env.OPENAI_TRANSCRIBE_MODEL || 'whisper-1',
+    ttsModel: process.env.OPENAI_TTS_MODEL || 'tts-1',
+    ttsVoice: process.env.OPENAI_TTS_VOICE || 'nova'
+}));
+
+module.exports = {
+    MAX_SPEECH_CHARS,
+    createOpenAISpeechAdapter,
+    registerSpeechProvider,
+    getSpeechProvider,
+    receiveAudio
+};
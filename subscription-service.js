@@ -1,48 +1,90 @@
 /**
  * Subscription Service for OMaa
- * Manages subscription verification via Stripe
+ * Manages sign-in and subscription verification via Stripe
  *
  * Flow:
  * 1. User must complete Stripe Checkout to access chat
- * 2. Session ID stored in localStorage after checkout
- * 3. All access verification done via server API (Stripe)
- * 4. Unlimited messages during trial and after subscription
+ * 2. The checkout session ID from the redirect is exchanged for a session
+ *    token, stored in localStorage
+ * 3. On another device (or after clearing the browser) the parent signs in
+ *    with a link emailed to the address used at checkout
+ * 4. All API calls send the token; access is verified by the server (Stripe)
+ * 5. Unlimited messages during trial and after subscription
  */
 
 const SUBSCRIPTION_CONFIG = {
     STORAGE_KEYS: {
-        SESSION_ID: 'omaa_session_id'
+        SESSION_TOKEN: 'omaa_session_token',
+        // Checkout session ID waiting to be exchanged for a token (browsers
+        // that subscribed before sign-in existed kept it here too)
+        CHECKOUT_SESSION_ID: 'omaa_session_id',
+        // Last verified access, so the chat still opens offline
+        ACCESS: 'omaa_access',
+        // Partner campaign and promo code from the link the parent arrived by (shared with app.js)
+        OFFER: 'omaa_offer'
     }
 };
 
 class SubscriptionService {
     constructor() {
-        this.sessionId = null;
+        this.sessionToken = null;
         this.accessData = null;
+        // Why the sign-in link in the URL didn't work, if it didn't
+        this.signInError = null;
         this.initialized = false;
     }
 
     /**
      * Initialize the subscription service
-     * Checks URL for session_id from Stripe redirect
+     * Signs in from the URL (Stripe redirect or emailed link) or with the stored token
      */
     async init() {
         if (this.initialized) return this.accessData;
 
-        // Check for session_id in URL (after Stripe redirect)
         const urlParams = new URLSearchParams(window.location.search);
         const sessionId = urlParams.get('session_id');
         const status = urlParams.get('status');
+        const signInToken = urlParams.get('signin');
+
+        // Remember a partner offer until checkout
+        const campaign = urlParams.get('campaign');
+        const promoCode = urlParams.get('promo');
+        if (campaign || promoCode) {
+            localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.OFFER, JSON.stringify({ campaign, promoCode }));
+        }
+
+        this.sessionToken = localStorage.getItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_TOKEN);
 
         if (sessionId && status === 'success') {
-            // Store session ID from successful checkout
-            localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_ID, sessionId);
-            this.sessionId = sessionId;
-            // Clean URL
+            // Back from Stripe Checkout: keep the ID until it has been exchanged
+            localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.CHECKOUT_SESSION_ID, sessionId);
+            localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.OFFER);
+        }
+        if (signInToken || sessionId) {
+            // Clean URL (a sign-in link works once)
             window.history.replaceState({}, '', window.location.pathname);
-        } else {
-            // Try to get existing session ID
-            this.sessionId = localStorage.getItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_ID);
+        }
+
+        const pendingCheckout = localStorage.getItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.CHECKOUT_SESSION_ID);
+
+        if (signInToken) {
+            try {
+                await this.startSession('/api/auth/magic-link/verify', { token: signInToken });
+            } catch (error) {
+                console.error('Sign-in link failed:', error);
+                this.signInError = error.message;
+            }
+        } else if (pendingCheckout) {
+            try {
+                await this.startSession('/api/auth/checkout', { sessionId: pendingCheckout });
+                localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.CHECKOUT_SESSION_ID);
+            } catch (error) {
+                console.error('Checkout sign-in failed:', error);
+                // Offline: try again next time; refused: the ID is no use
+                if (error.status) {
+                    localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.CHECKOUT_SESSION_ID);
+                }
+            }
         }
 
         this.initialized = true;
@@ -50,31 +92,87 @@ class SubscriptionService {
     }
 
     /**
-     * Check if user has a stored session
+     * Sign in through an auth route that answers with a session token
+     */
+    async startSession(url, body) {
+        const { token, access } = await this.request('POST', url, body);
+
+        this.sessionToken = token;
+        localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_TOKEN, token);
+        if (access) {
+            this.accessData = access;
+            localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.ACCESS, JSON.stringify(access));
+        }
+    }
+
+    /**
+     * Check if user is signed in
      */
     hasSession() {
-        return !!this.sessionId;
+        return !!this.sessionToken;
+    }
+
+    /**
+     * Headers that identify this subscriber to protected API routes
+     */
+    getAuthHeaders() {
+        return this.sessionToken ? { Authorization: `Bearer ${this.sessionToken}` } : {};
+    }
+
+    /**
+     * Email a sign-in link to the address used at checkout
+     * Succeeds whether or not the address has a subscription (the server doesn't say).
+     */
+    async requestSignInLink(email) {
+        await this.request('POST', '/api/auth/magic-link', { email, language: i18n.language });
+    }
+
+    /**
+     * Sign out on this device
+     */
+    async signOut() {
+        await this.request('DELETE', '/api/auth/session').catch(error => {
+            console.error('Failed to end the session on the server:', error);
+        });
+        this.clearSession();
     }
 
     /**
      * Verify access with the server
-     * Returns access data including subscription status
+     * Returns access data including subscription status; when the server can't
+     * be reached, the last verified access with `offline: true`
      */
     async verifyAccess() {
-        if (!this.sessionId) {
+        if (!this.sessionToken) {
             return {
                 valid: false,
-                error: 'No session - user must enroll first'
+                error: 'No session - user must enroll or sign in first'
             };
         }
 
         try {
-            const response = await fetch(`/api/verify-session?session_id=${this.sessionId}`);
+            const response = await fetch('/api/auth/session', { headers: this.getAuthHeaders() });
             const data = await response.json();
+
+            if (response.status === 401) {
+                // Signed out elsewhere, or the session expired
+                this.clearSession();
+                return data;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `API error: ${response.status}`);
+            }
+
             this.accessData = data;
+            localStorage.setItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.ACCESS, JSON.stringify(data));
             return data;
         } catch (error) {
             console.error('Failed to verify access:', error);
+            const cached = localStorage.getItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.ACCESS);
+            if (cached) {
+                this.accessData = { ...JSON.parse(cached), offline: true };
+                return this.accessData;
+            }
             return {
                 valid: false,
                 error: error.message
@@ -108,11 +206,13 @@ class SubscriptionService {
      * @param {string} plan - 'monthly' or 'annual'
      */
     async startCheckout(plan = 'monthly') {
+        const offer = JSON.parse(localStorage.getItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.OFFER) || '{}');
+
         try {
             const response = await fetch('/api/create-checkout-session', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ plan })
+                body: JSON.stringify({ plan, ...offer })
             });
             const data = await response.json();
 
@@ -127,6 +227,69 @@ class SubscriptionService {
         }
     }
 
+    /**
+     * Call a billing route with this subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw Object.assign(new Error(data.error || `API error: ${response.status}`), { status: response.status });
+        }
+        return data;
+    }
+
+    /**
+     * Current plan, amount, next charge date and the plans it can switch to
+     */
+    getSubscriptionDetails() {
+        return this.request('GET', '/api/billing/subscription');
+    }
+
+    /**
+     * Go to the Stripe billing portal (update card, see invoices, cancel)
+     */
+    async openBillingPortal() {
+        const { url } = await this.request('POST', '/api/billing-portal');
+        window.location.href = url;
+    }
+
+    /**
+     * What switching plans would charge, and when
+     * @param {string} plan - 'monthly' or 'annual'
+     * @returns {Promise<Object>} { plan, amountDue, currency, credit, chargedAt, isTrialing, prorationDate }
+     */
+    previewPlanChange(plan) {
+        return this.request('POST', '/api/billing/plan/preview', { plan });
+    }
+
+    /**
+     * Switch plans at the price shown in a preview
+     * @param {Object} preview - From previewPlanChange()
+     * @returns {Promise<Object>} updated subscription details
+     */
+    async changePlan({ plan, prorationDate }) {
+        const details = await this.request('POST', '/api/billing/plan', { plan, prorationDate });
+        await this.verifyAccess();
+        return details;
+    }
+
+    /**
+     * Redeem a gift code: continues in Stripe Checkout, with no card needed
+     */
+    async redeemGift(code) {
+        const { url } = await this.request('POST', '/api/gifts/redeem', { code });
+        window.location.href = url;
+    }
+
     /**
      * Check if user has active paid subscription (not trial)
      */
@@ -153,8 +316,10 @@ class SubscriptionService {
      * Clear session (logout)
      */
     clearSession() {
-        localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_ID);
-        this.sessionId = null;
+        localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.SESSION_TOKEN);
+        localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.CHECKOUT_SESSION_ID);
+        localStorage.removeItem(SUBSCRIPTION_CONFIG.STORAGE_KEYS.ACCESS);
+        this.sessionToken = null;
         this.accessData = null;
         this.initialized = false;
     }
@@ -0,0 +1,235 @@
+/**
+ * Subscription Store for OMaa
+ * ===========================
+ *
+ * Keeps a local copy of subscription state written from Stripe webhooks, so
+ * access checks don't need a live Stripe call for every request.
+ *
+ * - Events are processed idempotently: each Stripe event ID is applied once.
+ * - Out-of-order delivery is handled per record: an event older than the one
+ *   that last wrote a record is ignored, and a canceled subscription is final.
+ * - Checkout events for gift purchases and redemptions also update gifts.js.
+ */
+
+const { getCollection } = require('./data-store');
+const gifts = require('./gifts');
+
+const events = getCollection('stripe-events');
+const checkoutSessions = getCollection('checkout-sessions');
+const subscriptions = getCollection('subscriptions');
+const invoices = getCollection('invoices');
+
+// Stripe stops retrying a webhook after 3 days; keep event IDs a while longer
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const toIsoDate = (seconds) => seconds ? new Date(seconds * 1000).toISOString() : null;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Save a completed checkout session's customer and subscription IDs
+ */
+function saveCheckoutSession(session) {
+    return checkoutSessions.set(session.id, {
+        id: session.id,
+        customerId: session.customer,
+        subscriptionId: session.subscription || null,
+        email: session.customer_details?.email || session.customer_email || null,
+        mode: session.mode || null,
+        metadata: session.metadata || {},
+        savedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Save a subscription unless the stored copy is newer
+ * @param {Object} subscription - Stripe subscription object
+ * @param {number} observedAt - Unix seconds the state was observed (event.created for webhooks)
+ * @returns {boolean} whether the record was written
+ */
+function saveSubscription(subscription, observedAt = nowSeconds()) {
+    const existing = subscriptions.get(subscription.id);
+
+    if (existing && observedAt < existing.lastEventAt) {
+        return false;
+    }
+    // Canceled subscriptions can't be reactivated, so a late "active" update is stale
+    if (existing && existing.status === 'canceled' && subscription.status !== 'canceled') {
+        return false;
+    }
+
+    const price = subscription.items?.data?.[0]?.price;
+
+    subscriptions.set(subscription.id, {
+        id: subscription.id,
+        customerId: subscription.customer,
+        status: subscription.status,
+        priceId: price?.id || null,
+        interval: price?.recurring?.interval || null,
+        trialEnd: toIsoDate(subscription.trial_end),
+        currentPeriodEnd: toIsoDate(subscription.current_period_end),
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+        lastEventAt: observedAt,
+        updatedAt: new Date().toISOString()
+    });
+    return true;
+}
+
+/**
+ * Save an invoice's payment outcome unless the stored copy is newer
+ */
+function saveInvoice(invoice, status, observedAt) {
+    const existing = invoices.get(invoice.id);
+
+    if (existing && observedAt < existing.lastEventAt) {
+        return false;
+    }
+
+    invoices.set(invoice.id, {
+        id: invoice.id,
+        customerId: invoice.customer,
+        subscriptionId: invoice.subscription || null,
+        status,
+        amountDue: invoice.amount_due,
+        amountPaid: invoice.amount_paid,
+        currency: invoice.currency,
+        lastEventAt: observedAt,
+        updatedAt: new Date().toISOString()
+    });
+    return true;
+}
+
+/**
+ * Forget processed event IDs past the retention window
+ */
+function pruneEvents() {
+    const cutoff = Date.now() - EVENT_RETENTION_MS;
+    events.deleteWhere(e => Date.parse(e.processedAt) < cutoff);
+}
+
+/**
+ * Apply a Stripe webhook event to the store
+ * @returns {{ duplicate: boolean, applied: boolean }} applied is false for stale or unhandled events
+ */
+function processStripeEvent(event) {
+    if (events.has(event.id)) {
+        return { duplicate: true, applied: false };
+    }
+
+    const object = event.data.object;
+    let applied;
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+            saveCheckoutSession(object);
+            // Gift purchases and redemptions are also recorded as gifts
+            gifts.applyCompletedCheckout(object);
+            applied = true;
+            break;
+        case 'checkout.session.expired':
+            applied = gifts.applyExpiredCheckout(object);
+            break;
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            applied = saveSubscription(object, event.created);
+            break;
+        case 'invoice.payment_succeeded':
+            applied = saveInvoice(object, 'paid', event.created);
+            break;
+        case 'invoice.payment_failed':
+            applied = saveInvoice(object, 'payment_failed', event.created);
+            break;
+        default:
+            applied = false;
+    }
+
+    // Recorded only after the event was applied, so a failure lets Stripe retry it
+    events.set(event.id, {
+        id: event.id,
+        type: event.type,
+        created: event.created,
+        applied,
+        processedAt: new Date().toISOString()
+    });
+    pruneEvents();
+
+    return { duplicate: false, applied };
+}
+
+// Which of a customer's subscriptions decides access, best first
+const STATUS_RANK = ['trialing', 'active', 'past_due', 'unpaid', 'incomplete', 'paused'];
+
+/**
+ * Build access data for a customer from the store
+ * With several subscriptions (say a gift and a paid plan), a current one
+ * counts first, then the most recently updated.
+ * Returns null when no subscription of theirs is stored yet
+ */
+function getCustomerAccess(customerId) {
+    const rank = (subscription) => {
+        const index = STATUS_RANK.indexOf(subscription.status);
+        return index === -1 ? STATUS_RANK.length : index;
+    };
+    const [subscription] = subscriptions
+        .filter(record => record.customerId === customerId)
+        .sort((a, b) => rank(a) - rank(b) || b.lastEventAt - a.lastEventAt);
+    if (!subscription) return null;
+
+    const isTrialing = subscription.status === 'trialing';
+    const isActive = subscription.status === 'active';
+
+    return {
+        valid: true,
+        customerId,
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        isTrialing,
+        isPaid: isActive && !isTrialing,
+        // Allow chat for both trial and paid users (no message limit)
+        canChat: isTrialing || isActive,
+        trialEnd: subscription.trialEnd,
+        currentPeriodEnd: subscription.currentPeriodEnd
+    };
+}
+
+/**
+ * Whether a customer has a trialing or active subscription in the store
+ */
+function hasActiveSubscription(customerId) {
+    return subscriptions.values().some(subscription =>
+        subscription.customerId === customerId && ['trialing', 'active'].includes(subscription.status)
+    );
+}
+
+/**
+ * A customer's local billing records (checkout sessions, subscriptions, invoices)
+ */
+function getBillingRecords(customerId) {
+    const owned = (collection) => collection.filter(record => record.customerId === customerId);
+    return {
+        checkoutSessions: owned(checkoutSessions),
+        subscriptions: owned(subscriptions),
+        invoices: owned(invoices)
+    };
+}
+
+/**
+ * Remove contact details and metadata from a customer's checkout sessions
+ * The records themselves stay: they map a session ID to its subscription for access checks.
+ * @returns {number} how many sessions were scrubbed
+ */
+function scrubCheckoutSessions(customerId) {
+    const owned = checkoutSessions.filter(session => session.customerId === customerId);
+    owned.forEach(session => checkoutSessions.set(session.id, { ...session, email: null, metadata: {} }));
+    return owned.length;
+}
+
+module.exports = {
+    processStripeEvent,
+    saveCheckoutSession,
+    saveSubscription,
+    getCustomerAccess,
+    hasActiveSubscription,
+    getBillingRecords,
+    scrubCheckoutSessions
+};
@@ -0,0 +1,111 @@
+/**
+ * Service Worker for OMaa
+ * =======================
+ *
+ * Caches the app shell so the chat opens without a connection: pages and
+ * static files come from the network when it answers, else from the cache.
+ * API calls are never cached - chat history lives in the browser already, and
+ * messages written offline wait in the outbox (see message-outbox.js).
+ *
+ * Also shows reminder notifications sent by the server with Web Push, and
+ * opens the chat (deep-linked to the reminder) when one is clicked - focusing
+ * an open OMaa tab if there is one.
+ */
+
+// Bump to drop the previous release's cached files
+const SHELL_CACHE = 'omaa-shell-v1';
+
+// Everything the chat page needs to open offline
+const APP_SHELL = [
+    '/chat.html',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/i18n.js',
+    '/config.js',
+    '/subscription-service.js',
+    '/child-profile-service.js',
+    '/tracker-service.js',
+    '/milestone-service.js',
+    '/reminder-service.js',
+    '/account-service.js',
+    '/message-outbox.js',
+    '/ai-service.js',
+    '/markdown-renderer.js',
+    '/voice-service.js',
+    '/chat.js',
+    '/locales/en.json',
+    '/locales/es.json',
+    '/locales/zh.json',
+    '/locales/ar.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('omaa-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        try {
+            const response = await fetch(event.request);
+            // Cached by path, so the chat still opens from a link with a query string
+            if (response.ok) cache.put(url.pathname, response.clone());
+            return response;
+        } catch (error) {
+            const cached = await cache.match(url.pathname);
+            if (cached) return cached;
+            throw error;
+        }
+    })());
+});
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (e) {
+        payload = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(payload.title || 'MoM', {
+        body: payload.body || '',
+        tag: payload.tag,
+        data: { url: payload.url || '/chat.html' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/chat.html', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const chatWindow = windows.find(client => new URL(client.url).pathname === '/chat.html');
+
+        if (chatWindow) {
+            await chatWindow.focus();
+            // The page handles the deep link without reloading
+            chatWindow.postMessage({ type: 'open-url', url });
+            return;
+        }
+        await self.clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,137 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const accountData = require('../account-data');
+const authSessions = require('../auth-sessions');
+const childProfiles = require('../child-profiles');
+const gifts = require('../gifts');
+const reminders = require('../reminders');
+const tracker = require('../tracker');
+const { getBillingRecords, saveSubscription } = require('../subscription-store');
+
+/**
+ * Stripe stand-in for checkout sign-in and subscription cancellation
+ */
+function createFakeStripe({ failCancel = false } = {}) {
+    const canceled = [];
+
+    return {
+        canceled,
+        checkout: {
+            sessions: {
+                retrieve: async (id) => ({
+                    id,
+                    customer: id.replace(/^cs_/, 'cus_'),
+                    subscription: id.replace(/^cs_/, 'sub_'),
+                    customer_details: { email: 'parent@example.com' },
+                    mode: 'subscription',
+                    metadata: {}
+                })
+            }
+        },
+        subscriptions: {
+            cancel: async (id) => {
+                if (failCancel) throw new Error('Stripe is unavailable');
+                canceled.push(id);
+                return { id, customer: id.replace(/^sub_/, 'cus_'), status: 'canceled' };
+            }
+        }
+    };
+}
+
+/**
+ * Sign a customer in and give them a child, a log entry, a reminder and a redeemed gift
+ * @returns {Promise<{ token: string, giftCode: string }>}
+ */
+async function seedCustomer(stripe, name) {
+    const customerId = `cus_${name}`;
+    const { token } = await authSessions.exchangeCheckoutSession(stripe, `cs_${name}`);
+    saveSubscription({ id: `sub_${name}`, customer: customerId, status: 'active' });
+
+    const { profile } = childProfiles.createProfile(customerId, { name: 'Ada', birthDate: '2026-01-05', allergies: ['peanuts'] });
+    assert.equal(tracker.createEntry(customerId, {
+        childId: profile.id, type: 'feed', method: 'bottle', volumeMl: 120, startedAt: new Date().toISOString()
+    }).error, null);
+    assert.equal(reminders.createReminder(customerId, {
+        title: 'Vitamin D', kind: 'medication', dueAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }).error, null);
+
+    gifts.applyCompletedCheckout({ id: `cs_gift_${name}`, metadata: { kind: 'gift', months: '3' }, payment_status: 'paid' });
+    const { code: giftCode } = await gifts.getPurchase(null, `cs_gift_${name}`);
+    gifts.applyCompletedCheckout({
+        id: `cs_redeem_${name}`,
+        customer: customerId,
+        subscription: `sub_${name}`,
+        metadata: { kind: 'gift_redemption', giftCode }
+    });
+
+    return { token, giftCode };
+}
+
+test('the export has every section and leaves out credentials', async () => {
+    const stripe = createFakeStripe();
+    const { giftCode } = await seedCustomer(stripe, 'export');
+
+    const data = accountData.exportAccountData('cus_export');
+    assert.equal(data.format, 'omaa-account-export');
+    assert.equal(data.customerId, 'cus_export');
+    assert.equal(data.children.length, 1);
+    assert.deepEqual(data.children[0].allergies, ['peanuts']);
+    assert.equal(data.trackerEntries.length, 1);
+    assert.equal(data.reminders.length, 1);
+    assert.equal(data.billing.subscriptions[0].id, 'sub_export');
+    assert.equal(data.giftsRedeemed[0].code, giftCode);
+
+    assert.equal(data.signInSessions.length, 1);
+    assert.equal(data.signInSessions[0].id, undefined);
+    assert.ok(data.children.every(child => child.customerId === undefined));
+    assert.deepEqual(data.attachments, []);
+});
+
+test('deletion erases the customer\'s data, signs them out and keeps other customers\'', async () => {
+    const stripe = createFakeStripe();
+    const { token, giftCode } = await seedCustomer(stripe, 'deleted');
+    const { token: otherToken } = await seedCustomer(stripe, 'other');
+
+    const record = await accountData.deleteAccountData(stripe, 'cus_deleted', { cancelSubscription: true });
+
+    assert.deepEqual(stripe.canceled, ['sub_deleted']);
+    assert.equal(record.subscriptionCanceled, true);
+    assert.equal(record.deleted.children, 1);
+    assert.equal(record.deleted.signInSessions, 1);
+    assert.equal(record.deleted.giftsUnlinked, 1);
+    assert.ok(!JSON.stringify(record).includes('cus_deleted'));
+
+    const data = accountData.exportAccountData('cus_deleted');
+    for (const section of ['children', 'trackerEntries', 'reminders', 'signInSessions', 'giftsRedeemed']) {
+        assert.deepEqual(data[section], [], section);
+    }
+    assert.equal(authSessions.getSessionCustomer(token), null);
+
+    // Billing records stay for access checks, without contact details
+    const billing = getBillingRecords('cus_deleted');
+    assert.equal(billing.subscriptions[0].status, 'canceled');
+    assert.equal(billing.checkoutSessions[0].email, null);
+
+    // The unlinked gift stays redeemed
+    assert.equal((await gifts.redeemGift(stripe, giftCode, { priceId: 'price_monthly', baseUrl: 'https://omaa.test' })).error,
+        'This gift code has already been redeemed');
+
+    assert.equal(authSessions.getSessionCustomer(otherToken), 'cus_other');
+    assert.equal(accountData.exportAccountData('cus_other').children.length, 1);
+});
+
+test('nothing is deleted when canceling the subscription fails', async () => {
+    const { token } = await seedCustomer(createFakeStripe(), 'retry');
+    const before = accountData.exportAccountData('cus_retry');
+
+    await assert.rejects(
+        accountData.deleteAccountData(createFakeStripe({ failCancel: true }), 'cus_retry', { cancelSubscription: true }),
+        /Stripe is unavailable/
+    );
+
+    const after = accountData.exportAccountData('cus_retry');
+    assert.deepEqual({ ...after, exportedAt: null }, { ...before, exportedAt: null });
+    assert.equal(authSessions.getSessionCustomer(token), 'cus_retry');
+});
@@ -0,0 +1,195 @@
+require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stripeNotFound } = require('./helpers');
+const { registerTransport } = require('../mailer');
+const authSessions = require('../auth-sessions');
+
+// Capture sign-in emails instead of writing them to DATA_DIR/mail
+const outbox = [];
+registerTransport({
+    id: 'test',
+    isConfigured: () => true,
+    send: async (message) => {
+        outbox.push(message);
+        return { id: `mail_${outbox.length}` };
+    }
+});
+process.env.MAIL_TRANSPORT = 'test';
+
+const realNow = Date.now;
+afterEach(() => {
+    Date.now = realNow;
+    outbox.length = 0;
+});
+
+const advance = (ms) => {
+    const shifted = Date.now() + ms;
+    Date.now = () => shifted;
+};
+
+// The lookup and the email happen after sendMagicLink returns
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * Stripe stand-in with customers by email and subscriptions by customer
+ */
+function createFakeStripe({ customers = {}, subscriptions = {}, checkouts = {} } = {}) {
+    const lookups = [];
+
+    return {
+        lookups,
+        customers: {
+            list: async ({ email }) => {
+                lookups.push(email);
+                return { data: (customers[email] || []).map(id => ({ id })) };
+            }
+        },
+        subscriptions: {
+            list: async ({ customer }) => ({ data: (subscriptions[customer] || []).map(status => ({ status })) })
+        },
+        checkout: {
+            sessions: {
+                retrieve: async (id) => {
+                    if (!checkouts[id]) throw stripeNotFound(`No such checkout.session: '${id}'`);
+                    return checkouts[id];
+                }
+            }
+        }
+    };
+}
+
+const linkOptions = { language: 'en', baseUrl: 'https://omaa.test' };
+const linkToken = (message) => message.text.match(/signin=(\S+)/)[1];
+
+test('a malformed address is refused before any lookup', () => {
+    const stripe = createFakeStripe();
+
+    for (const email of ['', 'parent', 'parent@example', 'a b@example.com', `${'a'.repeat(250)}@example.com`, null]) {
+        assert.equal(authSessions.sendMagicLink(stripe, { ...linkOptions, email }).error, 'Please enter a valid email address');
+    }
+    assert.equal(stripe.lookups.length, 0);
+});
+
+test('a subscriber gets a link that signs in once', async () => {
+    const stripe = createFakeStripe({
+        customers: { 'parent@example.com': ['cus_old', 'cus_current'] },
+        subscriptions: { cus_old: ['canceled'], cus_current: ['active'] }
+    });
+
+    assert.equal(authSessions.sendMagicLink(stripe, { ...linkOptions, email: ' parent@example.com ' }).error, null);
+    await settle();
+
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'parent@example.com');
+    assert.match(outbox[0].text, /^Tap this link/);
+    assert.ok(outbox[0].text.includes('https://omaa.test/chat.html?signin='));
+
+    const token = linkToken(outbox[0]);
+    const signedIn = authSessions.redeemMagicLink(token);
+    assert.equal(signedIn.error, null);
+    assert.equal(signedIn.customerId, 'cus_current');
+    assert.equal(authSessions.getSessionCustomer(signedIn.token), 'cus_current');
+
+    assert.match(authSessions.redeemMagicLink(token).error, /invalid or has expired/);
+});
+
+test('a tampered or expired link is refused', async () => {
+    const stripe = createFakeStripe({
+        customers: { 'tamper@example.com': ['cus_tamper'] },
+        subscriptions: { cus_tamper: ['trialing'] }
+    });
+
+    authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'tamper@example.com' });
+    await settle();
+    const [payload, signature] = linkToken(outbox[0]).split('.');
+
+    // Another customer's ID under the original signature
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, c: 'cus_someone_else' })).toString('base64url');
+    assert.match(authSessions.redeemMagicLink(`${forged}.${signature}`).error, /invalid or has expired/);
+    assert.match(authSessions.redeemMagicLink(payload).error, /invalid or has expired/);
+    assert.match(authSessions.redeemMagicLink(undefined).error, /invalid or has expired/);
+
+    advance(16 * 60 * 1000);
+    assert.match(authSessions.redeemMagicLink(`${payload}.${signature}`).error, /invalid or has expired/);
+});
+
+test('requests for an unknown address are throttled like a subscriber\'s', async () => {
+    const stripe = createFakeStripe();
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'nobody@example.com' }).error, null);
+    }
+    await settle();
+    assert.deepEqual(stripe.lookups, ['nobody@example.com']);
+    assert.equal(outbox.length, 0);
+
+    advance(61 * 1000);
+    authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'nobody@example.com' });
+    await settle();
+    assert.equal(stripe.lookups.length, 2);
+});
+
+test('concurrent requests for one address send one email', async () => {
+    const stripe = createFakeStripe({
+        customers: { 'Busy@Example.com': ['cus_busy'] },
+        subscriptions: { cus_busy: ['active'] }
+    });
+
+    authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'Busy@Example.com' });
+    authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'busy@example.com' });
+    authSessions.sendMagicLink(stripe, { ...linkOptions, email: 'Busy@Example.com' });
+    await settle();
+
+    assert.deepEqual(stripe.lookups, ['Busy@Example.com']);
+    assert.equal(outbox.length, 1);
+});
+
+test('a checkout exchanges for a session, again only within the grace period', async () => {
+    const stripe = createFakeStripe({
+        checkouts: {
+            cs_paid: { id: 'cs_paid', customer: 'cus_checkout', subscription: 'sub_checkout', metadata: {} },
+            cs_unpaid: { id: 'cs_unpaid', customer: null, subscription: null, metadata: {} }
+        }
+    });
+
+    const first = await authSessions.exchangeCheckoutSession(stripe, 'cs_paid');
+    assert.equal(first.error, null);
+    assert.equal(first.customerId, 'cus_checkout');
+    assert.equal(authSessions.getSessionCustomer(first.token), 'cus_checkout');
+
+    const retried = await authSessions.exchangeCheckoutSession(stripe, 'cs_paid');
+    assert.equal(retried.error, null);
+    assert.notEqual(retried.token, first.token);
+
+    advance(61 * 60 * 1000);
+    assert.match((await authSessions.exchangeCheckoutSession(stripe, 'cs_paid')).error, /already used to sign in/);
+
+    assert.equal((await authSessions.exchangeCheckoutSession(stripe, 'cs_unknown')).error, 'Invalid session');
+    assert.equal((await authSessions.exchangeCheckoutSession(stripe, 'cs_unpaid')).error, 'No subscription found for this checkout');
+    assert.equal((await authSessions.exchangeCheckoutSession(stripe, '')).error, 'No session ID provided');
+});
+
+test('sessions end when revoked or after six months unused', async () => {
+    const stripe = createFakeStripe({
+        checkouts: { cs_session: { id: 'cs_session', customer: 'cus_session', subscription: 'sub_session', metadata: {} } }
+    });
+    const { token: kept } = await authSessions.exchangeCheckoutSession(stripe, 'cs_session');
+    const { token: revoked } = await authSessions.exchangeCheckoutSession(stripe, 'cs_session');
+
+    assert.equal(authSessions.revokeSession(revoked), true);
+    assert.equal(authSessions.getSessionCustomer(revoked), null);
+    assert.equal(authSessions.revokeSession(revoked), false);
+
+    // Using a session extends it
+    advance(150 * 24 * 60 * 60 * 1000);
+    assert.equal(authSessions.getSessionCustomer(kept), 'cus_session');
+    advance(150 * 24 * 60 * 60 * 1000);
+    assert.equal(authSessions.getSessionCustomer(kept), 'cus_session');
+
+    advance(181 * 24 * 60 * 60 * 1000);
+    assert.equal(authSessions.getSessionCustomer(kept), null);
+    assert.equal(authSessions.getSessionCustomer('not-a-token'), null);
+});
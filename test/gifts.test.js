@@ -0,0 +1,149 @@
+require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const gifts = require('../gifts');
+
+const realNow = Date.now;
+afterEach(() => {
+    Date.now = realNow;
+});
+
+// Move the clock forward, as if the parent came back later
+const advance = (ms) => {
+    const shifted = Date.now() + ms;
+    Date.now = () => shifted;
+};
+
+/**
+ * Stripe stand-in that records the checkouts it creates
+ */
+function createFakeStripe() {
+    const sessions = new Map();
+    let count = 0;
+
+    return {
+        sessions,
+        checkout: {
+            sessions: {
+                create: async (params) => {
+                    const session = { id: `cs_redeem_${++count}`, url: `https://checkout.test/${count}`, status: 'open', ...params };
+                    sessions.set(session.id, session);
+                    return session;
+                },
+                retrieve: async (id) => sessions.get(id)
+            }
+        }
+    };
+}
+
+function purchaseGift(id, months = 3) {
+    gifts.applyCompletedCheckout({ id, metadata: { kind: 'gift', months: String(months) }, payment_status: 'paid' });
+}
+
+async function codeFor(purchaseSessionId) {
+    return (await gifts.getPurchase(null, purchaseSessionId)).code;
+}
+
+const redeemOptions = { priceId: 'price_monthly', baseUrl: 'https://omaa.test' };
+
+test('a paid purchase issues one code; an unpaid one issues none', async () => {
+    purchaseGift('cs_purchase_paid', 6);
+    purchaseGift('cs_purchase_paid', 6);
+    gifts.applyCompletedCheckout({ id: 'cs_purchase_unpaid', metadata: { kind: 'gift', months: '6' }, payment_status: 'unpaid' });
+
+    const purchase = await gifts.getPurchase(null, 'cs_purchase_paid');
+    assert.match(purchase.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.equal(purchase.months, 6);
+
+    const unpaid = await gifts.getPurchase({
+        checkout: { sessions: { retrieve: async (id) => ({ id, metadata: { kind: 'gift', months: '6' }, payment_status: 'unpaid' }) } }
+    }, 'cs_purchase_unpaid');
+    assert.equal(unpaid, null);
+});
+
+test('unknown codes are refused', async () => {
+    const stripe = createFakeStripe();
+    const { error } = await gifts.redeemGift(stripe, 'AAAA-BBBB-CCCC', redeemOptions);
+
+    assert.match(error, /couldn't find/);
+    assert.equal(stripe.sessions.size, 0);
+});
+
+test('redeeming again while the checkout is open returns the same checkout', async () => {
+    purchaseGift('cs_purchase_hold');
+    const code = await codeFor('cs_purchase_hold');
+    const stripe = createFakeStripe();
+
+    const first = await gifts.redeemGift(stripe, code.toLowerCase().replace(/-/g, ''), redeemOptions);
+    const second = await gifts.redeemGift(stripe, code, redeemOptions);
+
+    assert.equal(first.error, null);
+    assert.equal(second.url, first.url);
+    assert.equal(stripe.sessions.size, 1);
+
+    const [session] = stripe.sessions.values();
+    assert.equal(session.metadata.giftCode, code);
+    assert.equal(session.payment_method_collection, 'if_required');
+    assert.ok(session.subscription_data.trial_end > Date.now() / 1000 + 80 * 24 * 60 * 60);
+});
+
+test('a completed redemption marks the code redeemed', async () => {
+    purchaseGift('cs_purchase_done');
+    const code = await codeFor('cs_purchase_done');
+    const stripe = createFakeStripe();
+
+    await gifts.redeemGift(stripe, code, redeemOptions);
+    const [session] = stripe.sessions.values();
+    assert.equal(gifts.applyCompletedCheckout({ ...session, status: 'complete', customer: 'cus_gifted', subscription: 'sub_gifted' }), true);
+
+    const again = await gifts.redeemGift(stripe, code, redeemOptions);
+    assert.match(again.error, /already been redeemed/);
+    assert.equal(stripe.sessions.size, 1);
+});
+
+test('a checkout that completed without its webhook is not redeemed twice', async () => {
+    purchaseGift('cs_purchase_late');
+    const code = await codeFor('cs_purchase_late');
+    const stripe = createFakeStripe();
+
+    await gifts.redeemGift(stripe, code, redeemOptions);
+    const [session] = stripe.sessions.values();
+    Object.assign(session, { status: 'complete', customer: 'cus_late', subscription: 'sub_late' });
+
+    // The hold has lapsed and the webhook never came
+    advance(31 * 60 * 1000);
+    const again = await gifts.redeemGift(stripe, code, redeemOptions);
+
+    assert.match(again.error, /already been redeemed/);
+    assert.equal(stripe.sessions.size, 1);
+    assert.deepEqual(gifts.getRedeemedGifts('cus_late').map(gift => gift.code), [code]);
+});
+
+test('an abandoned checkout frees the code once it expires', async () => {
+    purchaseGift('cs_purchase_expired');
+    const code = await codeFor('cs_purchase_expired');
+    const stripe = createFakeStripe();
+
+    await gifts.redeemGift(stripe, code, redeemOptions);
+    const [session] = stripe.sessions.values();
+    session.status = 'expired';
+    assert.equal(gifts.applyExpiredCheckout(session), true);
+
+    const again = await gifts.redeemGift(stripe, code, redeemOptions);
+    assert.equal(again.error, null);
+    assert.equal(stripe.sessions.size, 2);
+});
+
+test('after the hold lapses on an open checkout, a new one is created', async () => {
+    purchaseGift('cs_purchase_lapsed');
+    const code = await codeFor('cs_purchase_lapsed');
+    const stripe = createFakeStripe();
+
+    const first = await gifts.redeemGift(stripe, code, redeemOptions);
+    advance(31 * 60 * 1000);
+    const second = await gifts.redeemGift(stripe, code, redeemOptions);
+
+    assert.equal(second.error, null);
+    assert.notEqual(second.url, first.url);
+});
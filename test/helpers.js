@@ -0,0 +1,68 @@
+/**
+ * Shared test setup
+ * =================
+ *
+ * Require this first in a test file: it points DATA_DIR at a fresh temporary
+ * directory before any app module opens the data store. Each test file runs
+ * in its own process, so files never share data.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'omaa-test-'));
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Serve an Express app on a free port
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * A Stripe "resource not found" error, as the Stripe client throws it
+ */
+function stripeNotFound(message = 'No such object') {
+    const error = new Error(message);
+    error.type = 'StripeInvalidRequestError';
+    return error;
+}
+
+/**
+ * Minimal stand-in for the request/response pair an Express middleware sees
+ */
+function mockExchange(headers = {}) {
+    const req = {
+        body: {},
+        get: (name) => headers[name.toLowerCase()]
+    };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    return { req, res };
+}
+
+module.exports = {
+    listen,
+    stripeNotFound,
+    mockExchange
+};
@@ -0,0 +1,114 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const outputPolicy = require('../output-policy');
+
+const messages = [{ role: 'system', content: 'system prompt' }, { role: 'user', content: 'question' }];
+
+/**
+ * A provider call that streams each reply word by word, one reply per attempt
+ */
+function createFakeGenerate(replies) {
+    const calls = [];
+
+    const generate = async (attemptMessages, { onDelta }) => {
+        const content = replies[calls.length];
+        calls.push(attemptMessages);
+        if (onDelta) content.split(/(?<= )/).forEach(word => onDelta(word));
+        return { content, provider: 'test', usage: { input: 1, output: 1 } };
+    };
+    return { generate, calls };
+}
+
+/**
+ * Collect what reaches the parent, attempt by attempt
+ */
+function createRelay() {
+    const attempts = [[]];
+    return {
+        attempts,
+        onDelta: (text) => attempts[attempts.length - 1].push(text),
+        onRegenerate: () => attempts.push([])
+    };
+}
+
+test('a clean reply is relayed a complete sentence at a time', async () => {
+    const reply = 'Cluster feeding is normal in the evenings. It usually passes in a few weeks. Hang in there';
+    const { generate } = createFakeGenerate([reply]);
+    const relay = createRelay();
+
+    const response = await outputPolicy.generateWithPolicy(generate, messages, { provider: 'test', ...relay });
+
+    assert.equal(response.content, reply);
+    assert.equal(response.moderation.action, 'pass');
+    assert.deepEqual(relay.attempts, [['Cluster feeding is normal in the evenings. ', 'It usually passes in a few weeks. ']]);
+});
+
+test('a blocked reply is never relayed past its last cleared sentence', async () => {
+    const blocked = 'Ear infections are common. Give amoxicillin 250 mg twice a day. It works fast.';
+    const clean = 'Ear infections are common. Your pediatrician can check and prescribe if needed. ';
+    const { generate, calls } = createFakeGenerate([blocked, clean]);
+    const relay = createRelay();
+
+    const response = await outputPolicy.generateWithPolicy(generate, messages, { provider: 'test', ...relay });
+
+    assert.equal(calls.length, 2);
+    assert.notDeepEqual(calls[1], messages);
+    assert.equal(response.content, clean);
+    assert.equal(response.moderation.action, 'regenerated');
+    assert.deepEqual(response.moderation.interventions.filter(i => i.action === 'block').map(i => i.rule), ['prescription_dose']);
+
+    assert.deepEqual(relay.attempts[0], ['Ear infections are common. ']);
+    assert.equal(relay.attempts[1].join(''), clean);
+});
+
+test('when every attempt is blocked the fallback reply is used and nothing blocked is relayed', async () => {
+    const blocked = 'Give 5 mg/kg of ibuprofen every six hours. ';
+    const { generate, calls } = createFakeGenerate([blocked, blocked]);
+    const relay = createRelay();
+
+    const response = await outputPolicy.generateWithPolicy(generate, messages, { provider: 'test', ...relay });
+
+    assert.equal(calls.length, 2);
+    assert.equal(response.moderation.action, 'fallback');
+    assert.match(response.content, /pediatrician or pharmacist/);
+    assert.deepEqual(relay.attempts, [[], []]);
+});
+
+test('a reply that only needs a disclaimer streams and gets it appended', async () => {
+    const reply = 'Many parents use gripe water for gas. Try bicycle legs too. ';
+    const { generate } = createFakeGenerate([reply]);
+    const relay = createRelay();
+
+    const response = await outputPolicy.generateWithPolicy(generate, messages, { provider: 'test', ...relay });
+
+    assert.equal(response.moderation.action, 'disclaim');
+    assert.ok(response.content.startsWith(`${reply}\n\n_This is general information`));
+    assert.equal(relay.attempts[0].join(''), reply);
+});
+
+test('a checker that needs the finished reply holds back the whole stream', async () => {
+    const reply = 'Tummy time helps build neck strength. Start with a few minutes. ';
+    outputPolicy.registerChecker({ id: 'switched_off', enabled: false, check: async () => ({ action: 'pass' }) });
+
+    let relay = createRelay();
+    await outputPolicy.generateWithPolicy(createFakeGenerate([reply]).generate, messages, { provider: 'test', ...relay });
+    assert.equal(relay.attempts[0].join(''), reply);
+
+    const reviewed = [];
+    outputPolicy.registerChecker({
+        id: 'whole_reply',
+        check: async (content) => {
+            reviewed.push(content);
+            return { action: 'pass' };
+        }
+    });
+    assert.deepEqual(outputPolicy.listCheckers().slice(-2), ['switched_off', 'whole_reply']);
+
+    relay = createRelay();
+    const response = await outputPolicy.generateWithPolicy(createFakeGenerate([reply]).generate, messages, { provider: 'test', ...relay });
+    assert.deepEqual(relay.attempts, [[]]);
+    assert.deepEqual(reviewed, [reply]);
+    assert.equal(response.content, reply);
+});
@@ -0,0 +1,136 @@
+const { listen, mockExchange } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhooks';
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+const Stripe = require('stripe');
+const app = require('../server');
+const { getCustomerAccess, saveSubscription } = require('../subscription-store');
+const { requireEntitlement } = require('../entitlement');
+const { exchangeCheckoutSession } = require('../auth-sessions');
+
+const stripe = Stripe('sk_test_webhooks');
+let server;
+
+before(async () => {
+    server = await listen(app);
+});
+
+after(() => server.close());
+
+function subscriptionEvent(id, customer, status, type = 'customer.subscription.created') {
+    return {
+        id,
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { object: { id: `sub_${customer}`, object: 'subscription', customer, status } }
+    };
+}
+
+function postEvent(event, { secret = WEBHOOK_SECRET, signature } = {}) {
+    const payload = JSON.stringify(event);
+    return fetch(`${server.url}/api/webhook/stripe`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': signature || stripe.webhooks.generateTestHeaderString({ payload, secret })
+        },
+        body: payload
+    });
+}
+
+test('webhooks are refused when no signing secret is configured', async () => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+
+    const response = await postEvent(subscriptionEvent('evt_unsigned', 'cus_forged', 'active'));
+
+    assert.equal(response.status, 503);
+    assert.equal(getCustomerAccess('cus_forged'), null);
+});
+
+test('webhooks with a bad signature are refused', async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    const forged = await postEvent(subscriptionEvent('evt_forged', 'cus_forged', 'active'), { secret: 'whsec_wrong' });
+    const unsigned = await postEvent(subscriptionEvent('evt_nosig', 'cus_forged', 'active'), { signature: 't=1,v1=00' });
+
+    assert.equal(forged.status, 400);
+    assert.equal(unsigned.status, 400);
+    assert.equal(getCustomerAccess('cus_forged'), null);
+});
+
+test('a signed subscription event grants access, and a repeat is ignored', async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    const event = subscriptionEvent('evt_created', 'cus_signed', 'active');
+    assert.equal((await postEvent(event)).status, 200);
+    assert.equal(getCustomerAccess('cus_signed').canChat, true);
+
+    // A replay of the same event must not undo a later cancellation
+    const canceled = subscriptionEvent('evt_canceled', 'cus_signed', 'canceled', 'customer.subscription.deleted');
+    canceled.created += 1;
+    assert.equal((await postEvent(canceled)).status, 200);
+    assert.equal((await postEvent(event)).status, 200);
+    assert.equal(getCustomerAccess('cus_signed').canChat, false);
+});
+
+test('entitlement needs a session token and a current subscription', async () => {
+    const fakeStripe = {
+        checkout: {
+            sessions: {
+                retrieve: async (id) => ({ id, customer: 'cus_entitled', subscription: 'sub_cus_entitled' })
+            }
+        },
+        subscriptions: {
+            list: async () => ({ data: [] })
+        }
+    };
+    const guard = requireEntitlement(fakeStripe);
+    const run = async (headers) => {
+        const { req, res } = mockExchange(headers);
+        let passed = false;
+        await guard(req, res, () => { passed = true; });
+        return { passed, res, req };
+    };
+
+    const anonymous = await run({});
+    assert.equal(anonymous.passed, false);
+    assert.equal(anonymous.res.statusCode, 403);
+    assert.equal(anonymous.res.body.code, 'not_enrolled');
+
+    const bogus = await run({ authorization: 'Bearer not-a-session' });
+    assert.equal(bogus.res.body.code, 'not_enrolled');
+
+    // A checkout session ID is not a credential on its own
+    const rawCheckout = await run({ authorization: 'Bearer cs_test_123' });
+    assert.equal(rawCheckout.passed, false);
+
+    saveSubscription({ id: 'sub_cus_entitled', customer: 'cus_entitled', status: 'trialing' });
+    const { token } = await exchangeCheckoutSession(fakeStripe, 'cs_test_123');
+
+    const signedIn = await run({ authorization: `Bearer ${token}` });
+    assert.equal(signedIn.passed, true);
+    assert.equal(signedIn.req.entitlement.customerId, 'cus_entitled');
+});
+
+test('an ended subscription is sent to the paywall', async () => {
+    const fakeStripe = {
+        checkout: {
+            sessions: {
+                retrieve: async (id) => ({ id, customer: 'cus_ended', subscription: 'sub_cus_ended' })
+            }
+        }
+    };
+    saveSubscription({ id: 'sub_cus_ended', customer: 'cus_ended', status: 'canceled' });
+    const { token } = await exchangeCheckoutSession(fakeStripe, 'cs_test_ended');
+
+    const { req, res } = mockExchange({ authorization: `Bearer ${token}` });
+    let passed = false;
+    await requireEntitlement(fakeStripe)(req, res, () => { passed = true; });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 402);
+    assert.equal(res.body.code, 'subscription_ended');
+});
@@ -0,0 +1,101 @@
+/**
+ * Tracker Service for OMaa
+ * ========================
+ *
+ * Logs the selected child's feeds, sleep and diaper changes to the
+ * subscriber's tracker (stored server-side) and loads daily and weekly
+ * summaries. Summaries use this browser's time zone, so "today" is the
+ * parent's today.
+ */
+
+class TrackerService {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Call the tracker API with the subscriber's credentials
+     */
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...subscriptionService.getAuthHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `API error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Load a child's entries from the past week, newest first
+     */
+    async loadEntries(childId) {
+        const from = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+        const params = new URLSearchParams({ childId, from });
+        const data = await this.request('GET', `/api/tracker/entries?${params}`);
+        this.entries = data.entries || [];
+        return this.entries;
+    }
+
+    /**
+     * Get the loaded entries
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * The sleep in progress for the loaded child, if any
+     */
+    getOngoingSleep() {
+        return this.entries.find(entry => entry.type === 'sleep' && !entry.endedAt) || null;
+    }
+
+    /**
+     * Daily ('day') or 7-day ('week') summary for a child
+     */
+    async getSummary(childId, period = 'day') {
+        const params = new URLSearchParams({
+            childId,
+            period,
+            tzOffset: String(new Date().getTimezoneOffset())
+        });
+        return this.request('GET', `/api/tracker/summary?${params}`);
+    }
+
+    /**
+     * Log an entry for a child (startedAt defaults to now)
+     */
+    async logEntry(childId, details) {
+        return this.request('POST', '/api/tracker/entries', {
+            startedAt: new Date().toISOString(),
+            ...details,
+            childId
+        });
+    }
+
+    /**
+     * Change an entry, e.g. `{ endedAt }` when a sleep ends
+     */
+    async updateEntry(id, changes) {
+        return this.request('PUT', `/api/tracker/entries/${encodeURIComponent(id)}`, changes);
+    }
+
+    /**
+     * Delete an entry
+     */
+    async deleteEntry(id) {
+        await this.request('DELETE', `/api/tracker/entries/${encodeURIComponent(id)}`);
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+}
+
+// Create global instance
+const trackerService = new TrackerService();
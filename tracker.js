@@ -0,0 +1,421 @@
+/**
+ * Activity Tracker for OMaa
+ * =========================
+ *
+ * Parents log what actually happened - feeds, naps and night sleep, diaper
+ * changes - so OMaa's feeding and sleep advice can start from last night
+ * instead of from scratch.
+ *
+ * Entries belong to one of the customer's child profiles and are stored per
+ * Stripe customer in the local data store. Times are ISO timestamps; daily
+ * summaries use the parent's time zone offset (minutes, as returned by
+ * Date#getTimezoneOffset in the browser). Sleep counts toward the day it
+ * started on.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./data-store');
+const childProfiles = require('./child-profiles');
+
+const entries = getCollection('tracker-entries');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Most entries returned by one list call
+const MAX_LIST_ENTRIES = 500;
+
+const FEED_METHODS = ['breast', 'bottle', 'solids'];
+const BREAST_SIDES = ['left', 'right', 'both'];
+const BOTTLE_CONTENTS = ['breast_milk', 'formula'];
+const SLEEP_KINDS = ['nap', 'night'];
+const DIAPER_KINDS = ['wet', 'dirty', 'mixed', 'dry'];
+
+// Chat questions that get the tracker log as context
+const TRACKER_TOPICS = /\b(feed|feeds|feeding|fed|bottle|breast|nurs(e|ed|ing)|formula|ml|ounces?|oz|latch|sleep|sleeps|sleeping|slept|nap|naps|napping|night|bedtime|wake|waking|woke|diaper|diapers|nappy|nappies|poop|pee|wet|dirty|eat|eating|ate|hungry|schedule|routine)\b/i;
+
+const isTimestamp = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+const toInteger = (value, min, max) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? Math.round(number) : null;
+};
+
+/**
+ * Validate and normalize entry input from a client
+ * @returns {{ error: string|null, value: Object }}
+ */
+function validateEntry(input = {}) {
+    const { type } = input;
+
+    if (!isTimestamp(input.startedAt)) {
+        return { error: 'Please give the time this happened' };
+    }
+    if (Date.parse(input.startedAt) > Date.now() + 5 * MINUTE_MS) {
+        return { error: 'That time is in the future' };
+    }
+
+    const value = {
+        type,
+        startedAt: new Date(input.startedAt).toISOString(),
+        notes: typeof input.notes === 'string' ? input.notes.trim().slice(0, 500) : ''
+    };
+
+    if (type === 'feed') {
+        if (!FEED_METHODS.includes(input.method)) {
+            return { error: 'Feeds need a method: breast, bottle or solids' };
+        }
+        value.method = input.method;
+        value.durationMinutes = input.durationMinutes == null ? null : toInteger(input.durationMinutes, 0, 180);
+        if (input.durationMinutes != null && value.durationMinutes === null) {
+            return { error: 'Feed duration must be between 0 and 180 minutes' };
+        }
+
+        if (input.method === 'breast') {
+            value.side = BREAST_SIDES.includes(input.side) ? input.side : null;
+        }
+        if (input.method === 'bottle') {
+            value.volumeMl = toInteger(input.volumeMl, 0, 500);
+            if (value.volumeMl === null) {
+                return { error: 'Bottle volume must be between 0 and 500 ml' };
+            }
+            value.contents = BOTTLE_CONTENTS.includes(input.contents) ? input.contents : null;
+        }
+        return { error: null, value };
+    }
+
+    if (type === 'sleep') {
+        if (!SLEEP_KINDS.includes(input.kind)) {
+            return { error: 'Sleep needs a kind: nap or night' };
+        }
+        value.kind = input.kind;
+        value.endedAt = null;
+
+        if (input.endedAt != null) {
+            if (!isTimestamp(input.endedAt) || Date.parse(input.endedAt) < Date.parse(value.startedAt)) {
+                return { error: 'Wake-up time must be after the sleep started' };
+            }
+            if (Date.parse(input.endedAt) - Date.parse(value.startedAt) > DAY_MS) {
+                return { error: 'A single sleep can last at most 24 hours' };
+            }
+            value.endedAt = new Date(input.endedAt).toISOString();
+        }
+        return { error: null, value };
+    }
+
+    if (type === 'diaper') {
+        if (!DIAPER_KINDS.includes(input.kind)) {
+            return { error: 'Diapers need a kind: wet, dirty, mixed or dry' };
+        }
+        value.kind = input.kind;
+        return { error: null, value };
+    }
+
+    return { error: 'Entry type must be feed, sleep or diaper' };
+}
+
+/**
+ * Entry as returned by the API
+ */
+function toResponse(entry) {
+    const { customerId, ...publicEntry } = entry;
+    return publicEntry;
+}
+
+/**
+ * A customer's entries for a child, newest first
+ * @param {Object} [options] - { from, to } timestamps and a `type` filter
+ */
+function findEntries(customerId, childId, { from, to, type } = {}) {
+    const fromMs = isTimestamp(from) ? Date.parse(from) : -Infinity;
+    const toMs = isTimestamp(to) ? Date.parse(to) : Infinity;
+
+    return entries
+        .filter(e => e.customerId === customerId && e.childId === childId &&
+            (!type || e.type === type) &&
+            Date.parse(e.startedAt) >= fromMs && Date.parse(e.startedAt) < toMs)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * List entries for one of the customer's children
+ * @returns {Object[]|null} null when the child isn't the customer's
+ */
+function listEntries(customerId, childId, filters = {}) {
+    if (!childProfiles.getProfile(customerId, childId)) return null;
+    return findEntries(customerId, childId, filters).slice(0, MAX_LIST_ENTRIES).map(toResponse);
+}
+
+/**
+ * Get one of a customer's entries (raw record), or null
+ */
+function getEntry(customerId, id) {
+    const entry = entries.get(id);
+    return entry && entry.customerId === customerId ? entry : null;
+}
+
+/**
+ * Log an entry
+ * @returns {{ error: string|null, entry: Object }}
+ */
+function createEntry(customerId, input = {}) {
+    if (!childProfiles.getProfile(customerId, input.childId)) {
+        return { error: 'Please choose which child this is for' };
+    }
+
+    const { error, value } = validateEntry(input);
+    if (error) return { error };
+
+    const id = `entry_${crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const entry = entries.set(id, {
+        id,
+        childId: input.childId,
+        ...value,
+        customerId,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    return { error: null, entry: toResponse(entry) };
+}
+
+/**
+ * Update an entry's details (e.g. `{ endedAt }` when a sleep ends)
+ * Fields not given keep their current values; the type can't change.
+ * @returns {{ error: string|null, entry: Object|null }} entry is null when not found
+ */
+function updateEntry(customerId, id, input = {}) {
+    const existing = getEntry(customerId, id);
+    if (!existing) return { error: null, entry: null };
+
+    const { error, value } = validateEntry({ ...existing, ...input, type: existing.type });
+    if (error) return { error };
+
+    const entry = entries.set(id, {
+        id,
+        childId: existing.childId,
+        ...value,
+        customerId,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+    });
+    return { error: null, entry: toResponse(entry) };
+}
+
+/**
+ * Delete an entry
+ */
+function deleteEntry(customerId, id) {
+    if (!getEntry(customerId, id)) return false;
+    return entries.delete(id);
+}
+
+/**
+ * Delete every entry for a child (when the child's profile is deleted)
+ */
+function deleteChildEntries(customerId, childId) {
+    entries.deleteWhere(entry => entry.customerId === customerId && entry.childId === childId);
+}
+
+/**
+ * Normalize a time zone offset in minutes (Date#getTimezoneOffset sign)
+ */
+function parseTzOffset(value) {
+    const offset = toInteger(value, -14 * 60, 14 * 60);
+    return offset === null ? 0 : offset;
+}
+
+// Shift a UTC time into the parent's local time, read with getUTC* methods
+const toLocal = (ms, tzOffset) => new Date(ms - tzOffset * MINUTE_MS);
+const localDate = (ms, tzOffset) => toLocal(ms, tzOffset).toISOString().slice(0, 10);
+const localDayStart = (date, tzOffset) => Date.parse(`${date}T00:00:00Z`) + tzOffset * MINUTE_MS;
+
+/**
+ * Minutes a sleep lasted (ongoing sleeps count up to now)
+ */
+function sleepMinutes(entry, now = Date.now()) {
+    const end = entry.endedAt ? Date.parse(entry.endedAt) : now;
+    return Math.max(0, Math.round((end - Date.parse(entry.startedAt)) / MINUTE_MS));
+}
+
+/**
+ * Totals for a set of entries
+ */
+function summarizeEntries(list, now = Date.now()) {
+    const summary = {
+        feeds: { count: 0, breast: 0, bottle: 0, solids: 0, breastMinutes: 0, bottleMl: 0 },
+        sleep: { totalMinutes: 0, napMinutes: 0, nightMinutes: 0, naps: 0 },
+        diapers: { total: 0, wet: 0, dirty: 0 }
+    };
+
+    list.forEach(entry => {
+        if (entry.type === 'feed') {
+            summary.feeds.count++;
+            summary.feeds[entry.method]++;
+            if (entry.method === 'breast') summary.feeds.breastMinutes += entry.durationMinutes || 0;
+            if (entry.method === 'bottle') summary.feeds.bottleMl += entry.volumeMl || 0;
+        } else if (entry.type === 'sleep') {
+            const minutes = sleepMinutes(entry, now);
+            summary.sleep.totalMinutes += minutes;
+            if (entry.kind === 'nap') {
+                summary.sleep.naps++;
+                summary.sleep.napMinutes += minutes;
+            } else {
+                summary.sleep.nightMinutes += minutes;
+            }
+        } else if (entry.type === 'diaper' && entry.kind !== 'dry') {
+            summary.diapers.total++;
+            if (entry.kind === 'wet' || entry.kind === 'mixed') summary.diapers.wet++;
+            if (entry.kind === 'dirty' || entry.kind === 'mixed') summary.diapers.dirty++;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Daily or weekly summary for one of the customer's children
+ * @param {Object} options
+ * @param {string} [options.period] - 'day' (default) or 'week' (the 7 days ending on `date`)
+ * @param {string} [options.date] - Local date (YYYY-MM-DD), default today
+ * @param {number} [options.tzOffset] - Parent's offset from UTC in minutes
+ * @returns {{ error: string|null, summary: Object|null }} summary is null when the child isn't the customer's
+ */
+function getSummary(customerId, childId, { period = 'day', date, tzOffset = 0 } = {}) {
+    if (!childProfiles.getProfile(customerId, childId)) return { error: null, summary: null };
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`)))) {
+        return { error: 'The date must be YYYY-MM-DD' };
+    }
+
+    const offset = parseTzOffset(tzOffset);
+    const now = Date.now();
+    const endDate = date || localDate(now, offset);
+    const dayCount = period === 'week' ? 7 : 1;
+
+    const days = [];
+    for (let i = dayCount - 1; i >= 0; i--) {
+        const start = localDayStart(endDate, offset) - i * DAY_MS;
+        const dayEntries = findEntries(customerId, childId, {
+            from: new Date(start).toISOString(),
+            to: new Date(start + DAY_MS).toISOString()
+        });
+        days.push({ date: localDate(start, offset), ...summarizeEntries(dayEntries, now) });
+    }
+
+    const latest = (type) => findEntries(customerId, childId, { type })[0] || null;
+    const lastSleep = latest('sleep');
+
+    return {
+        error: null,
+        summary: {
+            period: dayCount === 7 ? 'week' : 'day',
+            days,
+            last: {
+                feed: latest('feed') && toResponse(latest('feed')),
+                diaper: latest('diaper') && toResponse(latest('diaper')),
+                sleep: lastSleep && toResponse(lastSleep)
+            }
+        }
+    };
+}
+
+const formatDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const formatClock = (ms, tzOffset) => toLocal(ms, tzOffset).toISOString().slice(11, 16);
+
+function describeFeed(entry) {
+    if (entry.method === 'breast') {
+        return [
+            'breastfed',
+            entry.side && entry.side !== 'both' ? `${entry.side} side` : entry.side === 'both' ? 'both sides' : null,
+            entry.durationMinutes ? `${entry.durationMinutes} min` : null
+        ].filter(Boolean).join(', ');
+    }
+    if (entry.method === 'bottle') {
+        const contents = entry.contents === 'breast_milk' ? ' breast milk' : entry.contents === 'formula' ? ' formula' : '';
+        return `bottle, ${entry.volumeMl} ml${contents}`;
+    }
+    return 'solid food';
+}
+
+function describeTotals({ feeds, sleep, diapers }) {
+    const feedDetails = [
+        feeds.breastMinutes ? `breast ${feeds.breastMinutes} min` : null,
+        feeds.bottleMl ? `bottle ${feeds.bottleMl} ml` : null,
+        feeds.solids ? `${feeds.solids} solid meals` : null
+    ].filter(Boolean).join(', ');
+
+    return [
+        `${feeds.count} feeds${feedDetails ? ` (${feedDetails})` : ''}`,
+        `sleep ${formatDuration(sleep.totalMinutes)}${sleep.naps ? ` including ${sleep.naps} nap${sleep.naps === 1 ? '' : 's'}` : ''}`,
+        `${diapers.wet} wet and ${diapers.dirty} dirty diapers`
+    ].join('; ');
+}
+
+/**
+ * Whether a chat message is about something the tracker records
+ */
+function isTrackerQuestion(text) {
+    return TRACKER_TOPICS.test(text || '');
+}
+
+/**
+ * Describe a child's recent tracker log for the system prompt
+ * @returns {string|null} null when nothing was logged in the past week
+ */
+function describeTrackerForPrompt(customerId, childId, { tzOffset = 0, now = Date.now() } = {}) {
+    const offset = parseTzOffset(tzOffset);
+    const recent = findEntries(customerId, childId, { from: new Date(now - 7 * DAY_MS).toISOString() });
+    if (recent.length === 0) return null;
+
+    const lines = [`- Parent's local time now: ${formatClock(now, offset)}`];
+    const ago = (timestamp) => formatDuration(Math.max(0, Math.round((now - Date.parse(timestamp)) / MINUTE_MS)));
+
+    const lastFeed = recent.find(e => e.type === 'feed');
+    if (lastFeed) {
+        lines.push(`- Last feed: ${ago(lastFeed.startedAt)} ago (${describeFeed(lastFeed)})`);
+    }
+
+    const lastSleep = recent.find(e => e.type === 'sleep');
+    if (lastSleep && !lastSleep.endedAt) {
+        lines.push(`- Asleep now: ${lastSleep.kind === 'night' ? 'night sleep' : 'nap'} since ${formatClock(Date.parse(lastSleep.startedAt), offset)} (${ago(lastSleep.startedAt)})`);
+    } else if (lastSleep) {
+        lines.push(`- Last woke up: ${ago(lastSleep.endedAt)} ago, after a ${formatDuration(sleepMinutes(lastSleep))} ${lastSleep.kind === 'night' ? 'night sleep' : 'nap'}`);
+    }
+
+    const lastDiaper = recent.find(e => e.type === 'diaper');
+    if (lastDiaper) {
+        lines.push(`- Last diaper: ${ago(lastDiaper.startedAt)} ago (${lastDiaper.kind === 'mixed' ? 'wet and dirty' : lastDiaper.kind})`);
+    }
+
+    const last24h = recent.filter(e => Date.parse(e.startedAt) >= now - DAY_MS);
+    lines.push(`- Past 24 hours: ${describeTotals(summarizeEntries(last24h, now))}`);
+
+    // Whole previous days, for patterns
+    const today = localDate(now, offset);
+    for (let i = 1; i <= 3; i++) {
+        const start = localDayStart(today, offset) - i * DAY_MS;
+        const day = recent.filter(e => Date.parse(e.startedAt) >= start && Date.parse(e.startedAt) < start + DAY_MS);
+        if (day.length) {
+            lines.push(`- ${localDate(start, offset)}: ${describeTotals(summarizeEntries(day, now))}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    listEntries,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    deleteChildEntries,
+    getSummary,
+    isTrackerQuestion,
+    describeTrackerForPrompt,
+    parseTzOffset
+};
@@ -0,0 +1,222 @@
+/**
+ * Usage Metering for OMaa
+ * =======================
+ *
+ * "Unlimited" chat still needs guard rails against runaway clients:
+ * - per-IP and per-customer request rate limits (fixed one-minute windows)
+ * - a cap on how much text one chat request may carry
+ * - daily token metering per customer from the providers' `usage` fields,
+ *   with a soft cap (reply goes through, parent gets a gentle heads-up) and
+ *   a hard cap (we suggest taking a breather until tomorrow); days older than
+ *   the usage history are dropped
+ *
+ * Environment variables (all optional):
+ *   CHAT_RATE_LIMIT_PER_MINUTE     requests per customer per minute (default: 20)
+ *   CHAT_IP_RATE_LIMIT_PER_MINUTE  requests per IP per minute (default: 60)
+ *   CHAT_MAX_INPUT_CHARS           characters across all messages in one request (default: 40000)
+ *   USAGE_SOFT_DAILY_TOKENS        soft daily token cap per customer (default: 200000)
+ *   USAGE_HARD_DAILY_TOKENS        hard daily token cap per customer (default: 400000)
+ */
+
+const { getCollection } = require('./data-store');
+
+const USAGE_CONFIG = {
+    customerRequestsPerMinute: parseInt(process.env.CHAT_RATE_LIMIT_PER_MINUTE || '20', 10),
+    ipRequestsPerMinute: parseInt(process.env.CHAT_IP_RATE_LIMIT_PER_MINUTE || '60', 10),
+    maxInputChars: parseInt(process.env.CHAT_MAX_INPUT_CHARS || '40000', 10),
+    softDailyTokens: parseInt(process.env.USAGE_SOFT_DAILY_TOKENS || '200000', 10),
+    hardDailyTokens: parseInt(process.env.USAGE_HARD_DAILY_TOKENS || '400000', 10)
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of usage kept and shown by /api/usage (today included)
+const USAGE_HISTORY_DAYS = 7;
+
+const BREATHER_MESSAGE = "Let's take a breather! We've covered a lot together today, and I want to make sure I'm still giving you my best. Our chat will be ready again tomorrow. In the meantime, if anything feels urgent about your little one's health, please reach out to your pediatrician or emergency services.";
+
+const usage = getCollection('usage');
+
+// key -> { windowStart, count }
+const rateWindows = new Map();
+
+// Forget finished windows so the map doesn't grow without bound
+setInterval(() => {
+    const cutoff = Date.now() - RATE_WINDOW_MS;
+    for (const [key, window] of rateWindows) {
+        if (window.windowStart < cutoff) rateWindows.delete(key);
+    }
+}, RATE_WINDOW_MS).unref();
+
+/**
+ * Count a request against a key's one-minute window
+ * @returns {number} seconds until the window resets when over the limit, otherwise 0
+ */
+function hitRateLimit(key, limit) {
+    const now = Date.now();
+    let window = rateWindows.get(key);
+
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+        window = { windowStart: now, count: 0 };
+        rateWindows.set(key, window);
+    }
+
+    window.count++;
+
+    if (window.count > limit) {
+        return Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+    }
+    return 0;
+}
+
+function sendRateLimited(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: "You're sending messages faster than I can keep up. Please wait a moment and try again.",
+        code: 'rate_limited',
+        retryAfter
+    });
+}
+
+/**
+ * Express middleware limiting requests per client IP
+ * Runs before entitlement so floods never reach Stripe
+ */
+function limitByIp() {
+    return (req, res, next) => {
+        const retryAfter = hitRateLimit(`ip:${req.ip}`, USAGE_CONFIG.ipRequestsPerMinute);
+        if (retryAfter) return sendRateLimited(res, retryAfter);
+        next();
+    };
+}
+
+/**
+ * Express middleware limiting requests, payload size and daily tokens per customer
+ * Must run after requireEntitlement (uses req.entitlement.customerId)
+ */
+function limitByCustomer() {
+    return (req, res, next) => {
+        const { customerId } = req.entitlement;
+
+        const retryAfter = hitRateLimit(`customer:${customerId}`, USAGE_CONFIG.customerRequestsPerMinute);
+        if (retryAfter) return sendRateLimited(res, retryAfter);
+
+        const inputChars = (req.body.messages || [])
+            .reduce((total, msg) => total + (typeof msg?.content === 'string' ? msg.content.length : 0), 0);
+
+        if (inputChars > USAGE_CONFIG.maxInputChars) {
+            return res.status(413).json({
+                error: 'That message is too long for me to read in one go. Could you shorten it or split it up?',
+                code: 'payload_too_large'
+            });
+        }
+
+        if (getDailyUsage(customerId).totalTokens >= USAGE_CONFIG.hardDailyTokens) {
+            return res.status(429).json({
+                error: BREATHER_MESSAGE,
+                code: 'daily_limit'
+            });
+        }
+
+        next();
+    };
+}
+
+const usageKey = (customerId, date) => `${customerId}:${date}`;
+const today = () => new Date().toISOString().slice(0, 10);
+
+let lastPrunedDate = null;
+
+/**
+ * Drop usage records older than the history, at most once a day
+ */
+function pruneUsage() {
+    const date = today();
+    if (lastPrunedDate === date) return;
+    lastPrunedDate = date;
+
+    const cutoff = new Date(Date.now() - (USAGE_HISTORY_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+    usage.deleteWhere(record => record.date < cutoff);
+}
+
+/**
+ * Record token usage for one provider call
+ */
+function recordUsage(customerId, provider, { promptTokens = 0, completionTokens = 0 } = {}) {
+    pruneUsage();
+
+    const date = today();
+    const key = usageKey(customerId, date);
+    const record = usage.get(key) || {
+        customerId,
+        date,
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        byProvider: {}
+    };
+
+    record.requests++;
+    record.promptTokens += promptTokens;
+    record.completionTokens += completionTokens;
+
+    const providerTotals = record.byProvider[provider] || { requests: 0, promptTokens: 0, completionTokens: 0 };
+    providerTotals.requests++;
+    providerTotals.promptTokens += promptTokens;
+    providerTotals.completionTokens += completionTokens;
+    record.byProvider[provider] = providerTotals;
+
+    usage.set(key, record);
+    return getDailyUsage(customerId);
+}
+
+/**
+ * A customer's usage for one day, with cap status
+ */
+function getDailyUsage(customerId, date = today()) {
+    const record = usage.get(usageKey(customerId, date));
+    const promptTokens = record?.promptTokens || 0;
+    const completionTokens = record?.completionTokens || 0;
+    const totalTokens = promptTokens + completionTokens;
+
+    return {
+        date,
+        requests: record?.requests || 0,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        softLimitReached: totalTokens >= USAGE_CONFIG.softDailyTokens,
+        hardLimitReached: totalTokens >= USAGE_CONFIG.hardDailyTokens
+    };
+}
+
+/**
+ * A customer's consumption for /api/usage: today plus the previous days
+ */
+function getUsageSummary(customerId) {
+    const history = [];
+
+    for (let i = 0; i < USAGE_HISTORY_DAYS; i++) {
+        const date = new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10);
+        history.push(getDailyUsage(customerId, date));
+    }
+
+    return {
+        today: history[0],
+        limits: {
+            softDailyTokens: USAGE_CONFIG.softDailyTokens,
+            hardDailyTokens: USAGE_CONFIG.hardDailyTokens,
+            requestsPerMinute: USAGE_CONFIG.customerRequestsPerMinute
+        },
+        history
+    };
+}
+
+module.exports = {
+    limitByIp,
+    limitByCustomer,
+    recordUsage,
+    getDailyUsage,
+    getUsageSummary
+};
@@ -0,0 +1,59 @@
+/**
+ * Vaccine Schedule for OMaa
+ * =========================
+ *
+ * Well-child visits with the vaccines usually given at each, used to seed
+ * vaccine appointment reminders from a child's birth date. The default is
+ * the CDC's routine childhood schedule (United States); a pediatrician may
+ * combine or shift doses, so reminders tell parents to confirm at the visit.
+ *
+ * To use another country's schedule, point VACCINE_SCHEDULE_FILE at a JSON
+ * array in the same shape: [{ id, months, label, vaccines: [...] }]. Visit
+ * IDs are stored with seeded reminders: keep them stable.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_SCHEDULE = [
+    { id: 'us-2m', months: 2, label: '2-month visit', vaccines: ['Hepatitis B', 'Rotavirus', 'DTaP', 'Hib', 'Pneumococcal (PCV)', 'Polio (IPV)'] },
+    { id: 'us-4m', months: 4, label: '4-month visit', vaccines: ['Rotavirus', 'DTaP', 'Hib', 'Pneumococcal (PCV)', 'Polio (IPV)'] },
+    { id: 'us-6m', months: 6, label: '6-month visit', vaccines: ['Hepatitis B', 'Rotavirus', 'DTaP', 'Hib', 'Pneumococcal (PCV)', 'Polio (IPV)', 'Influenza (yearly from now on)', 'COVID-19'] },
+    { id: 'us-12m', months: 12, label: '12-month visit', vaccines: ['MMR', 'Chickenpox (varicella)', 'Hepatitis A', 'Pneumococcal (PCV)', 'Hib'] },
+    { id: 'us-15m', months: 15, label: '15-month visit', vaccines: ['DTaP'] },
+    { id: 'us-18m', months: 18, label: '18-month visit', vaccines: ['Hepatitis A'] },
+    { id: 'us-4y', months: 48, label: '4-year visit', vaccines: ['DTaP', 'Polio (IPV)', 'MMR', 'Chickenpox (varicella)'] }
+];
+
+/**
+ * Load the configured schedule, falling back to the default
+ */
+function loadSchedule() {
+    const file = process.env.VACCINE_SCHEDULE_FILE;
+    if (!file) return DEFAULT_SCHEDULE;
+
+    try {
+        const schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const valid = Array.isArray(schedule) && schedule.every(visit =>
+            typeof visit.id === 'string' && Number.isFinite(visit.months) &&
+            typeof visit.label === 'string' && Array.isArray(visit.vaccines)
+        );
+        if (valid) return schedule;
+        console.error('Invalid vaccine schedule in', file, '- using the default');
+    } catch (error) {
+        console.error('Failed to load vaccine schedule:', error.message);
+    }
+    return DEFAULT_SCHEDULE;
+}
+
+const VACCINE_SCHEDULE = loadSchedule();
+
+/**
+ * Get the vaccine schedule's visits, youngest first
+ */
+function getVaccineSchedule() {
+    return [...VACCINE_SCHEDULE].sort((a, b) => a.months - b.months);
+}
+
+module.exports = {
+    getVaccineSchedule
+};
@@ -0,0 +1,158 @@
+/**
+ * Voice Service for OMaa
+ * ======================
+ *
+ * Parents often have a baby in one arm. This service records voice input in
+ * the page and sends it to /api/transcribe, and reads OMaa's replies aloud
+ * when read-aloud mode is on (server text-to-speech, falling back to the
+ * browser's own speech synthesis if that's unavailable).
+ */
+
+class VoiceService {
+    constructor() {
+        this.recorder = null;
+        this.chunks = [];
+        this.starting = null;
+        this.audio = null;
+        this.readAloud = localStorage.getItem(STORAGE_KEYS.READ_ALOUD) === 'true';
+    }
+
+    /**
+     * Whether this browser can record audio
+     */
+    isRecordingSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    isRecording() {
+        return !!(this.starting || this.recorder);
+    }
+
+    /**
+     * Start recording from the microphone (asks for permission the first time)
+     */
+    async startRecording() {
+        if (this.isRecording()) return;
+
+        this.chunks = [];
+        this.starting = navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => {
+            this.recorder = new MediaRecorder(stream);
+            this.recorder.addEventListener('dataavailable', (event) => {
+                if (event.data.size > 0) this.chunks.push(event.data);
+            });
+            this.recorder.start();
+        });
+
+        try {
+            await this.starting;
+        } catch (error) {
+            this.recorder = null;
+            throw error;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob|null>} the recording, or null if nothing was captured
+     */
+    async stopRecording() {
+        if (this.starting) await this.starting.catch(() => {});
+
+        const recorder = this.recorder;
+        if (!recorder) return null;
+        this.recorder = null;
+
+        await new Promise(resolve => {
+            recorder.addEventListener('stop', resolve, { once: true });
+            recorder.stop();
+        });
+        // Release the microphone so the browser's recording indicator goes away
+        recorder.stream.getTracks().forEach(track => track.stop());
+
+        if (this.chunks.length === 0) return null;
+        return new Blob(this.chunks, { type: recorder.mimeType || 'audio/webm' });
+    }
+
+    /**
+     * Turn a recording into text
+     */
+    async transcribe(recording) {
+        const form = new FormData();
+        form.append('audio', recording, 'recording');
+        form.append('language', i18n.language);
+
+        const response = await fetch('/api/transcribe', {
+            method: 'POST',
+            headers: subscriptionService.getAuthHeaders(),
+            body: form
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw Object.assign(new Error(data.error || `Transcription failed: ${response.status}`), {
+                status: response.status,
+                code: data.code
+            });
+        }
+        return data.text || '';
+    }
+
+    /**
+     * Turn read-aloud mode on or off (remembered across visits)
+     */
+    setReadAloud(enabled) {
+        this.readAloud = enabled;
+        localStorage.setItem(STORAGE_KEYS.READ_ALOUD, String(enabled));
+        if (!enabled) this.stopSpeaking();
+    }
+
+    /**
+     * Read text aloud, interrupting anything already playing
+     */
+    async speak(text) {
+        this.stopSpeaking();
+        if (!text.trim()) return;
+
+        try {
+            const response = await fetch('/api/speech', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...subscriptionService.getAuthHeaders()
+                },
+                body: JSON.stringify({ text })
+            });
+            if (!response.ok) throw new Error(`Speech failed: ${response.status}`);
+
+            const url = URL.createObjectURL(await response.blob());
+            const audio = new Audio(url);
+            audio.addEventListener('ended', () => URL.revokeObjectURL(url), { once: true });
+            this.audio = audio;
+            await audio.play();
+        } catch (error) {
+            // Fall back to the browser's voice
+            if (window.speechSynthesis) {
+                const utterance = new SpeechSynthesisUtterance(text);
+                utterance.lang = i18n.language;
+                window.speechSynthesis.speak(utterance);
+            }
+        }
+    }
+
+    /**
+     * Stop any reply being read aloud
+     */
+    stopSpeaking() {
+        if (this.audio) {
+            this.audio.pause();
+            URL.revokeObjectURL(this.audio.src);
+            this.audio = null;
+        }
+        if (window.speechSynthesis) window.speechSynthesis.cancel();
+    }
+}
+
+// Create global instance
+const voiceService = new VoiceService();